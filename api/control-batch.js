@@ -0,0 +1,118 @@
+// api/control-batch.js
+// Run controls for a batch: pause and resume its queued jobs, cancel what has
+// not been processed yet, or move its queued jobs ({ jobIds } to pick some)
+// ahead in the queue. Admins and recruiters of the batch's workspace only.
+// Each job moves in its own transaction, only while it is still in a status
+// the action applies to: jobs already being processed finish normally, and a
+// retry they schedule is held by finishJob while the batch is paused or
+// cancelled.
+import { Timestamp, FieldValue } from 'firebase-admin/firestore';
+import { db } from '../lib/firebase.js';
+import { requireUser } from '../lib/auth.js';
+import { requireWorkspaceRole } from '../lib/workspaces.js';
+import { getStorage } from '../lib/storage/index.js';
+import { QUEUE_COLLECTION, HIGH_PRIORITY, kickDrain } from '../lib/queue.js';
+import { batchRef, holdUpdate, transitionCounts } from '../lib/batches.js';
+import { dropIdentityText } from '../lib/anonymize.js';
+import { logInfo, logError, userRef } from '../lib/log.js';
+
+// Statuses each action applies to, and the batch control it sets
+const ACTIONS = {
+    pause: { from: ['pending', 'throttled'], control: 'paused' },
+    resume: { from: ['paused'], control: 'running' },
+    cancel: { from: ['pending', 'throttled', 'paused'], control: 'cancelled' },
+    prioritize: { from: ['pending', 'throttled', 'paused'], control: null }
+};
+
+// Job transactions in flight at once
+const TRANSITION_CONCURRENCY = 8;
+
+function jobUpdate(action) {
+    if (action === 'pause') return holdUpdate('paused');
+    if (action === 'cancel') return holdUpdate('cancelled');
+    if (action === 'resume') return { status: 'pending', resumedAt: Timestamp.now(), pausedAt: FieldValue.delete() };
+    return { priority: HIGH_PRIORITY };
+}
+
+// Apply the action's update to a job still in one of the from statuses.
+// Returns whether it was updated. A cancelled anonymized job loses the raw
+// text kept with its identity, as a finished one does.
+async function transitionJob(storage, jobId, from, update) {
+    const moved = await storage.transactJob(jobId, (jobData) => {
+        if (!from.includes(jobData.status)) return { result: null };
+        return {
+            update,
+            counts: update.status ? transitionCounts(jobData.status, update.status) : null,
+            result: { anonymized: jobData.anonymized === true }
+        };
+    });
+    if (moved?.anonymized && update.status === 'cancelled') await dropIdentityText(jobId);
+    return Boolean(moved);
+}
+
+export default async function handler(request, response) {
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { batchId, action, jobIds } = request.body || {};
+    if (typeof batchId !== 'string' || !ACTIONS[action] || (jobIds !== undefined && !Array.isArray(jobIds))) {
+        return response.status(400).json({ error: 'Invalid request parameters' });
+    }
+
+    try {
+        const user = await requireUser(request, response);
+        if (!user) return;
+
+        const batchDoc = await batchRef(batchId).get();
+        if (!batchDoc.exists) {
+            return response.status(404).json({ error: 'Batch not found' });
+        }
+        const batch = batchDoc.data();
+        const access = await requireWorkspaceRole(response, user, batch.workspaceId, 'upload');
+        if (!access) return;
+
+        if (batch.control === 'cancelled') {
+            return response.status(409).json({ error: 'Batch was cancelled' });
+        }
+
+        const { from, control } = ACTIONS[action];
+        // Set first, so jobs queued or retried from now on are held as well
+        if (control) {
+            await batchDoc.ref.update({ control, controlledBy: user.uid, controlledAt: Timestamp.now() });
+        }
+
+        const snapshot = await db.collection(QUEUE_COLLECTION)
+            .where('workspaceId', '==', batch.workspaceId)
+            .where('batchId', '==', batchId)
+            .where('status', 'in', from)
+            .get();
+        const docs = snapshot.docs.filter(doc => !jobIds || jobIds.includes(doc.id));
+
+        const storage = await getStorage();
+        const update = jobUpdate(action);
+        let updated = 0;
+        for (let i = 0; i < docs.length; i += TRANSITION_CONCURRENCY) {
+            const moved = await Promise.all(docs.slice(i, i + TRANSITION_CONCURRENCY)
+                .map(doc => transitionJob(storage, doc.id, from, update)));
+            updated += moved.filter(Boolean).length;
+        }
+
+        if (action === 'resume' || action === 'prioritize') await kickDrain();
+
+        logInfo(`[CONTROL-BATCH] ${action} on batch ${batchId} by ${userRef(user.uid)}: ${updated} jobs`);
+        return response.status(200).json({
+            success: true,
+            action,
+            control: control || batch.control || 'running',
+            updated
+        });
+
+    } catch (error) {
+        logError('[CONTROL-BATCH] Error:', error);
+        return response.status(500).json({
+            error: 'Failed to update batch',
+            message: error.message
+        });
+    }
+}
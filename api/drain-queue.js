@@ -0,0 +1,92 @@
+// api/drain-queue.js
+// Server-side queue drain. Each run recovers expired leases, returns throttled
+// jobs whose daily limit has reset to the queue, claims pending jobs fairly
+// across users within their quotas and processes them until its time budget
+// is spent, then re-invokes itself while jobs are due soon. Started by start-processing
+// and by the cron in vercel.json, so processing continues after the browser
+// closes; retries scheduled further out are picked up by the cron.
+import { claimNextJobs, createWorkerId, nextPendingDueAt, kickDrain, recoverExpiredLeases, releaseThrottledJobs } from '../lib/queue.js';
+import { processClaimedJob } from '../lib/worker.js';
+import { logInfo, logError } from '../lib/log.js';
+
+// Leaves headroom under the 10s maxDuration for the final writes and the kick
+const TIME_BUDGET_MS = parseInt(process.env.DRAIN_TIME_BUDGET_MS) || 7000;
+// A new round is only claimed with at least this much budget left
+const MIN_ROUND_MS = parseInt(process.env.DRAIN_MIN_ROUND_MS) || 3000;
+const CONCURRENT_LIMIT = 3;
+// Safety stop for the self-invocation chain; the cron resumes after it
+const MAX_HOPS = 100;
+// Jobs due within this window keep the chain going instead of waiting for the cron
+const CONTINUE_WINDOW_MS = 60 * 1000;
+
+function isAuthorized(request) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return true;
+    return request.headers.authorization === `Bearer ${secret}`;
+}
+
+export default async function handler(request, response) {
+    if (request.method !== 'POST' && request.method !== 'GET') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+    if (!isAuthorized(request)) {
+        return response.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const startedAt = Date.now();
+    const deadline = startedAt + TIME_BUDGET_MS;
+    const hop = parseInt(request.body?.hop) || 0;
+    const workerId = createWorkerId();
+
+    try {
+        const recovered = await recoverExpiredLeases();
+        const released = await releaseThrottledJobs();
+        let processed = 0;
+        let retried = 0;
+        let failed = 0;
+
+        while (Date.now() + MIN_ROUND_MS < deadline) {
+            const claimed = await claimNextJobs(workerId, CONCURRENT_LIMIT);
+            if (claimed.length === 0) {
+                // Wait for a retry that becomes due while this run still has budget.
+                // Due jobs that could not be claimed belong to a concurrent run.
+                const dueAt = await nextPendingDueAt();
+                if (dueAt === null || dueAt <= Date.now() || dueAt + MIN_ROUND_MS > deadline) break;
+                await new Promise(resolve => setTimeout(resolve, Math.max(0, dueAt - Date.now())));
+                continue;
+            }
+
+            const outcomes = await Promise.all(
+                claimed.map(({ jobId, jobData }) => processClaimedJob(jobId, jobData, workerId))
+            );
+            processed += outcomes.filter(outcome => outcome.success).length;
+            retried += outcomes.filter(outcome => outcome.status === 'pending').length;
+            failed += outcomes.filter(outcome => !outcome.success && outcome.status !== 'pending').length;
+        }
+
+        const dueAt = await nextPendingDueAt();
+        const continued = dueAt !== null && dueAt - Date.now() < CONTINUE_WINDOW_MS && hop < MAX_HOPS;
+        if (continued) {
+            await kickDrain({ hop: hop + 1 });
+        }
+
+        logInfo(`[DRAIN-QUEUE] Hop ${hop}: ${processed} success, ${retried} retrying, ${failed} failed, ${recovered} recovered, ${released} released in ${Date.now() - startedAt}ms${continued ? ', continuing' : ''}`);
+
+        return response.status(200).json({
+            success: true,
+            processed,
+            retried,
+            failed,
+            recovered,
+            released,
+            continued
+        });
+
+    } catch (error) {
+        logError('[DRAIN-QUEUE] Error:', error);
+        return response.status(500).json({
+            error: 'Queue drain error',
+            message: error.message
+        });
+    }
+}
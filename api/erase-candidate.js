@@ -0,0 +1,72 @@
+// api/erase-candidate.js
+// LGPD erasure request for one candidate. POST { workspaceId, email, phone, cpf }
+// (any of the identifiers) lists the jobs that would be erased and counts the
+// corrections left from jobs already deleted; the same body with
+// { confirm: true } erases them (see lib/erasure.js). Admins only. Both steps
+// go to the audit log with a hash of the identifier, never the identifier.
+import { requireUser } from '../lib/auth.js';
+import { requireWorkspaceRole } from '../lib/workspaces.js';
+import { erasureIdentifiers, identifierHash, findCandidateJobs, findOrphanCorrections, describeCandidateJobs, eraseCandidateJobs } from '../lib/erasure.js';
+import { recordAudit } from '../lib/audit.js';
+import { logInfo, logError, userRef } from '../lib/log.js';
+
+export default async function handler(request, response) {
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { workspaceId, email, phone, cpf, confirm } = request.body || {};
+    const identifiers = erasureIdentifiers({ email, phone, cpf });
+    if (typeof workspaceId !== 'string' || !identifiers) {
+        return response.status(400).json({
+            error: 'Invalid request parameters',
+            message: 'Informe um email, telefone ou CPF válido'
+        });
+    }
+
+    try {
+        const user = await requireUser(request, response);
+        if (!user) return;
+        const access = await requireWorkspaceRole(response, user, workspaceId, 'delete');
+        if (!access) return;
+
+        const identifier = identifierHash(identifiers);
+        const found = await findCandidateJobs(workspaceId, identifiers);
+        const orphans = await findOrphanCorrections(workspaceId, identifiers, found);
+
+        if (confirm !== true) {
+            await recordAudit({
+                workspaceId,
+                actor: user.uid,
+                action: 'view',
+                target: 'erasure-lookup',
+                details: { identifier, jobs: found.size, corrections: orphans.size }
+            });
+            return response.status(200).json({
+                success: true,
+                erased: false,
+                jobs: describeCandidateJobs(found),
+                corrections: orphans.size
+            });
+        }
+
+        const { jobIds, scrubbed, deliveries, corrections } = await eraseCandidateJobs(workspaceId, found, orphans);
+        await recordAudit({
+            workspaceId,
+            actor: user.uid,
+            action: 'erase',
+            target: 'candidate',
+            details: { identifier, jobIds, scrubbed, deliveries, corrections }
+        });
+
+        logInfo(`[ERASE-CANDIDATE] ${jobIds.length} jobs erased in workspace ${workspaceId} by ${userRef(user.uid)}`);
+        return response.status(200).json({ success: true, erased: true, jobIds, scrubbed, corrections });
+
+    } catch (error) {
+        logError('[ERASE-CANDIDATE] Error:', error);
+        return response.status(500).json({
+            error: 'Erasure failed',
+            message: error.message
+        });
+    }
+}
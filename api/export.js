@@ -0,0 +1,123 @@
+// api/export.js
+// Server-side export of a workspace's candidates in any format of
+// shared/exporters.js, for one batch ({ batchId }) or for the jobs created in
+// a date range ({ from, to } as YYYY-MM-DD, both inclusive). Failed and
+// cancelled jobs go to the XLSX "Falhas" sheet and the JSON Lines output.
+// Any member of the workspace may export; every export is audited.
+import XLSX from 'xlsx';
+import { Timestamp } from 'firebase-admin/firestore';
+import { db } from '../lib/firebase.js';
+import { requireUser } from '../lib/auth.js';
+import { requireWorkspaceRole } from '../lib/workspaces.js';
+import { QUEUE_COLLECTION } from '../lib/queue.js';
+import { batchRef } from '../lib/batches.js';
+import { normalizeFields, fieldsFromKeys, DEFAULT_TEMPLATE } from '../shared/fields.js';
+import { EXPORT_FORMATS, CSV_DELIMITERS, CSV_ENCODINGS, buildResult, buildFailure, isFailedStatus, renderExport, exportFileName } from '../shared/exporters.js';
+import { recordAudit } from '../lib/audit.js';
+import { logInfo, logError, userRef } from '../lib/log.js';
+
+// Jobs read per export; a longer range has to be split
+const MAX_EXPORT_JOBS = 5000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseRange(from, to) {
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '')) return null;
+    const start = Date.parse(`${from}T00:00:00Z`);
+    const end = Date.parse(`${to}T00:00:00Z`) + DAY_MS;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return null;
+    return { start: Timestamp.fromMillis(start), end: Timestamp.fromMillis(end) };
+}
+
+// Fields of every template used in the range, in first-seen order
+function collectFields(jobs) {
+    const fields = [];
+    jobs.forEach(job => {
+        const jobFields = job.fields ? normalizeFields(job.fields) : fieldsFromKeys(job.selectedFields || []);
+        jobFields.forEach(field => {
+            if (!fields.some(existing => existing.key === field.key)) fields.push(field);
+        });
+    });
+    return fields.length > 0 ? fields : normalizeFields(DEFAULT_TEMPLATE.fields);
+}
+
+export default async function handler(request, response) {
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { workspaceId, batchId, from, to, format = 'xlsx', delimiter = ';', encoding = 'utf-8-bom' } = request.body || {};
+    const range = batchId ? null : parseRange(from, to);
+    if (typeof workspaceId !== 'string' || !EXPORT_FORMATS[format]
+        || !(delimiter in CSV_DELIMITERS) || !(encoding in CSV_ENCODINGS)
+        || (batchId !== undefined && typeof batchId !== 'string') || (!batchId && !range)) {
+        return response.status(400).json({ error: 'Invalid request parameters' });
+    }
+
+    try {
+        const user = await requireUser(request, response);
+        if (!user) return;
+        const access = await requireWorkspaceRole(response, user, workspaceId, 'view');
+        if (!access) return;
+
+        let query = db.collection(QUEUE_COLLECTION).where('workspaceId', '==', workspaceId);
+        let batch = null;
+        if (batchId) {
+            const batchDoc = await batchRef(batchId).get();
+            if (!batchDoc.exists || batchDoc.data().workspaceId !== workspaceId) {
+                return response.status(404).json({ error: 'Batch not found' });
+            }
+            batch = batchDoc.data();
+            query = query.where('batchId', '==', batchId);
+        } else {
+            query = query.where('createdAt', '>=', range.start).where('createdAt', '<', range.end);
+        }
+
+        const snapshot = await query.limit(MAX_EXPORT_JOBS + 1).get();
+        if (snapshot.size > MAX_EXPORT_JOBS) {
+            return response.status(413).json({
+                error: 'Too many jobs',
+                message: `Mais de ${MAX_EXPORT_JOBS} currículos; escolha um período menor`
+            });
+        }
+
+        const jobs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const results = jobs
+            .filter(job => job.status === 'completed' && job.result)
+            .map(job => buildResult(job.id, job));
+        const failures = jobs
+            .filter(job => isFailedStatus(job.status))
+            .map(job => buildFailure(job.id, job));
+
+        const fields = batch?.fields ? normalizeFields(batch.fields) : collectFields(jobs);
+        const structured = batch ? batch.structured === true : jobs.some(job => job.structured === true);
+        const { body, mimeType, extension } = renderExport(format, {
+            results,
+            failures,
+            fields,
+            structured,
+            csv: { delimiter, encoding }
+        }, XLSX);
+
+        await recordAudit({
+            workspaceId,
+            actor: user.uid,
+            action: 'export',
+            target: batchId || `${from}..${to}`,
+            details: { format, candidates: results.length, failures: failures.length }
+        });
+
+        const name = batch?.name || `${from}_${to}`;
+        logInfo(`[EXPORT] ${format} of ${results.length} candidates for ${userRef(user.uid)} in workspace ${workspaceId}`);
+        response.setHeader('Content-Type', mimeType);
+        response.setHeader('Content-Disposition', `attachment; filename="${exportFileName(name, extension)}"`);
+        return response.status(200).send(Buffer.from(body));
+
+    } catch (error) {
+        logError('[EXPORT] Error:', error);
+        return response.status(500).json({
+            error: 'Export failed',
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,143 @@
+// api/integrations.js
+// Integration settings of a workspace (admins only). POST { action, workspaceId, ... }:
+//   list                                  -> API keys, webhook and its recent deliveries
+//   create-key     { name }               -> new API key, returned once
+//   revoke-key     { keyId }
+//   set-webhook    { url, events, rotateSecret } -> the secret is returned when new
+//   delete-webhook
+//   test-webhook                          -> sends a signed "ping" and reports the answer
+// Keys and webhooks are used by the REST API (api/v1) and lib/webhooks.js.
+import { requireUser } from '../lib/auth.js';
+import { requireWorkspaceRole } from '../lib/workspaces.js';
+import { listApiKeys, createApiKey, revokeApiKey } from '../lib/api-keys.js';
+import {
+    WEBHOOK_EVENTS,
+    parseWebhookUrl,
+    parseWebhookEvents,
+    getWebhook,
+    describeWebhook,
+    setWebhook,
+    deleteWebhook,
+    listDeliveries,
+    sendTestEvent
+} from '../lib/webhooks.js';
+import { recordAudit } from '../lib/audit.js';
+import { logInfo, logError, userRef } from '../lib/log.js';
+
+const MAX_KEY_NAME_LENGTH = 60;
+
+async function list(workspaceId, response) {
+    const [keys, webhook, deliveries] = await Promise.all([
+        listApiKeys(workspaceId),
+        getWebhook(workspaceId),
+        listDeliveries(workspaceId)
+    ]);
+    return response.status(200).json({
+        success: true,
+        keys,
+        webhook: describeWebhook(webhook),
+        events: WEBHOOK_EVENTS,
+        deliveries
+    });
+}
+
+async function createKey(user, workspaceId, body, response) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_KEY_NAME_LENGTH) {
+        return response.status(400).json({ error: 'Invalid key name' });
+    }
+    const created = await createApiKey(workspaceId, name, user);
+    if (!created) {
+        return response.status(409).json({ error: 'Too many API keys', message: 'Revoke an unused key first' });
+    }
+    await recordAudit({ workspaceId, actor: user.uid, action: 'create-api-key', target: created.id, details: { name } });
+    logInfo(`[INTEGRATIONS] ${userRef(user.uid)} created API key ${created.prefix} in ${workspaceId}`);
+    return response.status(201).json({ success: true, apiKey: created });
+}
+
+async function revokeKey(user, workspaceId, body, response) {
+    if (!body.keyId || typeof body.keyId !== 'string') {
+        return response.status(400).json({ error: 'Invalid request parameters' });
+    }
+    if (!await revokeApiKey(workspaceId, body.keyId, user)) {
+        return response.status(404).json({ error: 'API key not found' });
+    }
+    await recordAudit({ workspaceId, actor: user.uid, action: 'revoke-api-key', target: body.keyId });
+    logInfo(`[INTEGRATIONS] ${userRef(user.uid)} revoked an API key in ${workspaceId}`);
+    return response.status(200).json({ success: true });
+}
+
+async function saveWebhook(user, workspaceId, body, response) {
+    const url = parseWebhookUrl(body.url);
+    const events = parseWebhookEvents(body.events);
+    if (!url || !events) {
+        return response.status(400).json({
+            error: 'Invalid webhook',
+            message: 'Use an https URL (http only for localhost) and at least one event'
+        });
+    }
+    const { webhook, secret } = await setWebhook(workspaceId, { url, events, rotateSecret: body.rotateSecret === true }, user);
+    await recordAudit({
+        workspaceId,
+        actor: user.uid,
+        action: 'set-webhook',
+        target: workspaceId,
+        details: { events, secretRotated: secret !== null }
+    });
+    logInfo(`[INTEGRATIONS] ${userRef(user.uid)} set the webhook of ${workspaceId}`);
+    return response.status(200).json({ success: true, webhook, secret });
+}
+
+async function removeWebhook(user, workspaceId, response) {
+    await deleteWebhook(workspaceId);
+    await recordAudit({ workspaceId, actor: user.uid, action: 'delete-webhook', target: workspaceId });
+    logInfo(`[INTEGRATIONS] ${userRef(user.uid)} removed the webhook of ${workspaceId}`);
+    return response.status(200).json({ success: true });
+}
+
+async function testWebhook(workspaceId, response) {
+    const outcome = await sendTestEvent(workspaceId);
+    if (!outcome) {
+        return response.status(404).json({ error: 'Webhook not configured' });
+    }
+    return response.status(200).json({ success: true, ...outcome });
+}
+
+export default async function handler(request, response) {
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const user = await requireUser(request, response);
+        if (!user) return;
+
+        const body = request.body || {};
+        const access = await requireWorkspaceRole(response, user, body.workspaceId, 'manage');
+        if (!access) return;
+
+        switch (body.action) {
+            case 'list':
+                return await list(body.workspaceId, response);
+            case 'create-key':
+                return await createKey(user, body.workspaceId, body, response);
+            case 'revoke-key':
+                return await revokeKey(user, body.workspaceId, body, response);
+            case 'set-webhook':
+                return await saveWebhook(user, body.workspaceId, body, response);
+            case 'delete-webhook':
+                return await removeWebhook(user, body.workspaceId, response);
+            case 'test-webhook':
+                return await testWebhook(body.workspaceId, response);
+            default:
+                return response.status(400).json({ error: 'Unknown action' });
+        }
+
+    } catch (error) {
+        logError('[INTEGRATIONS] Error:', error);
+        return response.status(500).json({
+            error: 'Integration operation failed',
+            message: error.message
+        });
+    }
+}
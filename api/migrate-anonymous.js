@@ -0,0 +1,186 @@
+// api/migrate-anonymous.js
+// Moves data created under the old anonymous IDs ("user_<timestamp>_<random>",
+// kept in the browser's localStorage) to the signed-in account. The IDs were
+// readable by anyone under the old rules, so they prove nothing: a browser
+// holding one registers a random migration token as soon as the page loads
+// ({ register: true }, no sign-in needed) and only a registered token can
+// claim the ID afterwards. The old page had no session or secret to check
+// the token against, so the first registration is trusted only when nothing
+// contradicts it: the claim comes from the network origin that registered the
+// token and no other browser registered one for the same ID. Any other claim
+// waits for an administrator (scripts/approve-migration.js). Each ID can be
+// claimed once and the claim is recorded in user_migrations. Jobs and
+// corrections land in the user's personal workspace.
+import { createHash } from 'node:crypto';
+import { Timestamp, FieldValue } from 'firebase-admin/firestore';
+import { db } from '../lib/firebase.js';
+import { requireUser } from '../lib/auth.js';
+import { ensurePersonalWorkspace } from '../lib/workspaces.js';
+import { logInfo, logError, userRef } from '../lib/log.js';
+
+const LEGACY_ID_PATTERN = /^user_\d{13}_[a-z0-9]{1,12}$/;
+// crypto.randomUUID() in the browser
+const TOKEN_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const MIGRATED_COLLECTIONS = ['processing_queue', 'field_templates', 'corrections'];
+// Templates stay personal; the other collections are scoped to a workspace
+const WORKSPACE_SCOPED = ['processing_queue', 'corrections'];
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 400;
+
+function sha256(value) {
+    return createHash('sha256').update(value).digest('hex');
+}
+
+// Hash of the client address (Vercel sets x-forwarded-for), so the raw IP is never stored
+function requestOrigin(request) {
+    const forwarded = String(request.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    return sha256(forwarded || request.socket?.remoteAddress || '');
+}
+
+function isRegistered(migration, tokenHash) {
+    return Boolean(migration) && (migration.tokenHash === tokenHash || (migration.contenders || []).includes(tokenHash));
+}
+
+// 'registered' for the first token of the ID (or one already known),
+// 'contested' when another browser registered first, 'taken' once claimed
+async function registerToken(migrationRef, tokenHash, origin) {
+    return db.runTransaction(async (transaction) => {
+        const migrationDoc = await transaction.get(migrationRef);
+        if (!migrationDoc.exists) {
+            transaction.set(migrationRef, { tokenHash, origin, registeredAt: Timestamp.now() });
+            return 'registered';
+        }
+        const migration = migrationDoc.data();
+        if (!isRegistered(migration, tokenHash)) {
+            // Kept even after the claim: it flags a claim that may have been hijacked
+            transaction.update(migrationRef, {
+                contested: true,
+                contestedAt: Timestamp.now(),
+                contenders: FieldValue.arrayUnion(tokenHash)
+            });
+            return migration.uid ? 'taken' : 'contested';
+        }
+        return migration.uid ? 'taken' : 'registered';
+    });
+}
+
+// The claim migrates at once only when the token's registration is uncontested
+// and came from the same origin, or an administrator approved this user and token
+function canClaim(migration, tokenHash, origin, uid) {
+    if (migration.uid === uid) return true;
+    if (migration.approved?.uid === uid && migration.approved.tokenHash === tokenHash) return true;
+    return !migration.contested && migration.tokenHash === tokenHash && migration.origin === origin;
+}
+
+async function reassign(collectionName, legacyUserId, uid, workspaceId) {
+    let moved = 0;
+    for (;;) {
+        const snapshot = await db.collection(collectionName)
+            .where('userId', '==', legacyUserId)
+            .limit(BATCH_SIZE)
+            .get();
+        if (snapshot.empty) return moved;
+
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => {
+            batch.update(doc.ref, {
+                userId: uid,
+                legacyUserId,
+                ...(WORKSPACE_SCOPED.includes(collectionName) ? { workspaceId } : {})
+            });
+        });
+        await batch.commit();
+        moved += snapshot.size;
+    }
+}
+
+export default async function handler(request, response) {
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { legacyUserId, migrationToken, register } = request.body;
+    if (!legacyUserId || !LEGACY_ID_PATTERN.test(legacyUserId)) {
+        return response.status(400).json({ error: 'Invalid legacy user ID' });
+    }
+    if (typeof migrationToken !== 'string' || !TOKEN_PATTERN.test(migrationToken)) {
+        return response.status(400).json({ error: 'Invalid migration token' });
+    }
+
+    try {
+        const migrationRef = db.collection('user_migrations').doc(legacyUserId);
+        const tokenHash = sha256(migrationToken);
+        const origin = requestOrigin(request);
+
+        if (register === true) {
+            const registration = await registerToken(migrationRef, tokenHash, origin);
+            if (registration === 'taken') {
+                return response.status(409).json({ error: 'Legacy user ID already migrated to another account' });
+            }
+            if (registration === 'contested') {
+                return response.status(202).json({
+                    success: true,
+                    pending: true,
+                    message: 'Another browser registered this legacy user ID; claiming it needs an administrator\'s approval'
+                });
+            }
+            return response.status(200).json({ success: true });
+        }
+
+        const user = await requireUser(request, response);
+        if (!user) return;
+
+        const claim = await db.runTransaction(async (transaction) => {
+            const migrationDoc = await transaction.get(migrationRef);
+            const migration = migrationDoc.data();
+            if (migration?.uid && migration.uid !== user.uid) return 'taken';
+            if (!isRegistered(migration, tokenHash)) return 'forbidden';
+            if (!canClaim(migration, tokenHash, origin, user.uid)) {
+                transaction.set(migrationRef, {
+                    pending: {
+                        [user.uid]: {
+                            email: user.email,
+                            tokenHash,
+                            reason: migration.contested ? 'contested' : 'origin',
+                            requestedAt: Timestamp.now()
+                        }
+                    }
+                }, { merge: true });
+                return 'pending';
+            }
+            transaction.set(migrationRef, { uid: user.uid, startedAt: Timestamp.now() }, { merge: true });
+            return 'claimed';
+        });
+        if (claim === 'taken') {
+            return response.status(409).json({ error: 'Legacy user ID already migrated to another account' });
+        }
+        if (claim === 'forbidden') {
+            return response.status(403).json({ error: 'Forbidden', message: 'Migration token does not match this legacy user ID' });
+        }
+        if (claim === 'pending') {
+            logInfo(`[MIGRATE] ${userRef(legacyUserId)} -> ${userRef(user.uid)}: waiting for approval`);
+            return response.status(202).json({
+                success: true,
+                pending: true,
+                message: 'The claim waits for an administrator\'s approval'
+            });
+        }
+
+        const workspaceId = await ensurePersonalWorkspace(user);
+        const moved = {};
+        for (const collectionName of MIGRATED_COLLECTIONS) {
+            moved[collectionName] = await reassign(collectionName, legacyUserId, user.uid, workspaceId);
+        }
+        await migrationRef.set({ finishedAt: Timestamp.now(), moved }, { merge: true });
+
+        logInfo(`[MIGRATE] ${userRef(legacyUserId)} -> ${userRef(user.uid)}: ${JSON.stringify(moved)}`);
+        return response.status(200).json({ success: true, moved });
+
+    } catch (error) {
+        logError('[MIGRATE] Error:', error);
+        return response.status(500).json({
+            error: 'Migration failed',
+            message: error.message
+        });
+    }
+}
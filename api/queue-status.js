@@ -1,125 +1,113 @@
-// api/queue-status.js
-import { initializeApp, cert, getApps } from 'firebase-admin/app';
-import { getFirestore } from 'firebase-admin/firestore';
-
-// Initialize Firebase Admin
-if (!getApps().length) {
-    try {
-        const serviceAccount = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-        initializeApp({ credential: cert(serviceAccount) });
-    } catch (e) {
-        console.error("Firebase Admin initialization error:", e);
-        throw e;
-    }
-}
-const db = getFirestore();
-
-export default async function handler(request, response) {
-    // Enable CORS
-    response.setHeader('Access-Control-Allow-Origin', '*');
-    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (request.method === 'OPTIONS') {
-        return response.status(200).end();
-    }
-
-    if (request.method !== 'POST') {
-        return response.status(405).json({ error: 'Method not allowed' });
-    }
-
-    try {
-        const { userId, jobIds } = request.body;
-        
-        if (!userId) {
-            return response.status(400).json({ error: 'User ID is required' });
-        }
-
-        // Get status for specific jobs or all user jobs
-        let query = db.collection('processing_queue')
-            .where('userId', '==', userId);
-        
-        // Add time limit to avoid querying old jobs
-        const oneDayAgo = new Date();
-        oneDayAgo.setDate(oneDayAgo.getDate() - 1);
-        query = query.where('createdAt', '>=', oneDayAgo);
-        
-        if (jobIds && Array.isArray(jobIds) && jobIds.length > 0) {
-            // Firestore 'in' query is limited to 10 items
-            const batchSize = 10;
-            const results = [];
-            
-            for (let i = 0; i < jobIds.length; i += batchSize) {
-                const batch = jobIds.slice(i, i + batchSize);
-                const snapshot = await db.collection('processing_queue')
-                    .where('userId', '==', userId)
-                    .where('__name__', 'in', batch)
-                    .get();
-                
-                snapshot.docs.forEach(doc => {
-                    const data = doc.data();
-                    results.push({
-                        jobId: doc.id,
-                        status: data.status,
-                        fileName: data.fileName,
-                        error: data.error,
-                        createdAt: data.createdAt?.toDate(),
-                        finishedAt: data.finishedAt?.toDate()
-                    });
-                });
-            }
-            
-            return response.status(200).json({
-                success: true,
-                jobs: results,
-                stats: calculateStats(results)
-            });
-        } else {
-            // Get all recent jobs for user
-            const snapshot = await query.limit(200).get();
-            
-            const jobs = snapshot.docs.map(doc => {
-                const data = doc.data();
-                return {
-                    jobId: doc.id,
-                    status: data.status,
-                    fileName: data.fileName,
-                    error: data.error,
-                    createdAt: data.createdAt?.toDate(),
-                    finishedAt: data.finishedAt?.toDate()
-                };
-            });
-            
-            return response.status(200).json({
-                success: true,
-                jobs: jobs,
-                stats: calculateStats(jobs)
-            });
-        }
-    } catch (error) {
-        console.error('[QUEUE-STATUS] Error:', error);
-        return response.status(500).json({ 
-            error: 'Failed to get queue status',
-            message: error.message 
-        });
-    }
-}
-
-function calculateStats(jobs) {
-    const stats = {
-        total: jobs.length,
-        pending: 0,
-        processing: 0,
-        completed: 0,
-        failed: 0
-    };
-    
-    jobs.forEach(job => {
-        if (job.status === 'pending') stats.pending++;
-        else if (job.status === 'processing') stats.processing++;
-        else if (job.status === 'completed') stats.completed++;
-        else if (job.status === 'failed') stats.failed++;
-    });
-    
-    return stats;
+// api/queue-status.js
+// Job status for the caller's own jobs, or for every job in a workspace the
+// caller belongs to ({ workspaceId }), optionally only those one member
+// uploaded ({ uploadedBy }) or those in one batch ({ batchId }).
+import { getStorage } from '../lib/storage/index.js';
+import { requireUser } from '../lib/auth.js';
+import { requireWorkspaceRole } from '../lib/workspaces.js';
+import { logError } from '../lib/log.js';
+
+export default async function handler(request, response) {
+    // Enable CORS
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    
+    if (request.method === 'OPTIONS') {
+        return response.status(200).end();
+    }
+
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const user = await requireUser(request, response);
+        if (!user) return;
+        const { jobIds, workspaceId, uploadedBy, batchId } = request.body;
+
+        if (workspaceId) {
+            const access = await requireWorkspaceRole(response, user, workspaceId, 'view');
+            if (!access) return;
+        }
+
+        // Workspace jobs (optionally one uploader's) or the caller's own jobs
+        const scope = workspaceId
+            ? { workspaceId, userId: uploadedBy || undefined, batchId: batchId || undefined }
+            : { userId: user.uid };
+        const storage = await getStorage();
+
+        // Get status for specific jobs or all user jobs
+        if (jobIds && Array.isArray(jobIds) && jobIds.length > 0) {
+            const results = (await storage.listJobs({ ...scope, jobIds })).map(describeJob);
+
+            return response.status(200).json({
+                success: true,
+                jobs: results,
+                stats: calculateStats(results)
+            });
+        } else {
+            // Add time limit to avoid querying old jobs; a batch is bounded already
+            const oneDayAgo = new Date();
+            oneDayAgo.setDate(oneDayAgo.getDate() - 1);
+
+            // Get all recent jobs for user
+            const jobs = (await storage.listJobs({
+                ...scope,
+                since: batchId ? undefined : oneDayAgo,
+                limit: 200
+            })).map(describeJob);
+
+            return response.status(200).json({
+                success: true,
+                jobs: jobs,
+                stats: calculateStats(jobs)
+            });
+        }
+    } catch (error) {
+        logError('[QUEUE-STATUS] Error:', error);
+        return response.status(500).json({ 
+            error: 'Failed to get queue status',
+            message: error.message 
+        });
+    }
+}
+
+function describeJob({ id, data }) {
+    return {
+        jobId: id,
+        status: data.status,
+        fileName: data.fileName,
+        uploadedBy: data.userId,
+        uploaderEmail: data.uploaderEmail || null,
+        batchId: data.batchId || null,
+        priority: data.priority || 0,
+        error: data.error,
+        createdAt: data.createdAt?.toDate(),
+        finishedAt: data.finishedAt?.toDate()
+    };
+}
+
+function calculateStats(jobs) {
+    const stats = {
+        total: jobs.length,
+        pending: 0,
+        processing: 0,
+        completed: 0,
+        failed: 0,
+        paused: 0,
+        cancelled: 0
+    };
+    
+    jobs.forEach(job => {
+        // Throttled jobs are queued until their daily limit resets
+        if (job.status === 'pending' || job.status === 'throttled') stats.pending++;
+        else if (job.status === 'processing') stats.processing++;
+        else if (job.status === 'completed') stats.completed++;
+        else if (job.status === 'failed' || job.status === 'dead_letter') stats.failed++;
+        else if (job.status === 'paused') stats.paused++;
+        else if (job.status === 'cancelled') stats.cancelled++;
+    });
+    
+    return stats;
 }
\ No newline at end of file
@@ -0,0 +1,117 @@
+// api/requeue-jobs.js
+// Puts failed and dead-lettered jobs back in the queue: the caller's own, or
+// all of a workspace's when { workspaceId } is given (admins and recruiters),
+// optionally narrowed to one batch ({ batchId }).
+// The resume text is stored on the job, so nothing has to be uploaded again;
+// jobs whose text the retention policy already removed are skipped.
+import { Timestamp, FieldValue } from 'firebase-admin/firestore';
+import { db } from '../lib/firebase.js';
+import { requireUser } from '../lib/auth.js';
+import { requireWorkspaceRole } from '../lib/workspaces.js';
+import { QUEUE_COLLECTION, kickDrain } from '../lib/queue.js';
+import { tallyTransition, writeBatchCounters } from '../lib/batches.js';
+import { initialTextExpiry } from '../shared/retention.js';
+import { logInfo, logError, userRef } from '../lib/log.js';
+
+const REQUEUEABLE_STATUSES = ['failed', 'dead_letter'];
+// Firestore batches are limited to 500 writes; leaves room for the batch counter updates
+const PAGE_SIZE = 400;
+// Job documents read per getAll call
+const ID_CHUNK = 100;
+
+// Failed jobs in scope (field == value), narrowed in the query itself so a
+// workspace with many failures elsewhere never crowds out the ones asked for
+async function findRequeueable(field, value, { jobIds, batchId }) {
+    const requeueable = doc => doc.exists && doc.data()[field] === value
+        && REQUEUEABLE_STATUSES.includes(doc.data().status)
+        && (!batchId || doc.data().batchId === batchId);
+
+    if (jobIds) {
+        const ids = [...new Set(jobIds.map(String))];
+        const docs = [];
+        for (let i = 0; i < ids.length; i += ID_CHUNK) {
+            const refs = ids.slice(i, i + ID_CHUNK).map(id => db.collection(QUEUE_COLLECTION).doc(id));
+            docs.push(...(await db.getAll(...refs)).filter(requeueable));
+        }
+        return docs;
+    }
+
+    let query = db.collection(QUEUE_COLLECTION)
+        .where(field, '==', value)
+        .where('status', 'in', REQUEUEABLE_STATUSES);
+    if (batchId) query = query.where('batchId', '==', batchId);
+
+    const docs = [];
+    let last = null;
+    for (;;) {
+        const snapshot = await (last ? query.startAfter(last) : query).limit(PAGE_SIZE).get();
+        docs.push(...snapshot.docs);
+        if (snapshot.size < PAGE_SIZE) return docs;
+        last = snapshot.docs[snapshot.size - 1];
+    }
+}
+
+export default async function handler(request, response) {
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { jobIds, workspaceId, batchId } = request.body;
+    if (jobIds !== undefined && !Array.isArray(jobIds)) {
+        return response.status(400).json({ error: 'Invalid request parameters' });
+    }
+
+    try {
+        const user = await requireUser(request, response);
+        if (!user) return;
+        const userId = user.uid;
+
+        if (workspaceId) {
+            const access = await requireWorkspaceRole(response, user, workspaceId, 'upload');
+            if (!access) return;
+        }
+
+        const selected = await findRequeueable(
+            workspaceId ? 'workspaceId' : 'userId', workspaceId || userId, { jobIds, batchId }
+        );
+        const docs = selected.filter(doc => !doc.data().textPurgedAt);
+
+        for (let i = 0; i < docs.length; i += PAGE_SIZE) {
+            const batch = db.batch();
+            const totals = new Map();
+            docs.slice(i, i + PAGE_SIZE).forEach(doc => {
+                tallyTransition(totals, doc.data().batchId, doc.data().status, 'pending');
+                batch.update(doc.ref, {
+                    status: 'pending',
+                    attempts: 0,
+                    requeuedAt: Timestamp.now(),
+                    error: FieldValue.delete(),
+                    finishedAt: FieldValue.delete(),
+                    nextAttemptAt: FieldValue.delete(),
+                    // A requeued job counts as a new start
+                    quotaStartedAt: FieldValue.delete(),
+                    // The text retention starts again when the job finishes
+                    textExpiresAt: Timestamp.fromMillis(initialTextExpiry(doc.data().expiresAt?.toMillis() ?? null))
+                });
+            });
+            await writeBatchCounters(batch, totals);
+            await batch.commit();
+        }
+        if (docs.length > 0) await kickDrain();
+
+        logInfo(`[REQUEUE] ${docs.length} jobs requeued by user ${userRef(userId)}${workspaceId ? ` in workspace ${workspaceId}` : ''}`);
+        return response.status(200).json({
+            success: true,
+            requeued: docs.length,
+            textPurged: selected.length - docs.length,
+            jobIds: docs.map(doc => doc.id)
+        });
+
+    } catch (error) {
+        logError('[REQUEUE] Error:', error);
+        return response.status(500).json({
+            error: 'Failed to requeue jobs',
+            message: error.message
+        });
+    }
+}
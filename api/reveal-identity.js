@@ -0,0 +1,65 @@
+// api/reveal-identity.js
+// Identity behind the candidate code of an anonymized job. POST { jobId } ->
+// { candidateCode, fileName, identity }. Only roles with the "reveal"
+// permission (shared/workspaces.js) may call it, and every reveal goes to
+// the audit log.
+import { db } from '../lib/firebase.js';
+import { requireUser } from '../lib/auth.js';
+import { requireWorkspaceRole } from '../lib/workspaces.js';
+import { QUEUE_COLLECTION } from '../lib/queue.js';
+import { identityRef } from '../lib/anonymize.js';
+import { recordAudit } from '../lib/audit.js';
+import { logInfo, logError, userRef } from '../lib/log.js';
+
+export default async function handler(request, response) {
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { jobId } = request.body || {};
+    if (typeof jobId !== 'string' || !jobId) {
+        return response.status(400).json({ error: 'Invalid request parameters' });
+    }
+
+    try {
+        const user = await requireUser(request, response);
+        if (!user) return;
+
+        const jobDoc = await db.collection(QUEUE_COLLECTION).doc(jobId).get();
+        if (!jobDoc.exists || !jobDoc.data().anonymized) {
+            return response.status(404).json({ error: 'Job not found' });
+        }
+        const job = jobDoc.data();
+        const access = await requireWorkspaceRole(response, user, job.workspaceId, 'reveal');
+        if (!access) return;
+
+        const identityDoc = await identityRef(jobId).get();
+        if (!identityDoc.exists) {
+            return response.status(404).json({ error: 'Identity not found' });
+        }
+        const { candidateCode, fileName, identity } = identityDoc.data();
+
+        await recordAudit({
+            workspaceId: job.workspaceId,
+            actor: user.uid,
+            action: 'reveal',
+            target: jobId,
+            details: { candidateCode: candidateCode || job.candidateCode || null }
+        });
+
+        logInfo(`[REVEAL-IDENTITY] Job ${jobId} revealed by ${userRef(user.uid)}`);
+        return response.status(200).json({
+            success: true,
+            candidateCode: candidateCode || job.candidateCode,
+            fileName: fileName || null,
+            identity: identity || {}
+        });
+
+    } catch (error) {
+        logError('[REVEAL-IDENTITY] Error:', error);
+        return response.status(500).json({
+            error: 'Reveal failed',
+            message: error.message
+        });
+    }
+}
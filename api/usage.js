@@ -0,0 +1,67 @@
+// api/usage.js
+// LLM usage of a workspace in one month (lib/usage.js) and today's job
+// quotas (lib/quotas.js). POST { workspaceId, month: "YYYY-MM" }; month
+// defaults to the current one. Admins see every member and API key, other
+// roles only their own usage.
+import { requireUser } from '../lib/auth.js';
+import { requireWorkspaceRole } from '../lib/workspaces.js';
+import { listApiKeys } from '../lib/api-keys.js';
+import { usageSummary, usageMonth } from '../lib/usage.js';
+import { quotaStatus } from '../lib/quotas.js';
+import { can } from '../shared/workspaces.js';
+import { logError } from '../lib/log.js';
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// "email" of a member, or "API: <key name>" for jobs sent with an API key
+async function labelUsers(workspace, users) {
+    const keys = users.some(user => user.userId?.startsWith('api:'))
+        ? await listApiKeys(workspace.id)
+        : [];
+    const keyNames = new Map(keys.map(key => [`api:${key.id}`, key.name]));
+    return users.map(user => ({
+        ...user,
+        label: workspace.members?.[user.userId]?.email
+            || (keyNames.has(user.userId) ? `API: ${keyNames.get(user.userId)}` : null)
+    }));
+}
+
+export default async function handler(request, response) {
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { workspaceId, month = usageMonth() } = request.body || {};
+    if (typeof month !== 'string' || !MONTH_PATTERN.test(month)) {
+        return response.status(400).json({ error: 'Invalid month', message: 'Use YYYY-MM' });
+    }
+
+    try {
+        const user = await requireUser(request, response);
+        if (!user) return;
+        const access = await requireWorkspaceRole(response, user, workspaceId, 'view');
+        if (!access) return;
+
+        const everyone = can(access.role, 'manage');
+        const [summary, quota] = await Promise.all([
+            usageSummary(workspaceId, month, everyone ? {} : { userId: user.uid }),
+            quotaStatus(user.uid, workspaceId)
+        ]);
+
+        return response.status(200).json({
+            success: true,
+            month: summary.month,
+            scope: everyone ? 'workspace' : 'user',
+            users: await labelUsers(access.workspace, summary.users),
+            totals: summary.totals,
+            quota
+        });
+
+    } catch (error) {
+        logError('[USAGE] Error:', error);
+        return response.status(500).json({
+            error: 'Failed to load usage',
+            message: error.message
+        });
+    }
+}
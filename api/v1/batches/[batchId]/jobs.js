@@ -0,0 +1,65 @@
+// api/v1/batches/[batchId]/jobs.js
+// GET /api/v1/batches/{batchId}/jobs (API key): the batch with its counters
+// and its jobs, optionally only those in one status (?status=completed) and
+// at most ?limit of them (default 200, up to 1000).
+import { requireApiKey } from '../../../../lib/api-keys.js';
+import { describeApiBatch, describeApiJob } from '../../../../lib/api-v1.js';
+import { getStorage } from '../../../../lib/storage/index.js';
+import { logError } from '../../../../lib/log.js';
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+const STATUSES = ['pending', 'throttled', 'processing', 'completed', 'failed', 'paused', 'cancelled'];
+
+export default async function handler(request, response) {
+    if (request.method === 'OPTIONS') {
+        return response.status(200).end();
+    }
+    if (request.method !== 'GET') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { batchId, status } = request.query || {};
+    const limit = request.query?.limit === undefined ? DEFAULT_LIMIT : parseInt(request.query.limit);
+    if ((status && !STATUSES.includes(status)) || !(limit >= 1 && limit <= MAX_LIMIT)) {
+        return response.status(400).json({ error: 'Invalid request parameters' });
+    }
+
+    try {
+        const apiKey = await requireApiKey(request, response);
+        if (!apiKey) return;
+
+        const storage = await getStorage();
+        const batch = batchId ? await storage.getBatch(String(batchId)) : null;
+        if (!batch || batch.workspaceId !== apiKey.workspaceId) {
+            return response.status(404).json({ error: 'Batch not found' });
+        }
+
+        // Failed jobs that ran out of attempts are stored as dead_letter
+        const statuses = status === 'failed' ? ['failed', 'dead_letter'] : [status];
+        const jobs = [];
+        for (const each of statuses) {
+            if (jobs.length >= limit) break;
+            jobs.push(...await storage.listJobs({
+                workspaceId: apiKey.workspaceId,
+                batchId: String(batchId),
+                status: each,
+                limit: limit - jobs.length
+            }));
+        }
+
+        return response.status(200).json({
+            success: true,
+            batch: describeApiBatch(String(batchId), batch),
+            jobs: jobs.map(({ id, data }) => describeApiJob(id, data)),
+            truncated: jobs.length >= limit
+        });
+
+    } catch (error) {
+        logError('[API-V1] Batch jobs lookup failed:', error);
+        return response.status(500).json({
+            error: 'Failed to list batch jobs',
+            message: error.message
+        });
+    }
+}
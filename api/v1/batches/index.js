@@ -0,0 +1,34 @@
+// api/v1/batches/index.js
+// POST /api/v1/batches (API key): create a batch ("processo seletivo") to
+// post jobs into. Body: { name, jobOpening, retentionDays, fields,
+// requirements, structured, urgent, anonymized }, all optional.
+// Answers 201 { batch }.
+import { requireApiKey } from '../../../lib/api-keys.js';
+import { createApiBatch, describeApiBatch, ApiRequestError, sendApiError } from '../../../lib/api-v1.js';
+import { logInfo, logError } from '../../../lib/log.js';
+
+export default async function handler(request, response) {
+    if (request.method === 'OPTIONS') {
+        return response.status(200).end();
+    }
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const apiKey = await requireApiKey(request, response);
+        if (!apiKey) return;
+
+        const { id, ...batch } = await createApiBatch(apiKey, request.body || {});
+        logInfo(`[API-V1] Batch ${id} created with key ${apiKey.id.slice(0, 8)} in ${apiKey.workspaceId}`);
+        return response.status(201).json({ success: true, batch: describeApiBatch(id, batch) });
+
+    } catch (error) {
+        if (error instanceof ApiRequestError) return sendApiError(response, error);
+        logError('[API-V1] Batch creation failed:', error);
+        return response.status(500).json({
+            error: 'Batch creation failed',
+            message: error.message
+        });
+    }
+}
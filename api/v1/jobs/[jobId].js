@@ -0,0 +1,36 @@
+// api/v1/jobs/[jobId].js
+// GET /api/v1/jobs/{jobId} (API key): status of a job of the key's
+// workspace, with its result once completed.
+import { requireApiKey } from '../../../lib/api-keys.js';
+import { describeApiJob } from '../../../lib/api-v1.js';
+import { getStorage } from '../../../lib/storage/index.js';
+import { logError } from '../../../lib/log.js';
+
+export default async function handler(request, response) {
+    if (request.method === 'OPTIONS') {
+        return response.status(200).end();
+    }
+    if (request.method !== 'GET') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const apiKey = await requireApiKey(request, response);
+        if (!apiKey) return;
+
+        const jobId = String(request.query?.jobId || '');
+        const storage = await getStorage();
+        const job = jobId ? await storage.getJob(jobId) : null;
+        if (!job || job.workspaceId !== apiKey.workspaceId) {
+            return response.status(404).json({ error: 'Job not found' });
+        }
+        return response.status(200).json({ success: true, job: describeApiJob(jobId, job) });
+
+    } catch (error) {
+        logError('[API-V1] Job lookup failed:', error);
+        return response.status(500).json({
+            error: 'Failed to get job',
+            message: error.message
+        });
+    }
+}
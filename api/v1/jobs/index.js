@@ -0,0 +1,42 @@
+// api/v1/jobs/index.js
+// POST /api/v1/jobs (API key): queue one resume and start processing it.
+// Body: { text } or { file: <base64>, fileName }, plus optional batchId and,
+// for jobs outside a batch, fields, requirements, structured and urgent.
+// Answers 201 { jobId, status }; GET /api/v1/jobs/{jobId} follows it, and
+// 429 once the key or its workspace has used up its daily job limit.
+import { requireApiKey } from '../../../lib/api-keys.js';
+import { createApiJob, ApiRequestError, sendApiError } from '../../../lib/api-v1.js';
+import { kickDrain } from '../../../lib/queue.js';
+import { dailyQuotaExceeded, sendQuotaError } from '../../../lib/quotas.js';
+import { logInfo, logError } from '../../../lib/log.js';
+
+export default async function handler(request, response) {
+    if (request.method === 'OPTIONS') {
+        return response.status(200).end();
+    }
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const apiKey = await requireApiKey(request, response);
+        if (!apiKey) return;
+
+        const exceeded = await dailyQuotaExceeded(`api:${apiKey.id}`, apiKey.workspaceId);
+        if (exceeded) return sendQuotaError(response, exceeded);
+
+        const jobId = await createApiJob(apiKey, request.body || {});
+        await kickDrain();
+
+        logInfo(`[API-V1] Job ${jobId} queued with key ${apiKey.id.slice(0, 8)} in ${apiKey.workspaceId}`);
+        return response.status(201).json({ success: true, jobId, status: 'pending' });
+
+    } catch (error) {
+        if (error instanceof ApiRequestError) return sendApiError(response, error);
+        logError('[API-V1] Job creation failed:', error);
+        return response.status(500).json({
+            error: 'Job creation failed',
+            message: error.message
+        });
+    }
+}
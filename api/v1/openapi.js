@@ -0,0 +1,15 @@
+// api/v1/openapi.js
+// GET /api/v1/openapi: the OpenAPI description of the REST API (lib/openapi.js).
+// Public, so API clients and tools can load it without a key.
+import { buildOpenApiSpec } from '../../lib/openapi.js';
+import { getBaseUrl } from '../../lib/queue.js';
+
+export default function handler(request, response) {
+    if (request.method === 'OPTIONS') {
+        return response.status(200).end();
+    }
+    if (request.method !== 'GET') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+    return response.status(200).json(buildOpenApiSpec(getBaseUrl()));
+}
@@ -0,0 +1,39 @@
+// api/webhook-deliveries.js
+// Cron (every minute, vercel.json): resends webhook deliveries whose receiver
+// failed once their backoff has passed, and drops records older than a week.
+// See lib/webhooks.js.
+import { retryDueDeliveries } from '../lib/webhooks.js';
+import { logInfo, logError } from '../lib/log.js';
+
+// Leaves headroom under the 10s maxDuration for the last delivery's write
+const TIME_BUDGET_MS = 8000;
+
+function isAuthorized(request) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return true;
+    return request.headers.authorization === `Bearer ${secret}`;
+}
+
+export default async function handler(request, response) {
+    if (request.method !== 'POST' && request.method !== 'GET') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+    if (!isAuthorized(request)) {
+        return response.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        const totals = await retryDueDeliveries({ until: Date.now() + TIME_BUDGET_MS });
+        if (totals.delivered + totals.retrying + totals.failed > 0) {
+            logInfo(`[WEBHOOK-DELIVERIES] ${totals.delivered} delivered, ${totals.retrying} retrying, ${totals.failed} failed, ${totals.expired} expired`);
+        }
+        return response.status(200).json({ success: true, ...totals });
+
+    } catch (error) {
+        logError('[WEBHOOK-DELIVERIES] Error:', error);
+        return response.status(500).json({
+            error: 'Webhook delivery error',
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,196 @@
+// api/workspaces.js
+// Workspace management. POST { action, ... }:
+//   list                                   -> the user's workspaces (creates the personal one, accepts invites)
+//   create        { name }                 -> new workspace with the caller as admin
+//   invite        { workspaceId, email, role }
+//   set-role      { workspaceId, memberId, role }
+//   remove-member { workspaceId, memberId }
+//   set-retention { workspaceId, textHours, dataDays } -> see lib/retention.js
+// Membership and retention changes are admin-only and a workspace always
+// keeps one admin.
+import { Timestamp, FieldValue } from 'firebase-admin/firestore';
+import { db } from '../lib/firebase.js';
+import { requireUser } from '../lib/auth.js';
+import {
+    WORKSPACES_COLLECTION,
+    INVITES_COLLECTION,
+    isValidRole,
+    inviteId,
+    roleIn,
+    countAdmins,
+    createWorkspace,
+    ensurePersonalWorkspace,
+    acceptInvites,
+    requireWorkspaceRole
+} from '../lib/workspaces.js';
+import { retentionPolicy, parseRetention } from '../lib/retention.js';
+import { logInfo, logError, userRef } from '../lib/log.js';
+
+const MAX_NAME_LENGTH = 80;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function describeWorkspace(doc, uid) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        name: data.name,
+        personal: data.personal === true,
+        role: roleIn(data, uid),
+        retention: retentionPolicy(data),
+        members: Object.entries(data.members || {}).map(([memberId, member]) => ({
+            uid: memberId,
+            email: member.email,
+            role: member.role
+        }))
+    };
+}
+
+async function listWorkspaces(user, response) {
+    await ensurePersonalWorkspace(user);
+    const accepted = await acceptInvites(user);
+
+    const snapshot = await db.collection(WORKSPACES_COLLECTION)
+        .where('memberIds', 'array-contains', user.uid)
+        .get();
+    const workspaces = snapshot.docs.map(doc => describeWorkspace(doc, user.uid));
+
+    let invites = [];
+    if (user.email) {
+        const pending = await db.collection(INVITES_COLLECTION)
+            .where('email', '==', user.email.toLowerCase())
+            .get();
+        invites = pending.docs.map(doc => ({ workspaceId: doc.data().workspaceId, workspaceName: doc.data().workspaceName }));
+    }
+
+    return response.status(200).json({ success: true, workspaces, accepted, invites });
+}
+
+async function create(user, body, response) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        return response.status(400).json({ error: 'Invalid workspace name' });
+    }
+    const workspaceId = await createWorkspace(user, name);
+    logInfo(`[WORKSPACES] ${userRef(user.uid)} created ${workspaceId}`);
+    return response.status(201).json({ success: true, workspaceId });
+}
+
+async function invite(user, body, response) {
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(email) || !isValidRole(body.role)) {
+        return response.status(400).json({ error: 'Invalid request parameters' });
+    }
+    const access = await requireWorkspaceRole(response, user, body.workspaceId, 'manage');
+    if (!access) return;
+
+    const alreadyMember = Object.values(access.workspace.members || {})
+        .some(member => member.email?.toLowerCase() === email);
+    if (alreadyMember) {
+        return response.status(409).json({ error: 'Already a member' });
+    }
+
+    await db.collection(INVITES_COLLECTION).doc(inviteId(body.workspaceId, email)).set({
+        workspaceId: body.workspaceId,
+        workspaceName: access.workspace.name,
+        email,
+        role: body.role,
+        invitedBy: user.uid,
+        createdAt: Timestamp.now()
+    });
+    logInfo(`[WORKSPACES] ${userRef(user.uid)} invited a member to ${body.workspaceId} as ${body.role}`);
+    return response.status(200).json({ success: true });
+}
+
+// Applies a membership change in a transaction so two admins demoting each
+// other cannot leave the workspace without one
+async function changeMember(user, body, response, role) {
+    const { workspaceId, memberId } = body;
+    if (!memberId || typeof memberId !== 'string' || (role !== null && !isValidRole(role))) {
+        return response.status(400).json({ error: 'Invalid request parameters' });
+    }
+    const access = await requireWorkspaceRole(response, user, workspaceId, 'manage');
+    if (!access) return;
+
+    const workspaceRef = db.collection(WORKSPACES_COLLECTION).doc(workspaceId);
+    const outcome = await db.runTransaction(async (transaction) => {
+        const workspaceDoc = await transaction.get(workspaceRef);
+        const workspace = workspaceDoc.data();
+        const current = workspace.members?.[memberId];
+        if (!current) return 'not_member';
+
+        const losesAdmin = current.role === 'admin' && role !== 'admin';
+        if (losesAdmin && countAdmins(workspace) <= 1) return 'last_admin';
+
+        if (role === null) {
+            transaction.update(workspaceRef, {
+                [`members.${memberId}`]: FieldValue.delete(),
+                memberIds: FieldValue.arrayRemove(memberId)
+            });
+        } else {
+            transaction.update(workspaceRef, { [`members.${memberId}.role`]: role });
+        }
+        return 'ok';
+    });
+
+    if (outcome === 'not_member') {
+        return response.status(404).json({ error: 'Member not found' });
+    }
+    if (outcome === 'last_admin') {
+        return response.status(409).json({ error: 'A workspace needs at least one admin' });
+    }
+    logInfo(`[WORKSPACES] ${userRef(user.uid)} set ${userRef(memberId)} in ${workspaceId} to ${role ?? 'removed'}`);
+    return response.status(200).json({ success: true });
+}
+
+async function setRetention(user, body, response) {
+    const retention = parseRetention(body);
+    if (!retention) {
+        return response.status(400).json({ error: 'Invalid retention policy' });
+    }
+    const access = await requireWorkspaceRole(response, user, body.workspaceId, 'manage');
+    if (!access) return;
+
+    await db.collection(WORKSPACES_COLLECTION).doc(body.workspaceId).update({
+        retention,
+        retentionUpdatedBy: user.uid,
+        retentionUpdatedAt: Timestamp.now()
+    });
+    logInfo(`[WORKSPACES] ${userRef(user.uid)} set retention of ${body.workspaceId} to ${retention.textHours}h text, ${retention.dataDays}d data`);
+    return response.status(200).json({ success: true, retention });
+}
+
+export default async function handler(request, response) {
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const user = await requireUser(request, response);
+        if (!user) return;
+
+        const body = request.body || {};
+        switch (body.action) {
+            case 'list':
+                return await listWorkspaces(user, response);
+            case 'create':
+                return await create(user, body, response);
+            case 'invite':
+                return await invite(user, body, response);
+            case 'set-role':
+                return await changeMember(user, body, response, body.role);
+            case 'remove-member':
+                return await changeMember(user, body, response, null);
+            case 'set-retention':
+                return await setRetention(user, body, response);
+            default:
+                return response.status(400).json({ error: 'Unknown action' });
+        }
+
+    } catch (error) {
+        logError('[WORKSPACES] Error:', error);
+        return response.status(500).json({
+            error: 'Workspace operation failed',
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,168 @@
+// js/file-intake.js
+// Builds the upload selection from the file picker, a selected folder or a
+// drop on the upload area. ZIP archives (job board exports) are unpacked in
+// the browser, folders are walked recursively, and files already selected
+// are skipped by content hash. Every file that is left out is reported with
+// a reason the recruiter can act on. Relies on the JSZip global.
+import { ACCEPTED_EXTENSIONS } from '/shared/formats.js';
+
+// Files per batch, as announced on the upload area
+export const MAX_FILES = 200;
+export const MAX_FILE_BYTES = 10 * 1024 * 1024;
+export const MAX_ARCHIVE_BYTES = 100 * 1024 * 1024;
+// Guards against archives that expand to far more than they weigh
+const MAX_ARCHIVE_ENTRIES = 2000;
+const MAX_ARCHIVE_EXPANDED_BYTES = 500 * 1024 * 1024;
+// A ZIP inside a ZIP is unpacked too, up to this depth
+const MAX_ARCHIVE_DEPTH = 3;
+
+// OS and archiver metadata that is never a resume
+const IGNORED_ENTRY = /(^|\/)(__MACOSX|\.[^/]*|Thumbs\.db|desktop\.ini)(\/|$)/i;
+
+function extensionOf(name) {
+    const match = String(name).toLowerCase().match(/\.[a-z0-9]+$/);
+    return match ? match[0] : '';
+}
+
+function baseName(path) {
+    return path.split('/').filter(Boolean).pop() || path;
+}
+
+function formatMegabytes(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+async function hashFile(file) {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Directory entry of a drop -> its files, with the folder path as the name
+async function readDirectoryEntry(entry) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+    }
+    const reader = entry.createReader();
+    const children = [];
+    // readEntries returns the listing in chunks until an empty one
+    for (;;) {
+        const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (chunk.length === 0) break;
+        children.push(...chunk);
+    }
+    const nested = await Promise.all(children.map(readDirectoryEntry));
+    return nested.flat();
+}
+
+// Files of a drop: [{ file, path }], folders included. The items are only
+// readable while the drop event runs, so they are read before any await.
+export async function filesFromDataTransfer(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.());
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+        return Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+    }
+    const files = await Promise.all(entries.map(readDirectoryEntry));
+    return files.flat();
+}
+
+// Files of the picker or a folder input: [{ file, path }]
+export function filesFromInput(fileList) {
+    return Array.from(fileList).map(file => ({ file, path: file.webkitRelativePath || file.name }));
+}
+
+async function unpackArchive(file, path, depth, rejected) {
+    if (file.size > MAX_ARCHIVE_BYTES) {
+        rejected.push({ name: path, reason: `arquivo compactado maior que ${formatMegabytes(MAX_ARCHIVE_BYTES)}` });
+        return [];
+    }
+    if (depth >= MAX_ARCHIVE_DEPTH) {
+        rejected.push({ name: path, reason: 'arquivos compactados aninhados demais' });
+        return [];
+    }
+
+    let zip;
+    try {
+        zip = await globalThis.JSZip.loadAsync(file);
+    } catch {
+        rejected.push({ name: path, reason: 'arquivo compactado corrompido ou protegido por senha' });
+        return [];
+    }
+
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && !IGNORED_ENTRY.test(entry.name));
+    if (entries.length > MAX_ARCHIVE_ENTRIES) {
+        rejected.push({ name: path, reason: `mais de ${MAX_ARCHIVE_ENTRIES} arquivos dentro do compactado` });
+        return [];
+    }
+
+    const files = [];
+    let expanded = 0;
+    for (const entry of entries) {
+        const entryPath = `${path}/${entry.name}`;
+        // Declared size from the central directory, checked before inflating
+        const declared = entry._data?.uncompressedSize ?? 0;
+        if (declared > MAX_FILE_BYTES && extensionOf(entry.name) !== '.zip') {
+            rejected.push({ name: entryPath, reason: `maior que ${formatMegabytes(MAX_FILE_BYTES)}` });
+            continue;
+        }
+        if (!ACCEPTED_EXTENSIONS.includes(extensionOf(entry.name)) && extensionOf(entry.name) !== '.zip') {
+            rejected.push({ name: entryPath, reason: 'formato não suportado' });
+            continue;
+        }
+        const blob = await entry.async('blob');
+        expanded += blob.size;
+        if (expanded > MAX_ARCHIVE_EXPANDED_BYTES) {
+            rejected.push({ name: path, reason: `conteúdo descompactado maior que ${formatMegabytes(MAX_ARCHIVE_EXPANDED_BYTES)}; o restante foi ignorado` });
+            break;
+        }
+        files.push(...await expandSource({ file: new File([blob], baseName(entry.name)), path: entryPath }, depth + 1, rejected));
+    }
+    return files;
+}
+
+async function expandSource({ file, path }, depth, rejected) {
+    if (IGNORED_ENTRY.test(path)) return [];
+    const extension = extensionOf(file.name);
+    if (extension === '.zip') return unpackArchive(file, path, depth, rejected);
+    if (!ACCEPTED_EXTENSIONS.includes(extension)) {
+        rejected.push({ name: path, reason: 'formato não suportado' });
+        return [];
+    }
+    if (file.size === 0) {
+        rejected.push({ name: path, reason: 'arquivo vazio' });
+        return [];
+    }
+    if (file.size > MAX_FILE_BYTES) {
+        rejected.push({ name: path, reason: `maior que ${formatMegabytes(MAX_FILE_BYTES)}` });
+        return [];
+    }
+    return [{ file, path }];
+}
+
+// Add sources ([{ file, path }]) to the current selection ([{ file, path, hash }]).
+// Returns { files, rejected: [{ name, reason }] } with files being the new
+// selection: archives unpacked, identical content kept once, at most MAX_FILES.
+export async function addToSelection(selection, sources) {
+    const rejected = [];
+    const files = [...selection];
+    const hashes = new Map(selection.map(entry => [entry.hash, entry.path]));
+
+    for (const source of sources) {
+        for (const candidate of await expandSource(source, 0, rejected)) {
+            const hash = await hashFile(candidate.file);
+            if (hashes.has(hash)) {
+                rejected.push({ name: candidate.path, reason: `conteúdo idêntico a ${hashes.get(hash)}` });
+                continue;
+            }
+            if (files.length >= MAX_FILES) {
+                rejected.push({ name: candidate.path, reason: `limite de ${MAX_FILES} arquivos por lote atingido` });
+                continue;
+            }
+            hashes.set(hash, candidate.path);
+            files.push({ ...candidate, hash });
+        }
+    }
+    return { files, rejected };
+}
@@ -0,0 +1,70 @@
+// js/ocr.js
+// Local OCR for scanned resumes. tesseract.js runs in a Web Worker and loads
+// its WASM core and the Portuguese language data from /vendor/ocr (copied by
+// "npm run build"), so page images never leave the browser.
+
+const OCR_ASSETS = '/vendor/ocr';
+const OCR_LANGUAGE = 'por';
+
+// Pages with fewer extracted characters than this are treated as scanned
+export const MIN_CHARS_PER_PAGE = 40;
+
+// Render scale for PDF pages; ~200 DPI is enough for Tesseract
+const RENDER_SCALE = 2.5;
+
+let workerPromise = null;
+let progressHandler = null;
+
+async function getWorker() {
+    if (!workerPromise) {
+        workerPromise = (async () => {
+            const { createWorker } = await import(`${OCR_ASSETS}/tesseract.esm.min.js`);
+            return createWorker(OCR_LANGUAGE, 1, {
+                workerPath: `${OCR_ASSETS}/worker.min.js`,
+                corePath: `${OCR_ASSETS}/core`,
+                langPath: `${OCR_ASSETS}/lang`,
+                workerBlobURL: false,
+                logger: (message) => {
+                    if (message.status === 'recognizing text' && progressHandler) {
+                        progressHandler(message.progress);
+                    }
+                }
+            });
+        })();
+        // Allow a later retry if the assets failed to load
+        workerPromise.catch(() => { workerPromise = null; });
+    }
+    return workerPromise;
+}
+
+// The worker handles one image at a time, so calls are chained to keep the
+// progress callback attached to the page actually being recognized.
+let queue = Promise.resolve();
+
+export function recognizeImage(image, onProgress) {
+    const run = queue.then(async () => {
+        const worker = await getWorker();
+        progressHandler = onProgress || null;
+        try {
+            const { data } = await worker.recognize(image);
+            return data.text || '';
+        } finally {
+            progressHandler = null;
+        }
+    });
+    queue = run.catch(() => {});
+    return run;
+}
+
+export async function renderPdfPage(page) {
+    const viewport = page.getViewport({ scale: RENDER_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas;
+}
+
+export function countTextChars(text) {
+    return String(text || '').replace(/\s+/g, '').length;
+}
@@ -0,0 +1,139 @@
+// js/text-extraction.js
+// Browser-side text extraction: detects the resume format and converts it to
+// plain text before the job is queued. Relies on the pdf.js and JSZip globals
+// loaded by index.html. Scanned pages and images go through local OCR.
+import {
+    FileExtractionError,
+    FORMAT_LABELS,
+    sniffFormat,
+    resolveZipFormat,
+    decodeText,
+    docxXmlToText,
+    odtXmlToText,
+    htmlToText,
+    rtfToText
+} from '/shared/formats.js';
+import { MIN_CHARS_PER_PAGE, recognizeImage, renderPdfPage, countTextChars } from '/js/ocr.js';
+
+function readFileBytes(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+        reader.onerror = () => reject(new FileExtractionError('read_error', 'Não foi possível ler o arquivo'));
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+// Report OCR work to the caller: "page-queued" when a page needs OCR,
+// "page-progress" with a 0..1 fraction, then "page-done".
+async function ocrImage(image, onOcrProgress) {
+    onOcrProgress({ type: 'page-queued' });
+    try {
+        return await recognizeImage(image, progress => onOcrProgress({ type: 'page-progress', progress }));
+    } catch (err) {
+        console.error('OCR error:', err);
+        throw new FileExtractionError('ocr_failed', 'Falha no OCR do documento digitalizado');
+    } finally {
+        onOcrProgress({ type: 'page-done' });
+    }
+}
+
+async function extractPdf(bytes, onOcrProgress) {
+    const { pdfjsLib } = globalThis;
+    let pdf;
+    try {
+        pdf = await pdfjsLib.getDocument({ data: bytes }).promise;
+    } catch (err) {
+        if (err?.name === 'PasswordException') {
+            throw new FileExtractionError('encrypted', 'PDF protegido por senha');
+        }
+        throw new FileExtractionError('corrupt_file', 'PDF corrompido ou inválido');
+    }
+
+    let fullText = '';
+    let ocrPages = 0;
+    for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        const textContent = await page.getTextContent();
+        let pageText = textContent.items.map(item => item.str).join(' ');
+
+        // No usable text layer: render the page and OCR the image instead
+        if (countTextChars(pageText) < MIN_CHARS_PER_PAGE) {
+            const canvas = await renderPdfPage(page);
+            const ocrText = await ocrImage(canvas, onOcrProgress);
+            canvas.width = canvas.height = 0; // Free the bitmap right away
+            if (countTextChars(ocrText) > countTextChars(pageText)) {
+                pageText = ocrText;
+                ocrPages++;
+            }
+        }
+        fullText += pageText + '\n';
+    }
+    return { text: fullText, ocr: ocrPages > 0, ocrPages, pages: pdf.numPages };
+}
+
+async function extractZipDocument(bytes) {
+    let zip;
+    try {
+        zip = await globalThis.JSZip.loadAsync(bytes);
+    } catch {
+        throw new FileExtractionError('corrupt_file', 'Arquivo compactado corrompido');
+    }
+
+    const mimetype = zip.file('mimetype') ? await zip.file('mimetype').async('string') : '';
+    const format = resolveZipFormat(Object.keys(zip.files), mimetype);
+
+    if (format === 'docx') {
+        const xml = await zip.file('word/document.xml').async('string');
+        return { format, text: docxXmlToText(xml) };
+    }
+    if (format === 'odt') {
+        const entry = zip.file('content.xml');
+        if (!entry) throw new FileExtractionError('corrupt_file', 'Documento ODT sem conteúdo');
+        return { format, text: odtXmlToText(await entry.async('string')) };
+    }
+    throw new FileExtractionError('unsupported_format', 'Arquivo ZIP não é um documento DOCX ou ODT');
+}
+
+// Returns { text, format, pages, ocr, ocrPages } or throws FileExtractionError
+// with a message that can be shown to the recruiter as-is. The whole document
+// is read; "pages" is 1 for formats without page information.
+export async function extractTextFromFile(file, { onOcrProgress = () => {} } = {}) {
+    const bytes = await readFileBytes(file);
+    if (bytes.length === 0) {
+        throw new FileExtractionError('empty_file', 'Arquivo vazio');
+    }
+
+    const format = sniffFormat(bytes, file.name);
+    let result;
+
+    switch (format) {
+        case 'pdf':
+            result = { format, ...await extractPdf(bytes, onOcrProgress) };
+            break;
+        case 'image':
+            result = { format, text: await ocrImage(file, onOcrProgress), ocr: true, ocrPages: 1 };
+            break;
+        case 'zip':
+            result = await extractZipDocument(bytes);
+            break;
+        case 'rtf':
+            result = { format, text: rtfToText(decodeText(bytes)) };
+            break;
+        case 'html':
+            result = { format, text: htmlToText(decodeText(bytes)) };
+            break;
+        case 'txt':
+            result = { format, text: decodeText(bytes) };
+            break;
+        case 'doc':
+            throw new FileExtractionError('unsupported_format', 'Formato DOC (Word 97-2003) não suportado; salve como DOCX ou PDF');
+        default:
+            throw new FileExtractionError('unsupported_format', 'Formato de arquivo não reconhecido');
+    }
+
+    if (!result.text.trim()) {
+        throw new FileExtractionError('empty_text', `Nenhum texto encontrado no ${FORMAT_LABELS[result.format]}`);
+    }
+    return { pages: 1, ocr: false, ocrPages: 0, ...result };
+}
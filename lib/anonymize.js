@@ -0,0 +1,181 @@
+// lib/anonymize.js
+// Blind-hiring ("anonimizado") runs. The job is extracted as usual; then the
+// identifying fields are kept apart in candidate_identities/{jobId}, which
+// only the server reads (api/reveal-identity), and the job stores a redacted
+// result, a redacted copy of the resume text and masked evidence snippets.
+// The page (or api/v1) created the job under a candidate code instead of the
+// file name, with the raw resume text in the identity document rather than on
+// the job every workspace member reads; it is dropped there as soon as the
+// job reaches a final status. Review reasons and merge conflicts keep only
+// the field names on the job; the values they compare go to the identity
+// document too.
+import { randomBytes } from 'node:crypto';
+import { Timestamp, FieldValue } from 'firebase-admin/firestore';
+import { db } from './firebase.js';
+import { foldText } from './provenance.js';
+import { normalizeName } from '../shared/dedupe.js';
+
+export const IDENTITIES_COLLECTION = 'candidate_identities';
+
+export const HIDDEN = '[oculto]';
+
+// Same alphabet as the page's codes: no 0/O or 1/I to misread
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Field keys that identify the candidate or give away age or gender
+const IDENTITY_KEY = /^(nome|idade|e_?mail|emails|contatos?|telefones?|celular|whatsapp|endereco(_\w+)?|cep|data_(de_)?nascimento|nascimento|genero|sexo|foto|linkedin|cpf|rg|estado_civil)$/;
+
+// Replaced in order; later patterns see the earlier masks
+const TEXT_MASKS = [
+    [/[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[a-z]{2,}/gi, '[email]'],
+    [/(https?:\/\/)?(www\.)?(linkedin\.com|facebook\.com|instagram\.com|github\.com)\/\S+/gi, '[perfil]'],
+    [/(?<![\w.-])\d{3}\.?\d{3}\.?\d{3}-?\d{2}(?![\w-])/g, '[documento]'],
+    [/(?<![\w./-])(?:\+?\d{1,3}[\s.-]?)?(?:\(?\d{2}\)?[\s.-]?)?\d{4,5}[\s.-]?\d{4}(?![\w-])/g, '[telefone]'],
+    [/\b\d{5}-?\d{3}\b/g, '[cep]'],
+    // Address lines: street types at the start of a line or after "Endereço"
+    [/^[ \t]*(endere[cç]o\s*:?|rua|r\.|avenida|av\.|travessa|alameda|rodovia|estrada|pra[cç]a)\s[^\n]*/gim, '[endereço]'],
+    // "Nascimento: 12/03/1990", "Idade: 34 anos", "Sexo: feminino"
+    [/\b(data de nascimento|nascimento|nascid[oa] em|idade|sexo|g[eê]nero|estado civil)\b\s*[:-]?[^\n]*/gi, '$1: [oculto]'],
+    [/\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/g, '[data]'],
+    [/\b\d{2}\s+anos\b(?!\s+de\s+(experi|atua|carreira|mercado))/gi, '[idade]'],
+    // Gendered civil status and nationality words
+    [/\b(brasileir[oa]|solteir[oa]|casad[oa]|divorciad[oa]|vi[uú]v[oa]|separad[oa])\b/gi, '[oculto]']
+];
+
+// Each part of the candidate's name, wherever it appears, accents ignored
+function maskName(text, name) {
+    const parts = normalizeName(name).split(' ').filter(part => part.length >= 3);
+    if (parts.length === 0) return text;
+    const pattern = new RegExp(`\\b(${parts.join('|')})\\b`, 'g');
+    const folded = foldText(text);
+    let masked = '';
+    let last = 0;
+    for (const match of folded.matchAll(pattern)) {
+        masked += `${text.slice(last, match.index)}[nome]`;
+        last = match.index + match[0].length;
+    }
+    return masked + text.slice(last);
+}
+
+export function isIdentityKey(key) {
+    return IDENTITY_KEY.test(key);
+}
+
+export function redactText(text, identity = {}) {
+    let redacted = maskName(String(text || ''), identity.nome);
+    TEXT_MASKS.forEach(([pattern, mask]) => {
+        redacted = redacted.replace(pattern, mask);
+    });
+    return redacted;
+}
+
+function redactValue(value, identity) {
+    if (typeof value === 'string') return redactText(value, identity);
+    if (Array.isArray(value)) return value.map(item => redactValue(item, identity));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, identity)]));
+    }
+    return value;
+}
+
+function hiddenValue(value) {
+    if (value === undefined || value === null || value === '') return value;
+    if (Array.isArray(value)) return value.length > 0 ? [HIDDEN] : value;
+    if (typeof value === 'number') return null;
+    return HIDDEN;
+}
+
+export function candidateLabel(code) {
+    return `Candidato ${code}`;
+}
+
+// Split an extraction into what the job keeps and what only a reveal shows.
+// Returns { result, identity, redactedText, provenance, reviewReasons,
+// conflicts, comparisons }; comparisons holds the original reasons and conflicts.
+export function anonymizeExtraction({ data, text, provenance = {}, candidateCode, reviewReasons = [], conflicts = [] }) {
+    const identity = {};
+    const result = {};
+    Object.entries(data || {}).forEach(([key, value]) => {
+        if (IDENTITY_KEY.test(key)) {
+            identity[key] = value;
+            result[key] = key === 'nome' ? candidateLabel(candidateCode) : hiddenValue(value);
+        }
+    });
+    Object.entries(data || {}).forEach(([key, value]) => {
+        if (!(key in result)) result[key] = redactValue(value, identity);
+    });
+
+    const maskedProvenance = Object.fromEntries(Object.entries(provenance).map(([key, entry]) => [
+        key,
+        { ...entry, snippet: IDENTITY_KEY.test(key) ? '' : redactText(entry.snippet, identity) }
+    ]));
+
+    return {
+        result,
+        identity,
+        redactedText: redactText(text, identity),
+        provenance: maskedProvenance,
+        reviewReasons: reviewReasons.map(({ llm, regex, ...reason }) => reason),
+        conflicts: conflicts.map(({ field }) => ({ field })),
+        comparisons: { reviewReasons, conflicts }
+    };
+}
+
+// Code for a job posted to the REST API, like the ones the page assigns
+export function newCandidateCode() {
+    return `C-${Array.from(randomBytes(6), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('')}`;
+}
+
+// Jobs created before codes were assigned by the page
+export function fallbackCandidateCode(jobId) {
+    return `C-${String(jobId).slice(0, 6).toUpperCase()}`;
+}
+
+// The identity document was created by the page with the original file name
+export async function saveIdentity(jobId, jobData, { identity, candidateCode, comparisons }) {
+    await db.collection(IDENTITIES_COLLECTION).doc(jobId).set({
+        jobId,
+        workspaceId: jobData.workspaceId,
+        batchId: jobData.batchId || null,
+        candidateCode,
+        identity,
+        comparisons,
+        extractedAt: Timestamp.now()
+    }, { merge: true });
+}
+
+// Job update for an anonymized job reaching a final status; jobs created
+// before the text moved to the identity document carry it themselves
+export function dropRawText() {
+    return { text: FieldValue.delete(), textPurgedAt: Timestamp.now() };
+}
+
+// Raw text of an anonymized job, from its identity document. api/v1 writes
+// that document right after the job, so a missing text is worth a retry.
+export async function loadRawText(jobId) {
+    const doc = await identityRef(jobId).get();
+    const data = doc.exists ? doc.data() : {};
+    if (data.textPurgedAt) {
+        throw new Error('Texto do currículo já removido do processo anonimizado; envie o arquivo novamente');
+    }
+    if (typeof data.text !== 'string') {
+        const error = new Error('Texto do currículo ainda não disponível');
+        error.transient = true;
+        throw error;
+    }
+    return data.text;
+}
+
+// Drop the raw text kept with the identity once the job is final
+export async function dropIdentityText(jobId) {
+    try {
+        await identityRef(jobId).update({ text: FieldValue.delete(), textPurgedAt: Timestamp.now() });
+    } catch (error) {
+        // Already erased together with the job
+        if (error.code !== 5) throw error;
+    }
+}
+
+export function identityRef(jobId) {
+    return db.collection(IDENTITIES_COLLECTION).doc(jobId);
+}
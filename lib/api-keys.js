@@ -0,0 +1,129 @@
+// lib/api-keys.js
+// Workspace API keys for the REST API (api/v1). A key is "ek_" plus 32
+// random bytes, shown once when an admin creates it; only its SHA-256 is
+// stored, as the document ID in api_keys, with the workspace it acts for.
+// Revoked keys stay listed with revokedAt. On the storage backends without
+// Firebase the keys come from LOCAL_API_KEYS (lib/local-users.js).
+import { createHash, randomBytes } from 'node:crypto';
+import { Timestamp } from 'firebase-admin/firestore';
+import { db } from './firebase.js';
+import { usesFirestore } from './storage/index.js';
+import { localApiKeyWorkspace, localApiKeys } from './local-users.js';
+import { logError } from './log.js';
+
+export const API_KEYS_COLLECTION = 'api_keys';
+
+const KEY_PREFIX = 'ek_';
+// Characters of the key kept for display ("ek_AbCd1234…")
+const VISIBLE_CHARS = 11;
+const MAX_KEYS_PER_WORKSPACE = 20;
+// lastUsedAt is written at most this often per key
+const USAGE_WRITE_MS = 5 * 60 * 1000;
+
+export function hashKey(key) {
+    return createHash('sha256').update(String(key)).digest('hex');
+}
+
+function describeKey(doc) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        name: data.name,
+        prefix: data.prefix,
+        createdByEmail: data.createdByEmail || null,
+        createdAt: data.createdAt?.toDate?.().toISOString() || null,
+        lastUsedAt: data.lastUsedAt?.toDate?.().toISOString() || null,
+        revokedAt: data.revokedAt?.toDate?.().toISOString() || null
+    };
+}
+
+export async function listApiKeys(workspaceId) {
+    if (!usesFirestore()) {
+        return localApiKeys(workspaceId).map(key => ({
+            id: hashKey(key),
+            name: 'LOCAL_API_KEYS',
+            prefix: `${key.slice(0, VISIBLE_CHARS)}…`,
+            createdByEmail: null,
+            createdAt: null,
+            lastUsedAt: null,
+            revokedAt: null
+        }));
+    }
+    const snapshot = await db.collection(API_KEYS_COLLECTION)
+        .where('workspaceId', '==', workspaceId)
+        .get();
+    return snapshot.docs
+        .map(describeKey)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Returns { key, ...description }, or null when the workspace has too many active keys
+export async function createApiKey(workspaceId, name, user) {
+    const active = await db.collection(API_KEYS_COLLECTION)
+        .where('workspaceId', '==', workspaceId)
+        .where('revokedAt', '==', null)
+        .get();
+    if (active.size >= MAX_KEYS_PER_WORKSPACE) return null;
+
+    const key = `${KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+    const ref = db.collection(API_KEYS_COLLECTION).doc(hashKey(key));
+    await ref.set({
+        workspaceId,
+        name,
+        prefix: `${key.slice(0, VISIBLE_CHARS)}…`,
+        createdBy: user.uid,
+        createdByEmail: user.email || null,
+        createdAt: Timestamp.now(),
+        lastUsedAt: null,
+        revokedAt: null
+    });
+    return { key, ...describeKey(await ref.get()) };
+}
+
+// False when the key does not belong to the workspace
+export async function revokeApiKey(workspaceId, keyId, user) {
+    const ref = db.collection(API_KEYS_COLLECTION).doc(String(keyId));
+    const doc = await ref.get();
+    if (!doc.exists || doc.data().workspaceId !== workspaceId) return false;
+    if (!doc.data().revokedAt) {
+        await ref.update({ revokedAt: Timestamp.now(), revokedBy: user.uid });
+    }
+    return true;
+}
+
+// { id, workspaceId, name } for an active key, otherwise null
+export async function verifyApiKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+    if (!usesFirestore()) {
+        const workspaceId = localApiKeyWorkspace(key);
+        return workspaceId ? { id: hashKey(key), workspaceId, name: 'LOCAL_API_KEYS' } : null;
+    }
+
+    const ref = db.collection(API_KEYS_COLLECTION).doc(hashKey(key));
+    const doc = await ref.get();
+    if (!doc.exists || doc.data().revokedAt) return null;
+
+    const data = doc.data();
+    const lastUsed = data.lastUsedAt?.toMillis() ?? 0;
+    if (Date.now() - lastUsed > USAGE_WRITE_MS) {
+        await ref.update({ lastUsedAt: Timestamp.now() })
+            .catch(error => logError('[API-KEYS] Failed to record usage:', error));
+    }
+    return { id: doc.id, workspaceId: data.workspaceId, name: data.name };
+}
+
+// Handler helper: answers 401 and returns null unless the request carries an
+// active key as "Authorization: Bearer ek_..."
+export async function requireApiKey(request, response) {
+    const header = request.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    const apiKey = match ? await verifyApiKey(match[1].trim()) : null;
+    if (!apiKey) {
+        response.status(401).json({
+            error: 'Unauthorized',
+            message: match ? 'Invalid or revoked API key' : 'Missing API key'
+        });
+        return null;
+    }
+    return apiKey;
+}
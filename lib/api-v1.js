@@ -0,0 +1,241 @@
+// lib/api-v1.js
+// Shared by the REST API handlers (api/v1): building a job from a posted
+// resume the way the page's createJob does, and the public shape of jobs and
+// batches. API jobs carry userId "api:<keyId>" and source "api"; a job
+// posted into a batch takes the batch's fields, requirements, priority,
+// retention and anonymization. Jobs without a batch are removed
+// JOB_RETENTION_HOURS after they finish (lib/retention.js).
+import { Timestamp } from 'firebase-admin/firestore';
+import { normalizeFields, fieldsFromKeys, DEFAULT_FIELDS } from '../shared/fields.js';
+import { normalizeRequirements } from '../shared/requirements.js';
+import { initialTextExpiry } from '../shared/retention.js';
+import { FileExtractionError } from '../shared/formats.js';
+import { extractTextFromBytes } from './file-text.js';
+import { getStorage, usesFirestore } from './storage/index.js';
+import { getWorkspace } from './workspaces.js';
+import { retentionPolicy } from './retention.js';
+import { newCandidateCode, identityRef } from './anonymize.js';
+import { hasAnonymousKey } from './dedupe.js';
+import { HIGH_PRIORITY } from './queue.js';
+
+export const API_VERSION = 'v1';
+
+// Vercel caps request bodies at 4.5 MB and base64 adds a third
+export const MAX_FILE_BYTES = 3 * 1024 * 1024;
+// Same cap as the page (index.html): Firestore documents are limited to 1 MiB
+const MAX_STORED_TEXT_CHARS = 300000;
+const MAX_FILE_NAME_LENGTH = 200;
+const MAX_BATCH_NAME_LENGTH = 120;
+// The page's batch retention choices
+export const RETENTION_DAY_OPTIONS = [7, 30, 90, 180, 365];
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error for a request the API refuses; status is the HTTP status to answer with
+export class ApiRequestError extends Error {
+    constructor(status, error, message) {
+        super(message || error);
+        this.status = status;
+        this.error = error;
+    }
+}
+
+export function sendApiError(response, error) {
+    return response.status(error.status).json({ error: error.error, message: error.message });
+}
+
+function toIso(timestamp) {
+    return timestamp?.toDate?.().toISOString() || null;
+}
+
+// Field definitions, or keys of the default fields; the default fields otherwise
+function resolveFields(input) {
+    if (!Array.isArray(input) || input.length === 0) return DEFAULT_FIELDS.map(field => ({ ...field }));
+    return input.every(item => typeof item === 'string') ? fieldsFromKeys(input) : normalizeFields(input);
+}
+
+// The resume's text with what the page records about its file:
+// { text, fileName, format, pages, ocr, ocrPages }
+async function readResume(body) {
+    const fileName = typeof body.fileName === 'string' ? body.fileName.trim().substring(0, MAX_FILE_NAME_LENGTH) : '';
+
+    if (typeof body.text === 'string' && body.text.trim()) {
+        return { text: body.text, fileName: fileName || 'curriculo.txt', format: 'txt', pages: 1, ocr: false, ocrPages: 0 };
+    }
+    if (typeof body.file !== 'string' || !body.file) {
+        throw new ApiRequestError(400, 'Invalid request parameters', 'Send the resume as "text" or as a base64 "file" with its "fileName"');
+    }
+    if (!fileName) {
+        throw new ApiRequestError(400, 'Invalid request parameters', '"fileName" is required with "file"');
+    }
+
+    const bytes = new Uint8Array(Buffer.from(body.file, 'base64'));
+    if (bytes.length > MAX_FILE_BYTES) {
+        throw new ApiRequestError(413, 'File too large', `Files are limited to ${MAX_FILE_BYTES / 1024 / 1024} MB`);
+    }
+    try {
+        return { ...await extractTextFromBytes(bytes, fileName), fileName };
+    } catch (error) {
+        if (error instanceof FileExtractionError) {
+            throw new ApiRequestError(422, 'Unreadable file', error.message);
+        }
+        throw error;
+    }
+}
+
+async function loadBatch(storage, apiKey, batchId) {
+    const batch = await storage.getBatch(String(batchId));
+    if (!batch || batch.workspaceId !== apiKey.workspaceId) {
+        throw new ApiRequestError(404, 'Batch not found');
+    }
+    if (batch.control === 'cancelled') {
+        throw new ApiRequestError(409, 'Batch cancelled');
+    }
+    return batch;
+}
+
+// Queue a resume posted with an API key. Returns the job ID; throws
+// ApiRequestError for requests to refuse.
+export async function createApiJob(apiKey, body = {}) {
+    const storage = await getStorage();
+    const batch = body.batchId ? await loadBatch(storage, apiKey, body.batchId) : null;
+    const resume = await readResume(body);
+
+    const anonymized = batch?.anonymized === true;
+    const candidateCode = anonymized ? newCandidateCode() : null;
+    const extension = resume.fileName.match(/\.[^.]+$/)?.[0] || '';
+    const fields = batch?.fields ? normalizeFields(batch.fields) : resolveFields(body.fields);
+    const textTruncated = resume.text.length > MAX_STORED_TEXT_CHARS;
+    const text = resume.text.substring(0, MAX_STORED_TEXT_CHARS);
+
+    const jobId = await storage.createJob({
+        userId: `api:${apiKey.id}`,
+        apiKeyId: apiKey.id,
+        source: 'api',
+        uploaderEmail: null,
+        workspaceId: apiKey.workspaceId,
+        batchId: body.batchId ? String(body.batchId) : null,
+        expiresAt: batch?.expiresAt || null,
+        textExpiresAt: Timestamp.fromMillis(initialTextExpiry(batch?.expiresAt?.toMillis?.() ?? null)),
+        requirements: batch ? batch.requirements || null : normalizeRequirements(body.requirements),
+        priority: batch ? batch.priority || 0 : (body.urgent === true ? HIGH_PRIORITY : 0),
+        ...(anonymized ? { anonymized: true, candidateCode } : {}),
+        fileName: anonymized ? `${candidateCode}${extension}` : resume.fileName,
+        format: resume.format,
+        ocr: resume.ocr,
+        ocrPages: resume.ocrPages,
+        pages: resume.pages,
+        pagesRead: resume.pages,
+        chars: resume.text.length,
+        textTruncated,
+        // An anonymized job's raw text stays with the identity, which only the server reads
+        ...(anonymized ? {} : { text }),
+        templateId: batch?.templateId || null,
+        fields,
+        selectedFields: fields.map(field => field.key),
+        structured: batch ? batch.structured === true : body.structured === true,
+        status: 'pending',
+        createdAt: Timestamp.now()
+    }, batch ? { queued: 1, files: 1 } : null);
+
+    // Merged, in case the worker claimed the job first (it retries until the text is here)
+    if (anonymized) {
+        await identityRef(jobId).set({
+            jobId,
+            userId: `api:${apiKey.id}`,
+            workspaceId: apiKey.workspaceId,
+            batchId: String(body.batchId),
+            candidateCode,
+            fileName: resume.fileName,
+            text,
+            createdAt: Timestamp.now()
+        }, { merge: true });
+    }
+    return jobId;
+}
+
+// Create a batch for API jobs, with the options of the page's batch form
+export async function createApiBatch(apiKey, body = {}) {
+    const anonymized = body.anonymized === true;
+    if (anonymized && !usesFirestore()) {
+        throw new ApiRequestError(400, 'Invalid request parameters', 'Anonymized batches need the Firestore backend');
+    }
+    if (anonymized && !hasAnonymousKey()) {
+        throw new ApiRequestError(400, 'Invalid request parameters', 'Anonymized batches need ANON_TOKEN_SECRET on the server');
+    }
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (name.length > MAX_BATCH_NAME_LENGTH) {
+        throw new ApiRequestError(400, 'Invalid request parameters', `"name" is limited to ${MAX_BATCH_NAME_LENGTH} characters`);
+    }
+    const requested = body.retentionDays === undefined ? DEFAULT_RETENTION_DAYS : Number(body.retentionDays);
+    if (!RETENTION_DAY_OPTIONS.includes(requested)) {
+        throw new ApiRequestError(400, 'Invalid request parameters', `"retentionDays" must be one of ${RETENTION_DAY_OPTIONS.join(', ')}`);
+    }
+
+    const policy = retentionPolicy(await getWorkspace(apiKey.workspaceId));
+    const retentionDays = Math.min(requested, policy.dataDays);
+    const jobOpening = typeof body.jobOpening === 'string' ? body.jobOpening.trim().substring(0, MAX_BATCH_NAME_LENGTH) : '';
+    const date = new Date().toLocaleDateString('pt-BR');
+    const storage = await getStorage();
+
+    const batch = {
+        workspaceId: apiKey.workspaceId,
+        name: name || (jobOpening ? `${jobOpening} - ${date}` : `Lote da API de ${date}`),
+        jobOpening: jobOpening || null,
+        createdBy: `api:${apiKey.id}`,
+        createdByEmail: null,
+        source: 'api',
+        createdAt: Timestamp.now(),
+        retentionDays,
+        expiresAt: Timestamp.fromMillis(Date.now() + retentionDays * DAY_MS),
+        templateId: null,
+        templateName: null,
+        fields: resolveFields(body.fields),
+        structured: body.structured === true,
+        requirements: normalizeRequirements(body.requirements),
+        priority: body.urgent === true ? HIGH_PRIORITY : 0,
+        anonymized,
+        stats: { files: 0, queued: 0, unreadable: 0, completed: 0, failed: 0, cancelled: 0 }
+    };
+    const batchId = await storage.createBatch(batch);
+    return { id: batchId, ...batch };
+}
+
+// Public shape of a job; the result only once it completed
+export function describeApiJob(id, data) {
+    const completed = data.status === 'completed';
+    return {
+        id,
+        status: data.status === 'dead_letter' ? 'failed' : data.status,
+        batchId: data.batchId || null,
+        fileName: data.fileName || null,
+        candidateCode: data.candidateCode || null,
+        attempts: data.attempts || 0,
+        error: data.error || null,
+        createdAt: toIso(data.createdAt),
+        finishedAt: toIso(data.finishedAt),
+        ...(completed
+            ? {
+                result: data.result || null,
+                needsReview: data.needsReview === true,
+                reviewReasons: data.reviewReasons || [],
+                match: data.match || null,
+                duplicates: (data.duplicates || []).map(duplicate => duplicate.jobId).filter(Boolean)
+            }
+            : {})
+    };
+}
+
+export function describeApiBatch(id, data) {
+    return {
+        id,
+        name: data.name,
+        jobOpening: data.jobOpening || null,
+        control: data.control || 'running',
+        anonymized: data.anonymized === true,
+        retentionDays: data.retentionDays ?? null,
+        stats: data.stats || {},
+        createdAt: toIso(data.createdAt),
+        expiresAt: toIso(data.expiresAt)
+    };
+}
@@ -0,0 +1,25 @@
+// lib/audit.js
+// Append-only audit log of who viewed, exported or deleted candidate data.
+// Entries are { workspaceId, actor, action, target, details, at }: actor is
+// a user ID or 'system' (retention), target a batch/job ID or a short label.
+// Details never carry candidate PII, only IDs, counts and hashes.
+// firestore.rules lets members append their own view/export/delete entries
+// and admins read them; nobody updates or deletes an entry. Server entries
+// go to the configured storage backend (lib/storage).
+import { Timestamp } from 'firebase-admin/firestore';
+import { getStorage } from './storage/index.js';
+
+export const AUDIT_COLLECTION = 'audit_log';
+export const SYSTEM_ACTOR = 'system';
+
+export async function recordAudit({ workspaceId, actor, action, target = null, details = {} }) {
+    const storage = await getStorage();
+    await storage.appendAudit({
+        workspaceId: workspaceId || null,
+        actor,
+        action,
+        target,
+        details,
+        at: Timestamp.now()
+    });
+}
@@ -0,0 +1,48 @@
+// lib/auth.js
+// Request authentication: the browser sends its Firebase ID token as
+// "Authorization: Bearer <token>" and the user is derived from it, never
+// from the request body. On the storage backends without Firebase the bearer
+// token is one of the LOCAL_USERS tokens instead (lib/local-users.js).
+import { auth } from './firebase.js';
+import { usesFirestore } from './storage/index.js';
+import { localUser } from './local-users.js';
+
+export class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+    }
+}
+
+// Returns { uid, email, emailVerified } for a valid token; throws AuthError otherwise
+export async function verifyRequest(request) {
+    const header = request.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        throw new AuthError('Missing bearer token');
+    }
+
+    if (!usesFirestore()) {
+        const user = localUser(match[1]);
+        if (!user) throw new AuthError('Invalid token: unknown local user');
+        return user;
+    }
+
+    try {
+        const decoded = await auth.verifyIdToken(match[1]);
+        return { uid: decoded.uid, email: decoded.email || null, emailVerified: decoded.email_verified === true };
+    } catch (error) {
+        throw new AuthError(`Invalid token: ${error.code || error.message}`);
+    }
+}
+
+// Handler helper: answers 401 and returns null when the request is not authenticated
+export async function requireUser(request, response) {
+    try {
+        return await verifyRequest(request);
+    } catch (error) {
+        if (!(error instanceof AuthError)) throw error;
+        response.status(401).json({ error: 'Unauthorized', message: error.message });
+        return null;
+    }
+}
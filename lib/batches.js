@@ -0,0 +1,91 @@
+// lib/batches.js
+// Named batches ("processos seletivos"). The page creates the batch document
+// and links every job to it (batchId); the server keeps its counters in step
+// as jobs finish, fail or go back to the queue. Retention is per batch: jobs
+// carry the batch's expiresAt and cleanup-jobs deletes them once it passes.
+// A batch can be paused or cancelled (control, set by api/control-batch);
+// its jobs are then held in that status instead of being claimed.
+import { Timestamp, FieldValue } from 'firebase-admin/firestore';
+import { db } from './firebase.js';
+
+export const BATCHES_COLLECTION = 'batches';
+
+// Counter each job status is tallied under; other statuses are not counted
+const STATUS_COUNTERS = {
+    completed: 'completed',
+    failed: 'failed',
+    dead_letter: 'failed',
+    cancelled: 'cancelled'
+};
+
+// Job status a batch's control holds its queued jobs in
+const HELD_STATUSES = {
+    paused: 'paused',
+    cancelled: 'cancelled'
+};
+
+export function batchRef(batchId) {
+    return db.collection(BATCHES_COLLECTION).doc(batchId);
+}
+
+// Counter changes for one job moving between statuses, or null when none
+export function transitionCounts(fromStatus, toStatus) {
+    const from = STATUS_COUNTERS[fromStatus];
+    const to = STATUS_COUNTERS[toStatus];
+    if (from === to) return null;
+    const counts = {};
+    if (from) counts[from] = -1;
+    if (to) counts[to] = (counts[to] || 0) + 1;
+    return counts;
+}
+
+// Whether adding counts to the batch's counters accounts for its last queued job
+export function finishesBatch(batchData, counts) {
+    const stats = batchData?.stats || {};
+    if (!counts || !(stats.queued > 0)) return false;
+    const done = (values) => ['completed', 'failed', 'cancelled'].reduce((sum, counter) => sum + (values[counter] || 0), 0);
+    const before = done(stats);
+    return before < stats.queued && before + done(counts) >= stats.queued;
+}
+
+export function counterUpdate(counts) {
+    const update = {};
+    Object.entries(counts).forEach(([counter, amount]) => {
+        update[`stats.${counter}`] = FieldValue.increment(amount);
+    });
+    return update;
+}
+
+// Accumulate transitions per batch ({ batchId -> counts }) for one write each
+export function tallyTransition(totals, batchId, fromStatus, toStatus) {
+    const counts = batchId && transitionCounts(fromStatus, toStatus);
+    if (!counts) return totals;
+    const current = totals.get(batchId) || {};
+    Object.entries(counts).forEach(([counter, amount]) => {
+        current[counter] = (current[counter] || 0) + amount;
+    });
+    totals.set(batchId, current);
+    return totals;
+}
+
+// Add the tallied counters to a write batch, skipping batches already deleted
+export async function writeBatchCounters(writeBatch, totals) {
+    if (totals.size === 0) return;
+    const docs = await db.getAll(...[...totals.keys()].map(batchRef));
+    docs.filter(doc => doc.exists).forEach(doc => {
+        writeBatch.update(doc.ref, counterUpdate(totals.get(doc.id)));
+    });
+}
+
+// 'paused' or 'cancelled' when the batch holds its jobs, otherwise null
+export function heldStatus(batchData) {
+    return HELD_STATUSES[batchData?.control] || null;
+}
+
+// Job update for holding a queued job; cancelled jobs are finished and expire
+// like any other finished job
+export function holdUpdate(status) {
+    return status === 'cancelled'
+        ? { status, cancelledAt: Timestamp.now(), finishedAt: Timestamp.now() }
+        : { status, pausedAt: Timestamp.now() };
+}
@@ -0,0 +1,47 @@
+// lib/corrections.js
+// Server side of the correction pairs the page saves in corrections/{jobId}
+// (shared/corrections.js). They outlive their job as an accuracy dataset, so
+// when retention deletes the job they lose what identifies the candidate: the
+// values of identifying fields are cleared, the other values are redacted
+// like an anonymized resume and the file name goes.
+import { Timestamp, FieldValue } from 'firebase-admin/firestore';
+import { db } from './firebase.js';
+import { isIdentityKey, redactText } from './anonymize.js';
+
+export const CORRECTIONS_COLLECTION = 'corrections';
+
+// Documents read per getAll call; one write each keeps the batch under 500
+const CHUNK = 100;
+
+function redactPairValue(value, identity) {
+    if (typeof value === 'string') return redactText(value, identity);
+    if (Array.isArray(value)) return value.map(item => redactPairValue(item, identity));
+    return value;
+}
+
+export function stripPairs(pairs = []) {
+    const nome = pairs.find(pair => pair.key === 'nome');
+    const identity = { nome: nome?.corrected || nome?.original || null };
+    return pairs.map(pair => isIdentityKey(pair.key)
+        ? { ...pair, original: null, corrected: null }
+        : { ...pair, original: redactPairValue(pair.original, identity), corrected: redactPairValue(pair.corrected, identity) });
+}
+
+// Strip the corrections of jobs about to be deleted; returns how many were
+export async function stripCorrections(jobIds) {
+    let stripped = 0;
+    for (let i = 0; i < jobIds.length; i += CHUNK) {
+        const refs = jobIds.slice(i, i + CHUNK).map(jobId => db.collection(CORRECTIONS_COLLECTION).doc(jobId));
+        const docs = (await db.getAll(...refs)).filter(doc => doc.exists && !doc.data().identityStrippedAt);
+        if (docs.length === 0) continue;
+        const batch = db.batch();
+        docs.forEach(doc => batch.update(doc.ref, {
+            pairs: stripPairs(doc.data().pairs),
+            fileName: FieldValue.delete(),
+            identityStrippedAt: Timestamp.now()
+        }));
+        await batch.commit();
+        stripped += docs.length;
+    }
+    return stripped;
+}
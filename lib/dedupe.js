@@ -0,0 +1,96 @@
+// lib/dedupe.js
+// Server side of duplicate detection (see shared/dedupe.js): the text hash
+// and the lookup of earlier candidates in the same workspace that share a
+// token with the one just extracted. Anonymized jobs store their tokens and
+// text hash as HMACs keyed with ANON_TOKEN_SECRET (anonymousToken), so lookups
+// search both forms; a plain hash of a known email or of the same file would
+// link the blind job back to the candidate.
+import { createHash, createHmac } from 'node:crypto';
+import { getStorage } from './storage/index.js';
+import { dedupeTokens, compareCandidates, MAX_DEDUPE_TOKENS } from '../shared/dedupe.js';
+import { candidateLabel } from './anonymize.js';
+
+// Earlier candidates kept on a job
+const MAX_DUPLICATES = 10;
+
+export function hasAnonymousKey() {
+    return Boolean(process.env.ANON_TOKEN_SECRET);
+}
+
+// Anonymized jobs cannot be stored without the key; there is no default
+export function requireAnonymousKey() {
+    if (!hasAnonymousKey()) {
+        throw new Error('ANON_TOKEN_SECRET não configurado no servidor; processos anonimizados estão indisponíveis');
+    }
+    return process.env.ANON_TOKEN_SECRET;
+}
+
+function keyedHash(value) {
+    return createHmac('sha256', requireAnonymousKey()).update(value).digest('hex');
+}
+
+// Whitespace-insensitive, so the same file re-exported or re-uploaded hashes
+// alike. Anonymized jobs store the keyed form ({ keyed: true }).
+export function hashText(text, { keyed = false } = {}) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+    return keyed ? keyedHash(normalized) : createHash('sha256').update(normalized).digest('hex');
+}
+
+// "email:ana@x.com" -> "anon:<HMAC>", so the job does not carry the identifier
+export function anonymousToken(token) {
+    return `anon:${keyedHash(token).slice(0, 40)}`;
+}
+
+// Raw and hashed form of each token, for queries that must find both kinds of job
+export function lookupTokens(tokens) {
+    const byQuery = new Map();
+    tokens.forEach(token => {
+        const kind = token.split(':')[0];
+        byQuery.set(token, kind);
+        // Without the key no anonymized job can have been stored
+        if (hasAnonymousKey()) byQuery.set(anonymousToken(token), kind);
+    });
+    return byQuery;
+}
+
+// Earlier jobs in the workspace that look like the same person:
+// [{ jobId, batchId, fileName, nome, reasons }]. Merged-away jobs are skipped.
+// Between two anonymized jobs only the other's candidate code is shown; a
+// match between an anonymized job and a named one is reported without any
+// reference ({ hidden: true, reasons }), since either side would give away
+// who the candidate code is.
+export async function findPreviousDuplicates({ jobId, workspaceId, data, textHash, anonymized = false }) {
+    const byQuery = lookupTokens(dedupeTokens(data, textHash));
+    if (!workspaceId || byQuery.size === 0) return [];
+
+    const storage = await getStorage();
+    const jobs = await storage.listJobs({
+        workspaceId,
+        tokens: [...byQuery.keys()].slice(0, MAX_DEDUPE_TOKENS),
+        limit: MAX_DUPLICATES * 2
+    });
+
+    return jobs
+        .filter(job => job.id !== jobId && !job.data.mergedInto)
+        .map(({ id, data: other }) => {
+            const otherData = other.correctedResult || other.result || {};
+            // A redacted result cannot be compared; the shared tokens say why they match
+            const reasons = new Set(compareCandidates({ data, textHash }, { data: otherData, textHash: other.textHash }));
+            (other.dedupeTokens || []).forEach(token => {
+                if (byQuery.has(token)) reasons.add(byQuery.get(token));
+            });
+            if (anonymized !== (other.anonymized === true)) {
+                return { jobId: null, batchId: null, fileName: null, nome: null, hidden: true, reasons: [...reasons] };
+            }
+            const hidden = anonymized;
+            return {
+                jobId: id,
+                batchId: other.batchId || null,
+                fileName: other.fileName,
+                nome: hidden ? (other.candidateCode ? candidateLabel(other.candidateCode) : null) : otherData.nome || null,
+                reasons: [...reasons]
+            };
+        })
+        .filter(duplicate => duplicate.reasons.length > 0)
+        .slice(0, MAX_DUPLICATES);
+}
@@ -0,0 +1,248 @@
+// lib/erasure.js
+// "Direito ao esquecimento" (LGPD art. 18): every job of a candidate in a
+// workspace, found by email, phone or CPF, is deleted together with its
+// correction pairs and webhook deliveries. Jobs are found through the dedupe
+// tokens the worker stores and, for jobs without them (extracted before
+// dedupe existed, or never extracted), by scanning the stored data. Jobs
+// merged with one of them (same person by a recruiter's decision) go too,
+// and other jobs that list them as possible duplicates are scrubbed of the
+// reference. Anonymized jobs are found by their hashed tokens and lose their
+// identity document as well. Correction pairs whose job is already gone
+// (deleted with its batch, or by retention before pairs were stripped) are
+// searched on their own.
+import { createHash } from 'node:crypto';
+import { FieldValue, FieldPath } from 'firebase-admin/firestore';
+import { db } from './firebase.js';
+import { QUEUE_COLLECTION } from './queue.js';
+import { tallyTransition, writeBatchCounters } from './batches.js';
+import { lookupTokens } from './dedupe.js';
+import { identityRef } from './anonymize.js';
+import { DELIVERIES_COLLECTION } from './webhooks.js';
+import { CORRECTIONS_COLLECTION } from './corrections.js';
+import { normalizeEmail, MAX_DEDUPE_TOKENS } from '../shared/dedupe.js';
+import { toE164, findPhones } from '../shared/phones.js';
+
+// Firestore "in" and array-contains-any accept at most 30 values
+const QUERY_CHUNK = MAX_DEDUPE_TOKENS;
+// Three deletes per job, plus the batch counter updates
+const WRITE_CHUNK = 150;
+// Jobs read per page when scanning stored data; each may carry its raw text
+const SCAN_PAGE = 100;
+
+const EMAIL_PATTERN = /[^\s@<>"'(),;:]+@[^\s@<>"'(),;:]+\.[a-z]{2,}/gi;
+const CPF_PATTERN = /(?<!\d)\d{3}\.?\d{3}\.?\d{3}-?\d{2}(?!\d)/g;
+
+function chunks(values, size) {
+    const result = [];
+    for (let i = 0; i < values.length; i += size) result.push(values.slice(i, i + size));
+    return result;
+}
+
+function normalizeCpf(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length === 11 ? digits : null;
+}
+
+// Normalized identifiers of an erasure request ({ email, phone, cpf }), or
+// null when none is valid
+export function erasureIdentifiers({ email, phone, cpf } = {}) {
+    const identifiers = {
+        email: normalizeEmail(email),
+        phone: toE164(phone),
+        cpf: normalizeCpf(cpf)
+    };
+    return Object.values(identifiers).some(Boolean) ? identifiers : null;
+}
+
+// Dedupe tokens of the identifiers; CPF is not one
+export function erasureTokens({ email, phone }) {
+    return [
+        ...(email ? [`email:${email}`] : []),
+        ...(phone ? [`phone:${phone}`] : [])
+    ];
+}
+
+// Recorded in the audit log instead of the identifiers themselves
+export function identifierHash(identifiers) {
+    const values = Object.entries(identifiers).filter(([, value]) => value).map(([key, value]) => `${key}:${value}`);
+    return createHash('sha256').update(values.sort().join('|')).digest('hex');
+}
+
+function mentions(text, { email, phone, cpf }) {
+    if (email && (text.match(EMAIL_PATTERN) || []).some(found => normalizeEmail(found) === email)) return true;
+    if (phone && findPhones(text).some(found => found.e164 === phone)) return true;
+    if (cpf && (text.match(CPF_PATTERN) || []).some(found => found.replace(/\D/g, '') === cpf)) return true;
+    return false;
+}
+
+// The extracted data, and the raw text of jobs that never got dedupe tokens
+function storedDataMentions(data, identifiers) {
+    const extracted = JSON.stringify([data.correctedResult || null, data.result || null]);
+    return mentions(extracted, identifiers)
+        || (!data.dedupeTokens && typeof data.text === 'string' && mentions(data.text, identifiers));
+}
+
+// Every document of the workspace in a collection, a page at a time
+async function scanWorkspace(collection, workspaceId, visit) {
+    let last = null;
+    for (;;) {
+        let query = db.collection(collection)
+            .where('workspaceId', '==', workspaceId)
+            .orderBy(FieldPath.documentId())
+            .limit(SCAN_PAGE);
+        if (last) query = query.startAfter(last);
+        const snapshot = await query.get();
+        snapshot.docs.forEach(visit);
+        if (snapshot.size < SCAN_PAGE) return;
+        last = snapshot.docs[snapshot.size - 1];
+    }
+}
+
+// The jobs the tokens missed
+async function scanStoredData(workspaceId, identifiers, found) {
+    await scanWorkspace(QUEUE_COLLECTION, workspaceId, doc => {
+        if (!found.has(doc.id) && storedDataMentions(doc.data(), identifiers)) found.set(doc.id, doc);
+    });
+}
+
+async function queryChunked(workspaceId, field, operator, values) {
+    const docs = [];
+    for (const chunk of chunks(values, QUERY_CHUNK)) {
+        const snapshot = await db.collection(QUEUE_COLLECTION)
+            .where('workspaceId', '==', workspaceId)
+            .where(field, operator, chunk)
+            .get();
+        docs.push(...snapshot.docs);
+    }
+    return docs;
+}
+
+// Jobs of the candidate in the workspace, merged jobs included: Map jobId -> doc
+export async function findCandidateJobs(workspaceId, identifiers) {
+    const found = new Map();
+    const add = docs => docs.forEach(doc => found.set(doc.id, doc));
+
+    const tokens = erasureTokens(identifiers);
+    if (tokens.length > 0) {
+        add(await queryChunked(workspaceId, 'dedupeTokens', 'array-contains-any', [...lookupTokens(tokens).keys()]));
+    }
+    await scanStoredData(workspaceId, identifiers, found);
+    const seedIds = [...found.keys()];
+    if (seedIds.length === 0) return found;
+
+    // Merges are one level deep: a primary lists mergedJobIds, the others point at it
+    add(await queryChunked(workspaceId, 'mergedInto', 'in', seedIds));
+    add(await queryChunked(workspaceId, 'mergedJobIds', 'array-contains-any', seedIds));
+    return found;
+}
+
+// Correction documents of the candidate whose job is not among the found
+// ones (the others go with their job): Map jobId -> doc
+export async function findOrphanCorrections(workspaceId, identifiers, found) {
+    const corrections = new Map();
+    await scanWorkspace(CORRECTIONS_COLLECTION, workspaceId, doc => {
+        if (found.has(doc.id)) return;
+        const { pairs = [], fileName = '' } = doc.data();
+        const values = JSON.stringify([fileName, pairs.map(pair => [pair.original, pair.corrected])]);
+        if (mentions(values, identifiers)) corrections.set(doc.id, doc);
+    });
+    return corrections;
+}
+
+// What the erasure would remove, for the admin to confirm first
+export function describeCandidateJobs(found) {
+    return [...found.values()].map(doc => {
+        const data = doc.data();
+        return {
+            jobId: doc.id,
+            batchId: data.batchId || null,
+            fileName: data.fileName,
+            nome: (data.correctedResult || data.result)?.nome || null,
+            status: data.status,
+            createdAt: data.createdAt?.toDate?.().toISOString() || null
+        };
+    });
+}
+
+// Remove references to erased jobs from the jobs that remain
+async function scrubReferences(workspaceId, found) {
+    const erasedIds = new Set(found.keys());
+    const erasedFiles = [...found.values()].map(doc => doc.data().fileName).filter(Boolean);
+    const tokens = [...new Set([...found.values()].flatMap(doc => doc.data().dedupeTokens || []))];
+    const related = await queryChunked(workspaceId, 'dedupeTokens', 'array-contains-any', tokens);
+
+    const targets = new Map();
+    related.forEach(doc => {
+        if (erasedIds.has(doc.id)) return;
+        const data = doc.data();
+        const references = (data.duplicates || []).some(duplicate => erasedIds.has(duplicate.jobId))
+            || (data.notDuplicateOf || []).some(id => erasedIds.has(id));
+        if (references) targets.set(doc.id, doc);
+    });
+
+    for (const chunk of chunks([...targets.values()], WRITE_CHUNK)) {
+        const batch = db.batch();
+        chunk.forEach(doc => {
+            const data = doc.data();
+            batch.update(doc.ref, {
+                duplicates: (data.duplicates || []).filter(duplicate => !erasedIds.has(duplicate.jobId)),
+                notDuplicateOf: FieldValue.arrayRemove(...erasedIds),
+                ...(data.mergedFiles ? { mergedFiles: FieldValue.arrayRemove(...erasedFiles) } : {})
+            });
+        });
+        await batch.commit();
+    }
+    return targets.size;
+}
+
+// Webhook deliveries of the erased jobs (lib/webhooks.js)
+async function purgeDeliveries(workspaceId, jobIds) {
+    let purged = 0;
+    for (const chunk of chunks(jobIds, QUERY_CHUNK)) {
+        const snapshot = await db.collection(DELIVERIES_COLLECTION)
+            .where('workspaceId', '==', workspaceId)
+            .where('jobId', 'in', chunk)
+            .get();
+        if (snapshot.empty) continue;
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+        purged += snapshot.size;
+    }
+    return purged;
+}
+
+// Delete the found jobs, their corrections and webhook deliveries, and the
+// orphan corrections, keeping batch counters in step.
+// Returns { jobIds, scrubbed, deliveries, corrections }.
+export async function eraseCandidateJobs(workspaceId, found, orphanCorrections = new Map()) {
+    const docs = [...found.values()];
+    const scrubbed = docs.length > 0 ? await scrubReferences(workspaceId, found) : 0;
+
+    for (const chunk of chunks(docs, WRITE_CHUNK)) {
+        const batch = db.batch();
+        const totals = new Map();
+        chunk.forEach(doc => {
+            const { batchId, status } = doc.data();
+            if (batchId) {
+                tallyTransition(totals, batchId, status, null);
+                const counts = totals.get(batchId) || {};
+                counts.queued = (counts.queued || 0) - 1;
+                totals.set(batchId, counts);
+            }
+            batch.delete(doc.ref);
+            batch.delete(db.collection(CORRECTIONS_COLLECTION).doc(doc.id));
+            if (doc.data().anonymized) batch.delete(identityRef(doc.id));
+        });
+        await writeBatchCounters(batch, totals);
+        await batch.commit();
+    }
+    for (const chunk of chunks([...orphanCorrections.values()], WRITE_CHUNK)) {
+        const batch = db.batch();
+        chunk.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+    }
+    const jobIds = docs.map(doc => doc.id);
+    const deliveries = await purgeDeliveries(workspaceId, jobIds);
+    return { jobIds, scrubbed, deliveries, corrections: orphanCorrections.size };
+}
@@ -0,0 +1,334 @@
+// lib/extraction.js
+// Provider-independent extraction: builds the prompt and a JSON Schema from the
+// job's field definitions, asks the configured LLM provider, and normalizes the
+// answer. Long resumes are split into sections and extracted chunk by chunk
+// within the input token budget, then merged into one record. Falls back to
+// the rule-based extractor for any chunk the provider fails on. Every field
+// gets its provenance, and the job is flagged for review when the result is
+// incomplete or the two extractors disagree.
+import { NAME_PLACEHOLDER, coerceFieldValue, isEmptyFieldValue } from '../shared/fields.js';
+import { PROFILE_SECTIONS, SKILLS_INSTRUCTIONS, normalizeProfile, normalizeSkills } from '../shared/profile.js';
+import { getProvider } from './llm/index.js';
+import { assessReview } from '../shared/review.js';
+import { fallbackExtraction } from './fallback.js';
+import { splitSections, buildChunks } from './sections.js';
+import { fieldProvenance, crossCheck } from './provenance.js';
+import { logError } from './log.js';
+
+const PROFILE_KEYS = [...Object.keys(PROFILE_SECTIONS), 'habilidades'];
+
+// Input budget per model call, in tokens (LLM_MAX_INPUT_TOKENS)
+const DEFAULT_MAX_INPUT_TOKENS = 4000;
+// Conservative estimate for Portuguese text
+const CHARS_PER_TOKEN = 3.5;
+const MIN_CHUNK_CHARS = 1000;
+
+// Structured lists worth asking for in each kind of section. Header and
+// unclassified text may contain anything, so they get every list.
+const SECTION_PROFILE_KEYS = {
+    dados_pessoais: PROFILE_KEYS,
+    outros: PROFILE_KEYS,
+    objetivo: ['habilidades'],
+    experiencias: ['experiencias', 'habilidades'],
+    formacao: ['formacao'],
+    cursos: ['formacao', 'habilidades'],
+    idiomas: ['idiomas'],
+    habilidades: ['habilidades', 'idiomas']
+};
+
+function fieldToJsonSchema(field) {
+    const description = field.instructions || field.label;
+    switch (field.type) {
+        case 'number':
+            return { type: 'number', description };
+        case 'boolean':
+            return { type: ['boolean', 'null'], description };
+        case 'list':
+            return { type: 'array', items: { type: 'string' }, description };
+        case 'date':
+            return { type: 'string', description: `${description} (YYYY-MM-DD)` };
+        default:
+            return { type: 'string', description };
+    }
+}
+
+// Standard JSON Schema describing the expected answer. Providers translate
+// it to their own structured-output format.
+export function buildResponseSchema(fields, { structured = false, profileKeys = PROFILE_KEYS } = {}) {
+    const properties = {};
+    fields.forEach(field => {
+        properties[field.key] = fieldToJsonSchema(field);
+    });
+
+    if (structured) {
+        Object.entries(PROFILE_SECTIONS).forEach(([key, section]) => {
+            if (!profileKeys.includes(key)) return;
+            const itemProperties = {};
+            section.fields.forEach(field => {
+                itemProperties[field.key] = { type: 'string' };
+            });
+            properties[key] = {
+                type: 'array',
+                description: section.instructions,
+                items: {
+                    type: 'object',
+                    properties: itemProperties,
+                    required: Object.keys(itemProperties),
+                    additionalProperties: false
+                }
+            };
+        });
+        if (profileKeys.includes('habilidades')) {
+            properties.habilidades = { type: 'array', items: { type: 'string' }, description: SKILLS_INSTRUCTIONS };
+        }
+    }
+
+    return {
+        type: 'object',
+        properties,
+        required: Object.keys(properties),
+        additionalProperties: false
+    };
+}
+
+export function buildPrompt(text, fields, { structured = false, profileKeys = PROFILE_KEYS, partial = false } = {}) {
+    const currentYear = new Date().getFullYear();
+
+    let fieldInstructions = fields
+        .map(field => `- ${field.key} (${field.label}): ${field.instructions || 'no specific instructions'}`)
+        .join('\n');
+
+    if (structured) {
+        fieldInstructions += '\n' + Object.entries(PROFILE_SECTIONS)
+            .filter(([key]) => profileKeys.includes(key))
+            .map(([key, section]) => `- ${key}: ${section.instructions}`)
+            .concat(profileKeys.includes('habilidades') ? `- habilidades: ${SKILLS_INSTRUCTIONS}` : [])
+            .join('\n');
+    }
+
+    const scope = partial
+        ? 'The text below is only one part of a longer resume; extract what this part contains.\n'
+        : '';
+
+    return `Extract resume data from the following text.
+${scope}Current year is ${currentYear}.
+Fields to extract:
+${fieldInstructions}
+Dates must use the format YYYY-MM-DD. Use an empty value when the information is missing.
+Return ONLY valid JSON.
+
+Text: ${text}`;
+}
+
+// Coerce a provider answer to the declared field types
+export function normalizeExtraction(parsedData, fields, { structured = false } = {}) {
+    const data = {};
+    fields.forEach(field => {
+        data[field.key] = coerceFieldValue(parsedData?.[field.key], field);
+    });
+
+    // Validate and clean data
+    if (data.idade && (data.idade < 14 || data.idade > 100)) {
+        data.idade = 0;
+    }
+    if (typeof data.email === 'string') {
+        data.email = data.email.toLowerCase();
+    }
+
+    if (structured) {
+        Object.assign(data, normalizeProfile(parsedData));
+    }
+
+    return data;
+}
+
+function dedupeEntries(entries, keyOf) {
+    const seen = new Set();
+    return entries.filter(entry => {
+        const key = keyOf(entry).toLowerCase().replace(/\s+/g, ' ').trim();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Merge per-chunk results into one record. Rule: for single-value fields the
+// first non-empty value in document order wins (the resume header comes
+// first), and later differing values are reported as conflicts. List fields
+// and structured sections are concatenated and de-duplicated. origins maps
+// each field to the index of the partial its (first) value came from.
+export function mergeExtractions(partials, fields, { structured = false } = {}) {
+    const data = {};
+    const conflicts = [];
+    const origins = {};
+
+    fields.forEach(field => {
+        const origin = partials.findIndex(partial => !isEmptyFieldValue(partial[field.key], field));
+        if (origin >= 0) origins[field.key] = origin;
+        const values = partials.map(partial => partial[field.key]).filter(value => !isEmptyFieldValue(value, field));
+
+        if (field.type === 'list') {
+            data[field.key] = dedupeEntries(values.flat(), item => String(item));
+            return;
+        }
+
+        data[field.key] = values.length > 0 ? values[0] : coerceFieldValue(null, field);
+        values.slice(1).forEach(value => {
+            if (String(value).toLowerCase() !== String(values[0]).toLowerCase()) {
+                conflicts.push({ field: field.key, kept: values[0], discarded: value });
+            }
+        });
+    });
+
+    if (!data.nome) data.nome = NAME_PLACEHOLDER;
+
+    if (structured) {
+        const collect = key => partials.flatMap(partial => partial[key] || []);
+        Object.assign(data, normalizeProfile({
+            experiencias: dedupeEntries(collect('experiencias'), exp => `${exp.empresa}|${exp.cargo}|${exp.inicio}`),
+            formacao: dedupeEntries(collect('formacao'), edu => `${edu.instituicao}|${edu.curso}`),
+            idiomas: dedupeEntries(collect('idiomas'), lang => lang.idioma),
+            habilidades: normalizeSkills(collect('habilidades'))
+        }));
+    }
+
+    return { data, conflicts, origins };
+}
+
+function chunkBudgetChars(fields, options) {
+    const maxTokens = parseInt(process.env.LLM_MAX_INPUT_TOKENS) || DEFAULT_MAX_INPUT_TOKENS;
+    const promptOverhead = buildPrompt('', fields, options).length;
+    return Math.max(MIN_CHUNK_CHARS, Math.floor(maxTokens * CHARS_PER_TOKEN) - promptOverhead);
+}
+
+function pickProfileKeys(data, profileKeys) {
+    const picked = { ...data };
+    PROFILE_KEYS.forEach(key => {
+        if (!profileKeys.includes(key)) delete picked[key];
+    });
+    return picked;
+}
+
+// Whitespace-insensitive size, so chunk joins don't skew the analysed count
+function countChars(text) {
+    return String(text || '').replace(/\s+/g, '').length;
+}
+
+function fallbackProvenance(text, fields, result, ocr) {
+    const provenance = {};
+    fields.forEach(field => {
+        const entry = fieldProvenance({
+            text,
+            value: result.data[field.key],
+            field,
+            source: 'regex',
+            evidence: result.evidence[field.key],
+            ocr
+        });
+        if (entry) provenance[field.key] = entry;
+    });
+    return provenance;
+}
+
+export async function extractResume(text, fields, jobId, options = {}) {
+    // The worker passes a metered provider (usage.js); null means rule-based only
+    const provider = options.provider !== undefined ? options.provider : getProvider();
+    const ocr = options.ocr === true;
+    const sections = splitSections(text);
+    const analysis = {
+        chars: countChars(text),
+        sections: [...new Set(sections.map(section => section.key))]
+    };
+
+    if (!provider) {
+        const result = fallbackExtraction(text, fields, options);
+        const fallbackAnalysis = { ...analysis, charsAnalysed: analysis.chars, chunks: 1 };
+        if (!result.success) {
+            return { success: false, error: result.error, analysis: fallbackAnalysis };
+        }
+        return {
+            success: true,
+            data: result.data,
+            provider: 'fallback',
+            provenance: fallbackProvenance(text, fields, result, ocr),
+            review: assessReview(result.data, fields),
+            analysis: fallbackAnalysis
+        };
+    }
+
+    const chunks = buildChunks(sections, chunkBudgetChars(fields, options));
+    const partial = chunks.length > 1;
+
+    // Chunks are independent, so they run in parallel to stay within the function time limit
+    const partials = await Promise.all(chunks.map(async (chunk, index) => {
+        const profileKeys = partial
+            ? [...new Set(chunk.sections.flatMap(key => SECTION_PROFILE_KEYS[key] || PROFILE_KEYS))]
+            : PROFILE_KEYS;
+        const chunkOptions = { ...options, profileKeys, partial };
+
+        try {
+            const { data: parsedData } = await provider.generate({
+                prompt: buildPrompt(chunk.text, fields, chunkOptions),
+                schema: buildResponseSchema(fields, chunkOptions),
+                text: chunk.text,
+                maxOutputTokens: 256 + fields.length * 64 + (options.structured ? 2048 : 0)
+            });
+            return { data: normalizeExtraction(parsedData, fields, chunkOptions), source: 'llm', text: chunk.text };
+        } catch (error) {
+            // Transient provider errors are retried by the queue while attempts remain
+            if (options.retryTransient && error.transient) throw error;
+            logError(`[LLM ${provider.name} ${jobId}] Chunk ${index + 1}/${chunks.length} error, using fallback:`, error);
+            const fallback = fallbackExtraction(chunk.text, fields, options);
+            if (!fallback.success) {
+                return { data: normalizeExtraction({}, fields, chunkOptions), source: 'regex', evidence: {}, text: chunk.text };
+            }
+            return {
+                data: options.structured ? pickProfileKeys(fallback.data, profileKeys) : fallback.data,
+                source: 'regex',
+                evidence: fallback.evidence,
+                text: chunk.text
+            };
+        }
+    }));
+
+    const { data, conflicts, origins } = mergeExtractions(partials.map(p => p.data), fields, options);
+    const failedChunks = partials.filter(p => p.source === 'regex').length;
+
+    const provenance = {};
+    fields.forEach(field => {
+        const origin = partials[origins[field.key]];
+        if (!origin) return;
+        const entry = fieldProvenance({
+            text: origin.text,
+            value: data[field.key],
+            field,
+            source: origin.source,
+            evidence: origin.evidence?.[field.key],
+            ocr
+        });
+        if (entry) provenance[field.key] = entry;
+    });
+
+    // Second opinion from the rule-based extractor over the whole text
+    let disagreements = [];
+    const regex = failedChunks < chunks.length ? fallbackExtraction(text, fields) : null;
+    if (regex?.success) {
+        disagreements = crossCheck({ text, data, provenance, regex, fields, ocr });
+    }
+
+    return {
+        success: true,
+        data,
+        provider: failedChunks === chunks.length ? 'fallback' : provider.name,
+        provenance,
+        review: assessReview(data, fields, disagreements),
+        analysis: {
+            ...analysis,
+            // buildChunks never drops text, so every section is analysed
+            charsAnalysed: sections.reduce((sum, section) => sum + countChars(section.text), 0),
+            chunks: chunks.length,
+            failedChunks,
+            conflicts
+        }
+    };
+}
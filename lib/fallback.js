@@ -0,0 +1,272 @@
+// lib/fallback.js
+// Rule-based extractor used when no LLM provider is configured or the provider
+// fails. Covers the built-in fields (name, age, email, phones) plus common
+// custom fields (LinkedIn, CEP, cidade/UF) and a "Label: value" lookup for
+// everything else.
+import { NAME_PLACEHOLDER, coerceFieldValue, emptyValue } from '../shared/fields.js';
+import { normalizeProfile, normalizeLanguageLevel } from '../shared/profile.js';
+import { findPhones } from '../shared/phones.js';
+import { splitSections, matchHeading } from './sections.js';
+import { logError } from './log.js';
+
+const MAX_CONTACTS = 3;
+
+// Lines that head a resume but are not the candidate's name
+const NOT_A_NAME = /^(curr[íi]culo(?: vitae)?|curriculum(?: vitae)?|c\.?v\.?|resum[eé]|resume|dados pessoais|informa[çc][õo]es pessoais|perfil(?: profissional)?|objetivo|contatos?|endere[çc]o|portf[óo]lio|p[áa]gina \d+)\b/i;
+const NAME_CONNECTORS = new Set(['da', 'de', 'do', 'das', 'dos', 'e', 'di', 'du', 'del', 'van', 'von']);
+const NAME_WORD = /^[A-Za-zÀ-ÖØ-öø-ÿ'’-]+$/;
+
+const MONTH_NAMES = {
+    janeiro: 1, fevereiro: 2, 'março': 3, marco: 3, abril: 4, maio: 5, junho: 6,
+    julho: 7, agosto: 8, setembro: 9, outubro: 10, novembro: 11, dezembro: 12
+};
+
+const BIRTH_LABEL = '(?:nascid[oa]\\s+(?:em|a)|data\\s+de\\s+nascimento|dt\\.?\\s*(?:de\\s*)?nasc(?:imento)?\\.?|nascimento|d\\.\\s*n\\.?)\\s*[:\\-]?\\s*';
+const BIRTH_NUMERIC = new RegExp(`${BIRTH_LABEL}(\\d{1,2})[\\/.-](\\d{1,2})[\\/.-](\\d{2,4})`, 'i');
+const BIRTH_WRITTEN = new RegExp(`${BIRTH_LABEL}(\\d{1,2})\\s+de\\s+([a-zç]+)\\s+de\\s+(\\d{4})`, 'i');
+
+const UFS = ['AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA', 'PB', 'PR',
+    'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'];
+// A city never spans lines, so words are joined by spaces or tabs only
+const CITY_UF = new RegExp(`([A-ZÀ-Ý][A-Za-zÀ-ÿ'’.]+(?:[^\\S\\n]+(?:d[aeo]s?[^\\S\\n]+)?[A-ZÀ-Ý][A-Za-zÀ-ÿ'’.]+){0,4})[^\\S\\n]*[\\/,–-][^\\S\\n]*(${UFS.join('|')})\\b`);
+
+function toTitleCase(name) {
+    return name.toLowerCase().split(/\s+/).map((word, index) =>
+        index > 0 && NAME_CONNECTORS.has(word) ? word : word.charAt(0).toUpperCase() + word.slice(1)
+    ).join(' ');
+}
+
+// A labeled name only needs to look like words; an unlabeled line must also be
+// capitalized, which rules out most sentences.
+function looksLikeName(line, { labeled = false } = {}) {
+    const words = line.split(/\s+/);
+    if (words.length < 2 || words.length > 6) return false;
+    if (!words.every(word => NAME_WORD.test(word))) return false;
+    if (labeled) return true;
+    return words.every((word, index) =>
+        (index > 0 && NAME_CONNECTORS.has(word.toLowerCase())) || word.charAt(0) === word.charAt(0).toUpperCase()
+    ) && NAME_CONNECTORS.has(words[0].toLowerCase()) === false;
+}
+
+// "Nome:" label first, then the first name-like line near the top that is not
+// a header such as "Currículo" or a section heading.
+export function detectName(text) {
+    const labeled = text.match(/\bnome(?:\s+completo)?\s*:\s*([^\n\r|]{5,60})/i);
+    if (labeled && looksLikeName(labeled[1].trim(), { labeled: true })) {
+        return { value: toTitleCase(labeled[1].trim()), index: labeled.index, confidence: 0.9 };
+    }
+
+    const lines = text.split(/\r?\n/).slice(0, 20);
+    let offset = 0;
+    for (const rawLine of lines) {
+        const line = rawLine.trim()
+            .replace(NOT_A_NAME, '')
+            .replace(/^[\s:–—-]+|[\s:–—-]+$/g, '')
+            .trim();
+        if (line && !/[@\d]|https?:|www\./i.test(line) && !matchHeading(line) && looksLikeName(line)) {
+            return { value: toTitleCase(line), index: offset, confidence: 0.6 };
+        }
+        offset += rawLine.length + 1;
+    }
+    return null;
+}
+
+function ageFromBirthDate(day, month, year, now) {
+    if (year < 100) year += year > now.getFullYear() % 100 ? 1900 : 2000;
+    if (!month || month > 12 || day < 1 || day > 31) return null;
+    let age = now.getFullYear() - year;
+    if (now.getMonth() + 1 < month || (now.getMonth() + 1 === month && now.getDate() < day)) age--;
+    return age;
+}
+
+function validAge(age) {
+    return Number.isInteger(age) && age >= 14 && age <= 100 ? age : null;
+}
+
+// Explicit "Idade: 30" first, then the birth date, then a loose "30 anos"
+// that is not about years of experience.
+export function detectAge(text, now = new Date()) {
+    const labeled = text.match(/\bidade\s*[:\-]?\s*(\d{2})\b/i);
+    if (labeled && validAge(parseInt(labeled[1]))) {
+        return { value: parseInt(labeled[1]), index: labeled.index, confidence: 0.9 };
+    }
+
+    const numeric = text.match(BIRTH_NUMERIC);
+    if (numeric) {
+        const age = validAge(ageFromBirthDate(parseInt(numeric[1]), parseInt(numeric[2]), parseInt(numeric[3]), now));
+        if (age) return { value: age, index: numeric.index, confidence: 0.85 };
+    }
+
+    const written = text.match(BIRTH_WRITTEN);
+    if (written) {
+        const month = MONTH_NAMES[written[2].toLowerCase()];
+        const age = validAge(ageFromBirthDate(parseInt(written[1]), month, parseInt(written[3]), now));
+        if (age) return { value: age, index: written.index, confidence: 0.85 };
+    }
+
+    const loose = /(\d{2})\s*anos(?!\s*(?:de\s+|em\s+)?(?:experi[êe]ncia|atua[çc][ãa]o|mercado|carreira|empresa|casa|trabalho|profiss))/gi;
+    for (const match of text.matchAll(loose)) {
+        const age = validAge(parseInt(match[1]));
+        if (age) return { value: age, index: match.index, confidence: 0.5 };
+    }
+    return null;
+}
+
+function findMatch(text, pattern, confidence, format = match => match[1]) {
+    const match = text.match(pattern);
+    return match ? { value: format(match), index: match.index, confidence } : null;
+}
+
+function detectCityUf(text) {
+    // Prefer the address/location lines, then anywhere in the header
+    const labeled = text.match(/(?:cidade|endere[çc]o|localiza[çc][ãa]o|resid[êe]ncia|mora em)[^\n]*/i);
+    const scopes = labeled ? [{ text: labeled[0], offset: labeled.index }] : [];
+    scopes.push({ text: text.slice(0, 1500), offset: 0 });
+
+    for (const scope of scopes) {
+        const match = scope.text.match(CITY_UF);
+        if (match) {
+            const city = match[1].replace(/^(?:cidade|endere[çc]o|localiza[çc][ãa]o)\s*/i, '').trim();
+            return { value: `${city}/${match[2]}`, uf: match[2], index: scope.offset + match.index, confidence: 0.7 };
+        }
+    }
+    return null;
+}
+
+// Pattern extractors for well-known field keys. Each returns
+// { value, index, confidence } or null; index is where the evidence starts.
+// Confidence reflects how specific the pattern is (a label or a strict
+// format scores higher than a guess from the layout).
+const KNOWN_FIELD_EXTRACTORS = {
+    idade: (text, now) => detectAge(text, now),
+    email: (text) => findMatch(text, /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/, 0.95, match => match[1].toLowerCase()),
+    contatos(text) {
+        const phones = findPhones(text).slice(0, MAX_CONTACTS);
+        return phones.length
+            ? { value: phones.map(phone => phone.display), index: Math.min(...phones.map(phone => phone.index)), confidence: 0.9 }
+            : null;
+    },
+    linkedin: (text) => findMatch(
+        text,
+        /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/([A-Za-z0-9_%-]+)\/?/i,
+        0.95,
+        match => `https://www.linkedin.com/in/${match[1]}`
+    ),
+    cep: (text) => findMatch(text, /\b(?:cep\s*[:\-]?\s*)?(\d{5})-?(\d{3})\b(?!\d)/i, 0.8, match => `${match[1]}-${match[2]}`),
+    cidade_uf: (text) => detectCityUf(text),
+    cidade: (text) => detectCityUf(text),
+    localizacao: (text) => detectCityUf(text),
+    uf(text) {
+        const found = detectCityUf(text);
+        return found ? { value: found.uf, index: found.index, confidence: found.confidence } : null;
+    }
+};
+
+// Generic "Label: value" lookup for user-defined fields
+function extractLabeledValue(text, field) {
+    const labels = [field.label, field.key.replace(/_/g, ' ')]
+        .filter(Boolean)
+        .map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?:${labels.join('|')})\\s*[:\\-–]\\s*([^\\n\\r]{1,120})`, 'i');
+    const match = text.match(pattern);
+    if (!match) return null;
+
+    let value = match[1].trim();
+    if (field.type === 'date') {
+        const date = value.match(/(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})/);
+        if (date) value = `${date[3]}-${date[2].padStart(2, '0')}-${date[1].padStart(2, '0')}`;
+    }
+    return { value, index: match.index, confidence: 0.6 };
+}
+
+function sliceSection(text, key) {
+    return splitSections(text)
+        .filter(section => section.key === key)
+        // Drop the heading line itself
+        .map(section => matchHeading(section.text.split('\n')[0]) ? section.text.split('\n').slice(1).join('\n') : section.text)
+        .join('\n')
+        .trim();
+}
+
+const DATE_RANGE = /((?:\d{1,2}\/)?\d{4}|[a-zç]{3,9}\.?(?:\s*(?:de|\/)\s*)\d{4})\s*(?:-|–|a|até)\s*((?:\d{1,2}\/)?\d{4}|[a-zç]{3,9}\.?(?:\s*(?:de|\/)\s*)\d{4}|atual|atualmente|o momento|presente)/i;
+
+function fallbackProfile(text) {
+    const experiencias = [];
+    const experienceLines = sliceSection(text, 'experiencias').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    experienceLines.forEach((line, index) => {
+        const range = line.match(DATE_RANGE);
+        if (!range) return;
+
+        // "Empresa - Cargo" usually sits on the same line or just above the dates
+        const header = line.replace(range[0], '').replace(/[|()]/g, ' ').trim() || experienceLines[index - 1] || '';
+        const [empresa, cargo = ''] = header.split(/\s+[-–|]\s+/);
+        experiencias.push({ empresa: empresa.trim(), cargo: cargo.trim(), inicio: range[1], fim: range[2], descricao: '' });
+    });
+
+    const formacao = sliceSection(text, 'formacao').split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 3)
+        .slice(0, 5)
+        .map(line => {
+            const [curso, instituicao = ''] = line.split(/\s+[-–|]\s+/);
+            const year = line.match(/\b(19|20)\d{2}\b/);
+            return { instituicao: instituicao.trim(), curso: curso.trim(), nivel: '', conclusao: year ? year[0] : '' };
+        });
+
+    const idiomas = [];
+    const languagePattern = /(ingl[êe]s|espanhol|franc[êe]s|alem[ãa]o|italiano|japon[êe]s|mandarim|portugu[êe]s)\s*[:\-–(]?\s*([a-záâãéêíóôõúç]+)?/gi;
+    for (const match of text.matchAll(languagePattern)) {
+        const idioma = match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase();
+        if (!idiomas.some(lang => lang.idioma === idioma)) {
+            const nivel = normalizeLanguageLevel(match[2]);
+            idiomas.push({ idioma, nivel: /^(nativo|fluente|avançado|intermediário|básico)$/.test(nivel) ? nivel : '' });
+        }
+    }
+
+    const habilidades = sliceSection(text, 'habilidades')
+        .split(/[,;•·\n]/)
+        .map(skill => skill.trim())
+        .filter(skill => skill.length > 1 && skill.length <= 40);
+
+    return normalizeProfile({ experiencias, formacao, idiomas, habilidades });
+}
+
+// Returns { success, data, evidence } where evidence[key] = { index, confidence }
+// for every field that was found, or { success: false, error } when the
+// extractor itself breaks.
+export function fallbackExtraction(text, fields, options = {}) {
+    const data = { nome: NAME_PLACEHOLDER };
+    const evidence = {};
+    const now = options.now || new Date();
+    
+    try {
+        const name = detectName(text);
+        if (name) {
+            data.nome = name.value;
+            evidence.nome = { index: name.index, confidence: name.confidence };
+        }
+        
+        fields.forEach(field => {
+            if (field.key === 'nome') return;
+
+            const extractor = KNOWN_FIELD_EXTRACTORS[field.key];
+            const found = extractor ? extractor(text, now) : extractLabeledValue(text, field);
+            if (found && found.value !== undefined && found.value !== null) {
+                data[field.key] = coerceFieldValue(found.value, field);
+                evidence[field.key] = { index: found.index, confidence: found.confidence };
+            } else {
+                data[field.key] = emptyValue(field);
+            }
+        });
+
+        if (options.structured) {
+            Object.assign(data, fallbackProfile(text));
+        }
+        
+        return { success: true, data, evidence };
+        
+    } catch (error) {
+        logError('[FALLBACK] Extraction error:', error);
+        return { success: false, error: `Falha na extração por regras: ${error.message}` };
+    }
+}
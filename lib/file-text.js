@@ -0,0 +1,119 @@
+// lib/file-text.js
+// Server-side text extraction for resumes posted to the REST API: the same
+// formats and messages as js/text-extraction.js, with pdf.js and JSZip from
+// npm instead of the page's CDN globals. There is no OCR on the server, so
+// scanned PDFs and images are refused; the caller sends their text instead.
+import JSZip from 'jszip';
+import {
+    FileExtractionError,
+    FORMAT_LABELS,
+    sniffFormat,
+    resolveZipFormat,
+    decodeText,
+    docxXmlToText,
+    odtXmlToText,
+    htmlToText,
+    rtfToText
+} from '../shared/formats.js';
+
+// Below this many characters per page a PDF is treated as scanned (js/ocr.js)
+const MIN_CHARS_PER_PAGE = 40;
+
+function countTextChars(text) {
+    return String(text || '').replace(/\s+/g, '').length;
+}
+
+async function extractPdf(bytes) {
+    // Loaded on first use: most API calls post text
+    const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    let pdf;
+    try {
+        pdf = await pdfjsLib.getDocument({
+            data: bytes,
+            isEvalSupported: false,
+            useSystemFonts: false,
+            verbosity: pdfjsLib.VerbosityLevel.ERRORS
+        }).promise;
+    } catch (err) {
+        if (err?.name === 'PasswordException') {
+            throw new FileExtractionError('encrypted', 'PDF protegido por senha');
+        }
+        throw new FileExtractionError('corrupt_file', 'PDF corrompido ou inválido');
+    }
+
+    let fullText = '';
+    for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        const textContent = await page.getTextContent();
+        fullText += textContent.items.map(item => item.str).join(' ') + '\n';
+    }
+    await pdf.destroy();
+
+    if (countTextChars(fullText) < MIN_CHARS_PER_PAGE * pdf.numPages / 2) {
+        throw new FileExtractionError('needs_ocr', 'PDF digitalizado (sem texto); envie o texto do currículo');
+    }
+    return { text: fullText, pages: pdf.numPages };
+}
+
+async function extractZipDocument(bytes) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(bytes);
+    } catch {
+        throw new FileExtractionError('corrupt_file', 'Arquivo compactado corrompido');
+    }
+
+    const mimetype = zip.file('mimetype') ? await zip.file('mimetype').async('string') : '';
+    const format = resolveZipFormat(Object.keys(zip.files), mimetype);
+
+    if (format === 'docx') {
+        const xml = await zip.file('word/document.xml').async('string');
+        return { format, text: docxXmlToText(xml) };
+    }
+    if (format === 'odt') {
+        const entry = zip.file('content.xml');
+        if (!entry) throw new FileExtractionError('corrupt_file', 'Documento ODT sem conteúdo');
+        return { format, text: odtXmlToText(await entry.async('string')) };
+    }
+    throw new FileExtractionError('unsupported_format', 'Arquivo ZIP não é um documento DOCX ou ODT');
+}
+
+// Returns { text, format, pages, ocr, ocrPages } like extractTextFromFile in
+// js/text-extraction.js, or throws FileExtractionError
+export async function extractTextFromBytes(bytes, fileName) {
+    if (bytes.length === 0) {
+        throw new FileExtractionError('empty_file', 'Arquivo vazio');
+    }
+
+    const format = sniffFormat(bytes, fileName);
+    let result;
+
+    switch (format) {
+        case 'pdf':
+            result = { format, ...await extractPdf(bytes) };
+            break;
+        case 'zip':
+            result = await extractZipDocument(bytes);
+            break;
+        case 'rtf':
+            result = { format, text: rtfToText(decodeText(bytes)) };
+            break;
+        case 'html':
+            result = { format, text: htmlToText(decodeText(bytes)) };
+            break;
+        case 'txt':
+            result = { format, text: decodeText(bytes) };
+            break;
+        case 'image':
+            throw new FileExtractionError('needs_ocr', 'Imagens não são lidas pela API; envie o texto do currículo');
+        case 'doc':
+            throw new FileExtractionError('unsupported_format', 'Formato DOC (Word 97-2003) não suportado; salve como DOCX ou PDF');
+        default:
+            throw new FileExtractionError('unsupported_format', 'Formato de arquivo não reconhecido');
+    }
+
+    if (!result.text.trim()) {
+        throw new FileExtractionError('empty_text', `Nenhum texto encontrado no ${FORMAT_LABELS[result.format]}`);
+    }
+    return { pages: 1, ocr: false, ocrPages: 0, ...result };
+}
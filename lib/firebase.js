@@ -0,0 +1,46 @@
+// lib/firebase.js
+// Firebase Admin initialization shared by the API functions and lib modules.
+// With FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST set (see
+// firebase.json), the SDK talks to the local emulators and no service
+// account is needed. The app is initialized on first use of db or auth, so
+// modules that import them still load on the storage backends that run
+// without Firebase (lib/storage).
+import { initializeApp, cert, getApps } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getAuth } from 'firebase-admin/auth';
+import { logError } from './log.js';
+
+const usingEmulators = Boolean(process.env.FIRESTORE_EMULATOR_HOST || process.env.FIREBASE_AUTH_EMULATOR_HOST);
+
+function initialize() {
+    if (getApps().length) return;
+    try {
+        if (usingEmulators && !process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
+            initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || 'pdf-extrator' });
+        } else {
+            const serviceAccount = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
+            initializeApp({ credential: cert(serviceAccount) });
+        }
+    } catch (e) {
+        logError("Firebase Admin initialization error:", e);
+        throw e;
+    }
+}
+
+// Stands in for the service until a property is first read
+function lazy(getService) {
+    let service = null;
+    return new Proxy({}, {
+        get(target, property) {
+            if (!service) {
+                initialize();
+                service = getService();
+            }
+            const value = service[property];
+            return typeof value === 'function' ? value.bind(service) : value;
+        }
+    });
+}
+
+export const db = lazy(getFirestore);
+export const auth = lazy(getAuth);
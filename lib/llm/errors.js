@@ -0,0 +1,45 @@
+// lib/llm/errors.js
+// "transient" marks failures worth retrying later: rate limits, server errors,
+// timeouts and network errors. Bad requests and unparseable answers are not.
+export class LlmProviderError extends Error {
+    constructor(provider, message, { status = null, cause, transient } = {}) {
+        super(`${provider}: ${message}`, cause ? { cause } : undefined);
+        this.name = 'LlmProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.transient = transient ?? (status === 429 || status >= 500);
+    }
+}
+
+// fetch() with an abort-based timeout; maps aborts and HTTP errors to LlmProviderError
+export async function fetchJson(provider, url, init, timeoutMs) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+        response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+        const message = error.name === 'AbortError' ? `timeout after ${timeoutMs}ms` : error.message;
+        throw new LlmProviderError(provider, message, { cause: error, transient: true });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+        throw new LlmProviderError(provider, `API error: ${response.status}`, { status: response.status });
+    }
+    return response.json();
+}
+
+export function parseJsonContent(provider, content) {
+    if (!content) {
+        throw new LlmProviderError(provider, 'No content in response');
+    }
+    try {
+        // Some local models wrap the JSON in a markdown fence
+        return JSON.parse(content.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+    } catch (error) {
+        throw new LlmProviderError(provider, 'Invalid JSON in response', { cause: error });
+    }
+}
@@ -0,0 +1,71 @@
+// lib/llm/gemini.js
+import { fetchJson, parseJsonContent } from './errors.js';
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+const DEFAULT_TIMEOUT_MS = 3000; // Tight timeout for Gemini API
+
+// Gemini's responseSchema is an OpenAPI subset: upper-case types, "nullable"
+// instead of type unions, and no "additionalProperties".
+export function toGeminiSchema(schema) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = types.find(t => t !== 'null');
+    const converted = { type: type.toUpperCase() };
+
+    if (types.includes('null')) converted.nullable = true;
+    if (schema.description) converted.description = schema.description;
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+        converted.properties = {};
+        Object.entries(schema.properties).forEach(([key, value]) => {
+            converted.properties[key] = toGeminiSchema(value);
+        });
+    }
+    if (schema.required && type === 'object') converted.required = schema.required;
+
+    return converted;
+}
+
+export function createGeminiProvider(env) {
+    const apiKey = env.GEMINI_API_KEY;
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is required for LLM_PROVIDER=gemini');
+    }
+    const model = env.GEMINI_MODEL || DEFAULT_MODEL;
+    const timeoutMs = parseInt(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+    return {
+        name: 'gemini',
+        model,
+        async generate({ prompt, schema, maxOutputTokens }) {
+            const payload = {
+                contents: [{ parts: [{ text: prompt }] }],
+                generationConfig: {
+                    responseMimeType: "application/json",
+                    responseSchema: toGeminiSchema(schema),
+                    temperature: 0,
+                    maxOutputTokens
+                }
+            };
+
+            const result = await fetchJson(
+                'gemini',
+                `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+                {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload)
+                },
+                timeoutMs
+            );
+
+            const content = result.candidates?.[0]?.content?.parts?.[0]?.text;
+            return {
+                data: parseJsonContent('gemini', content),
+                usage: {
+                    inputTokens: result.usageMetadata?.promptTokenCount || 0,
+                    outputTokens: result.usageMetadata?.candidatesTokenCount || 0
+                }
+            };
+        }
+    };
+}
@@ -0,0 +1,36 @@
+// lib/llm/index.js
+// Selects the LLM provider from environment configuration:
+//   LLM_PROVIDER=gemini  GEMINI_API_KEY, GEMINI_MODEL (default gemini-1.5-flash)
+//   LLM_PROVIDER=openai  OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL — any
+//                        OpenAI-compatible server (llama.cpp, Ollama, vLLM...)
+//   LLM_PROVIDER=mock    deterministic offline provider (see mock.js)
+//   LLM_PROVIDER=none    rule-based extraction only
+// Without LLM_PROVIDER, Gemini is used when GEMINI_API_KEY is set.
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+const FACTORIES = {
+    gemini: createGeminiProvider,
+    openai: createOpenAiProvider,
+    mock: createMockProvider
+};
+
+let cached = null;
+
+export function getProvider(env = process.env) {
+    const name = (env.LLM_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'none')).toLowerCase();
+    if (cached && cached.key === name && env === process.env) return cached.provider;
+
+    let provider = null;
+    if (name !== 'none') {
+        const factory = FACTORIES[name];
+        if (!factory) {
+            throw new Error(`Unknown LLM_PROVIDER "${name}"`);
+        }
+        provider = factory(env);
+    }
+
+    if (env === process.env) cached = { key: name, provider };
+    return provider;
+}
@@ -0,0 +1,75 @@
+// lib/llm/mock.js
+// Deterministic offline provider for local runs and tests of the process-batch
+// flow. Answers by running the rule-based extractor over the resume text and
+// shaping the result to the requested schema, so the same input always yields
+// the same output. Scoring requests (task "score") are answered by the
+// keyword scorer. Failures can be simulated with LLM_MOCK_FAILURE:
+//   timeout | http_429 | http_500 | invalid_json
+import { LlmProviderError, parseJsonContent } from './errors.js';
+import { fallbackExtraction } from '../fallback.js';
+import { keywordScore } from '../scoring.js';
+
+const SCHEMA_TO_FIELD_TYPE = { number: 'number', boolean: 'boolean', array: 'list', string: 'string' };
+
+function fieldsFromSchema(schema) {
+    return Object.entries(schema.properties || {})
+        .filter(([, property]) => !(property.type === 'array' && property.items?.type === 'object'))
+        .map(([key, property]) => {
+            const types = Array.isArray(property.type) ? property.type : [property.type];
+            const type = types.find(t => t !== 'null');
+            return {
+                key,
+                label: key,
+                type: /YYYY-MM-DD/.test(property.description || '') ? 'date' : SCHEMA_TO_FIELD_TYPE[type] || 'string'
+            };
+        });
+}
+
+function estimateTokens(text) {
+    return Math.ceil(String(text).length / 4);
+}
+
+export function createMockProvider(env) {
+    const failure = env.LLM_MOCK_FAILURE || '';
+    const latencyMs = parseInt(env.LLM_MOCK_LATENCY_MS) || 0;
+
+    return {
+        name: 'mock',
+        model: 'mock-extractor',
+        async generate({ task, prompt, schema, text, context }) {
+            if (latencyMs) await new Promise(resolve => setTimeout(resolve, latencyMs));
+
+            if (failure === 'timeout') throw new LlmProviderError('mock', 'timeout after 0ms', { transient: true });
+            if (failure === 'http_429') throw new LlmProviderError('mock', 'API error: 429', { status: 429 });
+            if (failure === 'http_500') throw new LlmProviderError('mock', 'API error: 500', { status: 500 });
+            if (failure === 'invalid_json') parseJsonContent('mock', '{not json');
+
+            if (task === 'score') {
+                const { scorer, ...data } = keywordScore({ text, data: context.data, requirements: context.requirements });
+                return {
+                    data,
+                    usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(JSON.stringify(data)) }
+                };
+            }
+
+            const structured = Boolean(schema.properties?.experiencias);
+            const extraction = fallbackExtraction(text || '', fieldsFromSchema(schema), { structured });
+            if (!extraction.success) throw new LlmProviderError('mock', extraction.error);
+            const extracted = extraction.data;
+
+            // Only answer with the keys the schema asked for
+            const data = {};
+            Object.keys(schema.properties || {}).forEach(key => {
+                data[key] = extracted[key] ?? null;
+            });
+
+            return {
+                data,
+                usage: {
+                    inputTokens: estimateTokens(prompt),
+                    outputTokens: estimateTokens(JSON.stringify(data))
+                }
+            };
+        }
+    };
+}
@@ -0,0 +1,64 @@
+// lib/llm/openai.js
+// OpenAI-compatible chat completions: OpenAI itself or a self-hosted server
+// such as llama.cpp (http://localhost:8080/v1) or Ollama (http://localhost:11434/v1).
+import { fetchJson, parseJsonContent } from './errors.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_TIMEOUT_MS = 8000; // Local models answer slower than hosted ones
+
+export function createOpenAiProvider(env) {
+    const model = env.OPENAI_MODEL;
+    if (!model) {
+        throw new Error('OPENAI_MODEL is required for LLM_PROVIDER=openai');
+    }
+    const baseUrl = (env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const apiKey = env.OPENAI_API_KEY;
+    const timeoutMs = parseInt(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    // "json_schema" (strict structured output) or "json_object" for servers
+    // that only support JSON mode; the schema then goes in the prompt.
+    const outputMode = env.OPENAI_RESPONSE_FORMAT || 'json_schema';
+
+    return {
+        name: 'openai',
+        model,
+        async generate({ prompt, schema, maxOutputTokens }) {
+            const messages = [
+                { role: 'system', content: 'You extract structured data from resumes and answer with JSON only.' },
+                { role: 'user', content: outputMode === 'json_schema' ? prompt : `${prompt}\n\nJSON Schema:\n${JSON.stringify(schema)}` }
+            ];
+
+            const responseFormat = outputMode === 'json_schema'
+                ? { type: 'json_schema', json_schema: { name: 'resume_extraction', strict: true, schema } }
+                : { type: 'json_object' };
+
+            const result = await fetchJson(
+                'openai',
+                `${baseUrl}/chat/completions`,
+                {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+                    },
+                    body: JSON.stringify({
+                        model,
+                        messages,
+                        response_format: responseFormat,
+                        temperature: 0,
+                        max_tokens: maxOutputTokens
+                    })
+                },
+                timeoutMs
+            );
+
+            const content = result.choices?.[0]?.message?.content;
+            return {
+                data: parseJsonContent('openai', content),
+                usage: {
+                    inputTokens: result.usage?.prompt_tokens || 0,
+                    outputTokens: result.usage?.completion_tokens || 0
+                }
+            };
+        }
+    };
+}
@@ -0,0 +1,69 @@
+// lib/local-users.js
+// Users of a self-hosted install (STORAGE_BACKEND other than firestore),
+// which has no Firebase Auth. LOCAL_USERS maps each bearer token to a user
+// and their role in each workspace:
+//   {"<token>": {"uid": "ana", "email": "ana@empresa.com", "workspaces": {"rh": "admin"}}}
+// Workspaces exist only through their members listed here. REST API keys
+// (lib/api-keys.js) come from LOCAL_API_KEYS: {"ek_<any secret>": "<workspaceId>"}.
+import { ROLES } from '../shared/workspaces.js';
+
+let cached = { source: null, users: new Map() };
+
+function readUsers() {
+    const source = process.env.LOCAL_USERS || '';
+    if (cached.source === source) return cached.users;
+
+    const users = new Map();
+    const entries = source ? Object.entries(JSON.parse(source)) : [];
+    entries.forEach(([token, user]) => {
+        if (!token || typeof user?.uid !== 'string') {
+            throw new Error('LOCAL_USERS: every token needs a user with a uid');
+        }
+        users.set(token, {
+            uid: user.uid,
+            email: user.email || null,
+            workspaces: Object.fromEntries(Object.entries(user.workspaces || {}).filter(([, role]) => ROLES.includes(role)))
+        });
+    });
+    cached = { source, users };
+    return users;
+}
+
+// { uid, email, emailVerified } for a known token, like lib/auth.js, or null
+export function localUser(token) {
+    const user = readUsers().get(token);
+    return user ? { uid: user.uid, email: user.email, emailVerified: true } : null;
+}
+
+// A workspace shaped like its Firestore document, or null without members
+export function localWorkspace(workspaceId) {
+    const members = {};
+    readUsers().forEach(user => {
+        const role = user.workspaces[workspaceId];
+        if (role) members[user.uid] = { role, email: user.email };
+    });
+    const memberIds = Object.keys(members);
+    if (memberIds.length === 0) return null;
+    return { id: workspaceId, name: workspaceId, personal: false, members, memberIds };
+}
+
+export function localMemberships(uid) {
+    const roles = {};
+    readUsers().forEach(user => {
+        if (user.uid === uid) Object.assign(roles, user.workspaces);
+    });
+    return roles;
+}
+
+// Workspace an API key acts for, or null
+export function localApiKeyWorkspace(key) {
+    const keys = JSON.parse(process.env.LOCAL_API_KEYS || '{}');
+    const workspaceId = Object.hasOwn(keys, key) ? keys[key] : null;
+    return typeof workspaceId === 'string' ? workspaceId : null;
+}
+
+// Keys of LOCAL_API_KEYS acting for a workspace
+export function localApiKeys(workspaceId) {
+    const keys = JSON.parse(process.env.LOCAL_API_KEYS || '{}');
+    return Object.keys(keys).filter(key => keys[key] === workspaceId);
+}
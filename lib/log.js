@@ -0,0 +1,47 @@
+// lib/log.js
+// PII-safe server logging. Every message goes through redact(), which masks
+// emails, CPFs and phone numbers, and user IDs are logged as a salted hash
+// (userRef) so log lines can be correlated without naming anyone. Error
+// messages are redacted too: LLM and parser errors may quote the resume.
+// Candidate names cannot be recognized reliably, so callers never log them.
+import { createHash } from 'node:crypto';
+
+const EMAIL = /[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[a-z]{2,}/gi;
+const CPF = /(?<![\w.-])\d{3}\.?\d{3}\.?\d{3}-?\d{2}(?![\w-])/g;
+// "+55 (11) 98765-4321", "11 3456.7890": the last four digits set apart.
+// Bare digits only in a Brazilian number's shape ("+5511987654321", "987654321"),
+// so numeric IDs, key prefixes and timestamps in log lines are left alone.
+const PHONE = /(?<![\w./+-])(?:(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2}\)[\s.-]?|\d{2}[\s.-])?\d{4,5}[\s.-]\d{4}|(?:\+?55)?[1-9]{2}(?:9\d{8}|[2-5]\d{7})|9\d{8})(?![\w-])/g;
+
+const LOG_SALT = process.env.LOG_SALT || '';
+
+export function redact(value) {
+    return String(value ?? '')
+        .replace(EMAIL, '[email]')
+        .replace(CPF, '[cpf]')
+        .replace(PHONE, '[telefone]');
+}
+
+// Stable pseudonym of a user ID for log lines
+export function userRef(uid) {
+    if (!uid) return 'anon';
+    return `u:${createHash('sha256').update(`${LOG_SALT}${uid}`).digest('hex').slice(0, 10)}`;
+}
+
+function describeError(error) {
+    if (!(error instanceof Error)) return redact(error);
+    const code = error.code !== undefined ? ` [${error.code}]` : '';
+    return redact(`${error.stack || `${error.name}: ${error.message}`}${code}`);
+}
+
+export function logInfo(message) {
+    console.log(redact(message));
+}
+
+export function logError(message, error) {
+    if (error === undefined) {
+        console.error(redact(message));
+    } else {
+        console.error(redact(message), describeError(error));
+    }
+}
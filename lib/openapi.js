@@ -0,0 +1,328 @@
+// lib/openapi.js
+// OpenAPI 3.1 description of the REST API (api/v1), served at
+// /api/v1/openapi. Kept next to lib/api-v1.js: a field added to a job or
+// batch there belongs here too.
+import { API_VERSION, MAX_FILE_BYTES, RETENTION_DAY_OPTIONS } from './api-v1.js';
+import { WEBHOOK_EVENTS } from './webhooks.js';
+import { SIGNATURE_HEADER, SIGNATURE_TOLERANCE_SECONDS } from './webhook-signature.js';
+import { DEFAULT_FIELDS, FIELD_TYPES } from '../shared/fields.js';
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const FIELD_SCHEMA = {
+    type: 'object',
+    required: ['label'],
+    properties: {
+        key: { type: 'string', description: 'Chave no resultado; derivada do rótulo quando omitida' },
+        label: { type: 'string' },
+        type: { type: 'string', enum: FIELD_TYPES },
+        instructions: { type: 'string', maxLength: 500 },
+        required: { type: 'boolean' }
+    }
+};
+
+const REQUIREMENTS_SCHEMA = {
+    type: 'object',
+    description: 'Requisitos da vaga para a pontuação dos candidatos',
+    properties: {
+        description: { type: 'string', maxLength: 2000 },
+        requiredSkills: { type: 'array', items: { type: 'string' } },
+        niceToHaveSkills: { type: 'array', items: { type: 'string' } },
+        minExperienceYears: { type: 'number', minimum: 0, maximum: 50 },
+        location: { type: 'string' }
+    }
+};
+
+export function buildOpenApiSpec(baseUrl) {
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Extrator de Currículos API',
+            version: API_VERSION,
+            description: 'Envio de currículos para extração e consulta dos resultados. '
+                + 'Autentique com uma chave de API do workspace (Workspace → Integrações): '
+                + '`Authorization: Bearer ek_...`. Jobs fora de um lote são removidos '
+                + 'algumas horas depois de concluídos; use lotes para guardar os resultados.'
+        },
+        servers: [{ url: `${baseUrl}/api/${API_VERSION}` }],
+        security: [{ apiKey: [] }],
+        paths: {
+            '/jobs': {
+                post: {
+                    operationId: 'createJob',
+                    summary: 'Enviar um currículo para a fila',
+                    requestBody: {
+                        required: true,
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/JobInput' } } }
+                    },
+                    responses: {
+                        201: {
+                            description: 'Job criado',
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            success: { type: 'boolean' },
+                                            jobId: { type: 'string' },
+                                            status: { type: 'string', const: 'pending' }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        400: errorResponse('Parâmetros inválidos'),
+                        401: errorResponse('Chave de API ausente, inválida ou revogada'),
+                        404: errorResponse('Lote não encontrado'),
+                        409: errorResponse('Lote cancelado'),
+                        413: errorResponse('Arquivo grande demais'),
+                        422: errorResponse('Arquivo ilegível (por exemplo, PDF digitalizado: envie o texto)'),
+                        429: {
+                            description: 'Limite diário de jobs da chave ou do workspace atingido; tente após `Retry-After` segundos',
+                            headers: { 'Retry-After': { schema: { type: 'integer' } } },
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/QuotaError' } } }
+                        }
+                    }
+                }
+            },
+            '/jobs/{jobId}': {
+                get: {
+                    operationId: 'getJob',
+                    summary: 'Status e resultado de um job',
+                    parameters: [{ name: 'jobId', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: {
+                        200: {
+                            description: 'Job',
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            success: { type: 'boolean' },
+                                            job: { $ref: '#/components/schemas/Job' }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        401: errorResponse('Chave de API ausente, inválida ou revogada'),
+                        404: errorResponse('Job não encontrado')
+                    }
+                }
+            },
+            '/batches': {
+                post: {
+                    operationId: 'createBatch',
+                    summary: 'Criar um lote (processo seletivo)',
+                    requestBody: {
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/BatchInput' } } }
+                    },
+                    responses: {
+                        201: {
+                            description: 'Lote criado',
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            success: { type: 'boolean' },
+                                            batch: { $ref: '#/components/schemas/Batch' }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        400: errorResponse('Parâmetros inválidos'),
+                        401: errorResponse('Chave de API ausente, inválida ou revogada')
+                    }
+                }
+            },
+            '/batches/{batchId}/jobs': {
+                get: {
+                    operationId: 'listBatchJobs',
+                    summary: 'Lote e seus jobs',
+                    parameters: [
+                        { name: 'batchId', in: 'path', required: true, schema: { type: 'string' } },
+                        {
+                            name: 'status',
+                            in: 'query',
+                            schema: { type: 'string', enum: ['pending', 'throttled', 'processing', 'completed', 'failed', 'paused', 'cancelled'] }
+                        },
+                        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 200 } }
+                    ],
+                    responses: {
+                        200: {
+                            description: 'Lote e jobs',
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            success: { type: 'boolean' },
+                                            batch: { $ref: '#/components/schemas/Batch' },
+                                            jobs: { type: 'array', items: { $ref: '#/components/schemas/Job' } },
+                                            truncated: { type: 'boolean', description: 'Há mais jobs do que o limite' }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        400: errorResponse('Parâmetros inválidos'),
+                        401: errorResponse('Chave de API ausente, inválida ou revogada'),
+                        404: errorResponse('Lote não encontrado')
+                    }
+                }
+            }
+        },
+        webhooks: Object.fromEntries(WEBHOOK_EVENTS.map(event => [event, {
+            post: {
+                summary: `Evento ${event}`,
+                description: `Enviado ao webhook do workspace. \`${SIGNATURE_HEADER}: t=<segundos>,v1=<hex>\` `
+                    + 'é o HMAC-SHA256 de `<t>.<corpo bruto>` com o segredo do webhook; rejeite '
+                    + `assinaturas com mais de ${SIGNATURE_TOLERANCE_SECONDS / 60} minutos. Respostas fora de 2xx `
+                    + 'são reenviadas com espera crescente; `X-Webhook-Delivery` identifica a entrega para descartar repetições.',
+                parameters: [
+                    { name: SIGNATURE_HEADER, in: 'header', required: true, schema: { type: 'string' } },
+                    { name: 'X-Webhook-Event', in: 'header', required: true, schema: { type: 'string', const: event } },
+                    { name: 'X-Webhook-Delivery', in: 'header', required: true, schema: { type: 'string' } }
+                ],
+                requestBody: {
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/WebhookEvent' } } }
+                },
+                responses: { 200: { description: 'Recebido' } }
+            }
+        }])),
+        components: {
+            securitySchemes: {
+                apiKey: { type: 'http', scheme: 'bearer', description: 'Chave de API do workspace (ek_...)' }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    properties: { error: { type: 'string' }, message: { type: 'string' } }
+                },
+                QuotaError: {
+                    type: 'object',
+                    properties: {
+                        error: { type: 'string' },
+                        message: { type: 'string' },
+                        quota: {
+                            type: 'object',
+                            properties: {
+                                scope: { type: 'string', enum: ['user', 'workspace'] },
+                                limit: { type: 'string', enum: ['jobsPerDay', 'concurrent'] },
+                                max: { type: 'integer' },
+                                used: { type: 'integer' },
+                                retryAt: { type: 'string', format: 'date-time' }
+                            }
+                        }
+                    }
+                },
+                Field: FIELD_SCHEMA,
+                Requirements: REQUIREMENTS_SCHEMA,
+                JobInput: {
+                    type: 'object',
+                    description: 'Envie `text` ou `file` com `fileName`. Em um lote, campos, requisitos, '
+                        + 'prioridade e anonimização vêm do lote.',
+                    properties: {
+                        text: { type: 'string', description: 'Texto do currículo' },
+                        file: {
+                            type: 'string',
+                            contentEncoding: 'base64',
+                            description: `PDF, DOCX, ODT, RTF, HTML ou TXT, até ${MAX_FILE_BYTES / 1024 / 1024} MB. Sem OCR: PDFs digitalizados são recusados`
+                        },
+                        fileName: { type: 'string' },
+                        batchId: { type: 'string' },
+                        fields: {
+                            description: `Definições de campos ou chaves dos campos padrão (${DEFAULT_FIELDS.map(field => field.key).join(', ')})`,
+                            oneOf: [
+                                { type: 'array', items: { $ref: '#/components/schemas/Field' } },
+                                { type: 'array', items: { type: 'string' } }
+                            ]
+                        },
+                        requirements: { $ref: '#/components/schemas/Requirements' },
+                        structured: { type: 'boolean', description: 'Extrair experiências e formação estruturadas' },
+                        urgent: { type: 'boolean' }
+                    }
+                },
+                BatchInput: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', maxLength: 120 },
+                        jobOpening: { type: 'string' },
+                        retentionDays: { type: 'integer', enum: RETENTION_DAY_OPTIONS, default: 30 },
+                        fields: { $ref: '#/components/schemas/JobInput/properties/fields' },
+                        requirements: { $ref: '#/components/schemas/Requirements' },
+                        structured: { type: 'boolean' },
+                        urgent: { type: 'boolean' },
+                        anonymized: { type: 'boolean', description: 'Triagem às cegas: resultados sem dados de identificação' }
+                    }
+                },
+                Job: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        status: { type: 'string', enum: ['pending', 'throttled', 'processing', 'completed', 'failed', 'paused', 'cancelled'] },
+                        batchId: { type: ['string', 'null'] },
+                        fileName: { type: ['string', 'null'] },
+                        candidateCode: { type: ['string', 'null'] },
+                        attempts: { type: 'integer' },
+                        error: { type: ['string', 'null'] },
+                        createdAt: { type: ['string', 'null'], format: 'date-time' },
+                        finishedAt: { type: ['string', 'null'], format: 'date-time' },
+                        result: { type: 'object', description: 'Campos extraídos (apenas em completed)' },
+                        needsReview: { type: 'boolean' },
+                        reviewReasons: { type: 'array', items: { type: 'string' } },
+                        match: { type: ['object', 'null'], description: 'Pontuação contra os requisitos' },
+                        duplicates: { type: 'array', items: { type: 'string' }, description: 'Jobs anteriores do mesmo candidato' }
+                    }
+                },
+                Batch: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string' },
+                        jobOpening: { type: ['string', 'null'] },
+                        control: { type: 'string', enum: ['running', 'paused', 'cancelled'] },
+                        anonymized: { type: 'boolean' },
+                        retentionDays: { type: ['integer', 'null'] },
+                        stats: {
+                            type: 'object',
+                            properties: Object.fromEntries(['files', 'queued', 'unreadable', 'completed', 'failed', 'cancelled']
+                                .map(counter => [counter, { type: 'integer' }]))
+                        },
+                        createdAt: { type: ['string', 'null'], format: 'date-time' },
+                        expiresAt: { type: ['string', 'null'], format: 'date-time' }
+                    }
+                },
+                WebhookEvent: {
+                    type: 'object',
+                    description: 'Apenas IDs e status; busque o resultado em GET /jobs/{jobId}',
+                    properties: {
+                        id: { type: 'string' },
+                        event: { type: 'string', enum: WEBHOOK_EVENTS },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        workspaceId: { type: 'string' },
+                        data: {
+                            type: 'object',
+                            properties: {
+                                jobId: { type: 'string' },
+                                batchId: { type: ['string', 'null'] },
+                                status: { type: 'string' },
+                                fileName: { type: ['string', 'null'], description: 'Somente em jobs enviados pela API fora de lotes anonimizados' },
+                                needsReview: { type: 'boolean' },
+                                error: { type: 'string' },
+                                finishedAt: { type: ['string', 'null'], format: 'date-time' },
+                                name: { type: ['string', 'null'], description: 'batch.completed' },
+                                stats: { type: 'object', description: 'batch.completed' }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,134 @@
+// lib/provenance.js
+// Where each extracted value came from: the extractor that produced it, a
+// confidence score and the snippet of resume text that supports it.
+import { isEmptyFieldValue, formatFieldValue } from '../shared/fields.js';
+import { LOW_CONFIDENCE } from '../shared/review.js';
+import { findPhones, parsePhone } from '../shared/phones.js';
+
+const SNIPPET_CHARS = 160;
+
+// LLM values found verbatim in the text are trusted more than values the
+// model computed or reworded (ages from birth dates, normalized names)
+const LLM_CONFIDENCE_FOUND = 0.85;
+const LLM_CONFIDENCE_NOT_FOUND = 0.6;
+const AGREEMENT_CONFIDENCE = 0.95;
+const DISAGREEMENT_CONFIDENCE = 0.4;
+// OCR text has recognition errors, so everything read from it scores lower
+const OCR_CONFIDENCE_FACTOR = 0.85;
+
+// Lowercase and strip accents one UTF-16 unit at a time so indexes into the
+// folded text still point at the same place in the original
+export function foldText(text) {
+    return String(text).split('').map(char =>
+        char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().charAt(0) || char
+    ).join('');
+}
+
+function canonical(value) {
+    return foldText(value).replace(/[^a-z0-9]/g, '');
+}
+
+// The line around index, trimmed to SNIPPET_CHARS
+export function snippetAt(text, index) {
+    if (index < 0 || index >= text.length) return '';
+    const lineStart = text.lastIndexOf('\n', index) + 1;
+    const lineEnd = text.indexOf('\n', index);
+    const line = text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd);
+    const offset = index - lineStart;
+    const start = Math.max(0, Math.min(offset - SNIPPET_CHARS / 4, line.length - SNIPPET_CHARS));
+    const snippet = line.slice(start, start + SNIPPET_CHARS).trim();
+    return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_CHARS < line.length ? '…' : ''}`;
+}
+
+// Position of the evidence for a value in the text, or -1
+export function locateValue(text, value, field) {
+    if (Array.isArray(value)) {
+        for (const item of value) {
+            const index = locateValue(text, item, { ...field, type: 'string' });
+            if (index >= 0) return index;
+        }
+        return -1;
+    }
+
+    if (field.type === 'number') {
+        const pattern = field.key === 'idade' ? `\\b${value}\\s*anos\\b` : `\\b${value}\\b`;
+        return text.search(new RegExp(pattern, 'i'));
+    }
+    if (field.type === 'boolean' || typeof value !== 'string' || !value.trim()) return -1;
+
+    const phone = /\d{4}/.test(value) ? parsePhone(value) : null;
+    if (phone) {
+        return findPhones(text).find(found => found.e164 === phone.e164)?.index ?? -1;
+    }
+
+    const needle = foldText(value.trim().replace(/^https?:\/\/(www\.)?/i, ''));
+    return foldText(text).indexOf(needle);
+}
+
+export function valuesAgree(a, b, field) {
+    if (field.type === 'number') return Number(a) === Number(b);
+    if (field.type === 'list') {
+        const left = new Set((a || []).map(item => parsePhone(item)?.e164 || canonical(item)));
+        return (b || []).some(item => left.has(parsePhone(item)?.e164 || canonical(item)));
+    }
+    const left = canonical(a);
+    const right = canonical(b);
+    // "São Paulo/SP" and "São Paulo" are the same answer at different detail
+    return left === right || (left.length > 3 && right.length > 3 && (left.includes(right) || right.includes(left)));
+}
+
+function round(confidence) {
+    return Math.round(confidence * 100) / 100;
+}
+
+// Provenance for one field. Rule-based values carry their own evidence
+// ({ index, confidence }); LLM values are looked up in the text they came from.
+export function fieldProvenance({ text, value, field, source, evidence, ocr = false }) {
+    if (isEmptyFieldValue(value, field)) return null;
+
+    let index;
+    let confidence;
+    if (source === 'regex') {
+        index = evidence?.index ?? locateValue(text, value, field);
+        confidence = evidence?.confidence ?? LOW_CONFIDENCE;
+    } else {
+        index = locateValue(text, value, field);
+        confidence = index >= 0 ? LLM_CONFIDENCE_FOUND : LLM_CONFIDENCE_NOT_FOUND;
+    }
+
+    return {
+        source,
+        ocr,
+        confidence: round(ocr ? confidence * OCR_CONFIDENCE_FACTOR : confidence),
+        snippet: index >= 0 ? snippetAt(text, index) : ''
+    };
+}
+
+// Compare LLM values with an independent rule-based run over the same text.
+// Agreement raises the confidence; a conflict lowers it and is reported.
+// Rule-based guesses below LOW_CONFIDENCE are too weak to contradict the model.
+export function crossCheck({ text, data, provenance, regex, fields, ocr = false }) {
+    const disagreements = [];
+
+    fields.forEach(field => {
+        const entry = provenance[field.key];
+        const evidence = regex.evidence[field.key];
+        const regexValue = regex.data[field.key];
+        if (!entry || entry.source !== 'llm' || !evidence || isEmptyFieldValue(regexValue, field)) return;
+
+        if (valuesAgree(data[field.key], regexValue, field)) {
+            const boosted = ocr ? AGREEMENT_CONFIDENCE * OCR_CONFIDENCE_FACTOR : AGREEMENT_CONFIDENCE;
+            entry.confidence = round(Math.max(entry.confidence, boosted));
+            if (!entry.snippet) entry.snippet = snippetAt(text, evidence.index);
+        } else if (evidence.confidence >= LOW_CONFIDENCE) {
+            entry.confidence = round(Math.min(entry.confidence, DISAGREEMENT_CONFIDENCE));
+            disagreements.push({
+                field: field.key,
+                llm: formatFieldValue(data[field.key], field),
+                regex: formatFieldValue(regexValue, field)
+            });
+        }
+    });
+
+    return disagreements;
+}
@@ -0,0 +1,379 @@
+// lib/queue.js
+// Job claiming for processing_queue, on the configured storage backend
+// (lib/storage). A worker owns a job through a lease
+// (leaseOwner + leaseExpiresAt). recoverExpiredLeases is the single recovery
+// path for jobs left in "processing" by a run that died or timed out; it
+// counts as a failed attempt under the retry policy in retry.js. Jobs with
+// priority HIGH_PRIORITY are claimed before the rest. Jobs over their user's
+// or workspace's daily limit (quotas.js) wait as "throttled" until the next
+// day, when releaseThrottledJobs returns them to the queue.
+import { randomUUID } from 'node:crypto';
+import { Timestamp, FieldValue } from 'firebase-admin/firestore';
+import { getStorage } from './storage/index.js';
+import { failureUpdate } from './retry.js';
+import { transitionCounts, finishesBatch, heldStatus, holdUpdate } from './batches.js';
+import { createQuotaTracker, recordJobStart, isFirstStart } from './quotas.js';
+import { dropRawText, dropIdentityText } from './anonymize.js';
+import { logInfo, logError } from './log.js';
+
+export const QUEUE_COLLECTION = 'processing_queue';
+
+// Long enough for one extraction (several LLM calls), short enough that a
+// crashed run is picked up again within a couple of minutes (QUEUE_LEASE_MS)
+export const LEASE_MS = parseInt(process.env.QUEUE_LEASE_MS) || 2 * 60 * 1000;
+
+// Pending jobs read per claim round to choose a fair subset from
+const CANDIDATE_SCAN = 50;
+// Users with pending jobs looked up per claim round, and jobs read from each
+const USER_SCAN = 20;
+const JOBS_PER_USER = 10;
+// Characters user IDs start with (Firebase UIDs and "api:" keys), where the
+// user lookup starts at random
+const USER_ID_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Job priority for urgent resumes; jobs without one are normal (0)
+export const HIGH_PRIORITY = 1;
+
+// How long kickDrain waits for the next run to accept the request
+const KICK_TIMEOUT_MS = 1500;
+
+export function createWorkerId() {
+    return `worker_${randomUUID()}`;
+}
+
+export function getBaseUrl() {
+    if (process.env.APP_BASE_URL) {
+        return process.env.APP_BASE_URL.replace(/\/$/, '');
+    }
+    if (process.env.VERCEL_URL) {
+        return `https://${process.env.VERCEL_URL}`;
+    }
+    return 'https://pdf.in100tiva.com';
+}
+
+function isDue(job, now) {
+    return !job.nextAttemptAt || job.nextAttemptAt.toMillis() <= now;
+}
+
+function leaseExpired(job, now) {
+    if (job.leaseExpiresAt) return job.leaseExpiresAt.toMillis() <= now;
+    // Jobs claimed before leases existed only carry startedAt
+    return !job.startedAt || job.startedAt.toMillis() + LEASE_MS <= now;
+}
+
+// Atomically move a pending job to "processing" under this worker's lease and
+// count the attempt. Returns the job data (with the new attempt count and
+// firstStart, whether this claim counts against the daily limits), or null
+// when the job is gone, no longer pending or waiting for its retry time.
+// A job whose batch was paused or cancelled after it was queued is moved to
+// that status instead. An optional authorize(jobData) check runs inside the
+// transaction.
+export async function claimJob(jobId, workerId, { authorize } = {}) {
+    const storage = await getStorage();
+    let cancelledBlind = false;
+
+    const claimed = await storage.transactJob(jobId, (jobData, batchData) => {
+        if (authorize && !authorize(jobData)) {
+            throw new Error('Unauthorized');
+        }
+        cancelledBlind = false;
+        const now = Date.now();
+        if (jobData.status !== 'pending' || !isDue(jobData, now)) return { result: null };
+
+        const held = heldStatus(batchData);
+        if (held) {
+            cancelledBlind = held === 'cancelled' && jobData.anonymized === true;
+            return { update: holdUpdate(held), counts: transitionCounts(jobData.status, held), result: null };
+        }
+
+        const attempts = (jobData.attempts || 0) + 1;
+        const firstStart = isFirstStart(jobData);
+        return {
+            update: {
+                status: 'processing',
+                startedAt: Timestamp.fromMillis(now),
+                attempts,
+                leaseOwner: workerId,
+                leaseExpiresAt: Timestamp.fromMillis(now + LEASE_MS),
+                ...(firstStart ? { quotaStartedAt: Timestamp.fromMillis(now) } : {})
+            },
+            result: { ...jobData, attempts, firstStart }
+        };
+    });
+
+    if (cancelledBlind) {
+        await dropIdentityText(jobId).catch(error => logError(`[QUEUE ${jobId}] Raw text removal failed:`, error));
+    }
+    return claimed;
+}
+
+// Claim a job and count its first attempt against the daily limits
+async function claimCounted(jobId, workerId, options) {
+    const jobData = await claimJob(jobId, workerId, options);
+    if (jobData?.firstStart) {
+        await recordJobStart(jobData).catch(error => logError(`[QUEUE ${jobId}] Quota count failed:`, error));
+    }
+    return jobData;
+}
+
+// Keep a pending job out of the next claims until the limit it hit frees up:
+// "throttled" until the next day, or pending with a later nextAttemptAt
+export async function deferJob(jobId, exceeded) {
+    const storage = await getStorage();
+    const deferUntil = Timestamp.fromMillis(exceeded.retryAt);
+    await storage.transactJob(jobId, (jobData) => {
+        if (jobData.status !== 'pending') return { result: false };
+        if (exceeded.limit !== 'jobsPerDay') return { update: { nextAttemptAt: deferUntil }, result: true };
+        return {
+            update: {
+                status: 'throttled',
+                throttledBy: `${exceeded.scope}.${exceeded.limit}`,
+                throttledAt: Timestamp.now(),
+                nextAttemptAt: deferUntil
+            },
+            result: true
+        };
+    });
+}
+
+// Claim a job for an explicit request (process-batch), within the limits.
+// Returns { jobData } or { exceeded } (see quotas.js); jobData is null when
+// the job cannot be claimed. The slot is taken before the claim, so parallel
+// calls cannot overshoot; a claim that then fails gives it back, and the
+// caller releases it once the job is done (quotas.release).
+export async function claimJobWithinQuota(jobId, workerId, quotas, { authorize } = {}) {
+    const storage = await getStorage();
+    const current = await storage.getJob(jobId);
+    if (!current || current.status !== 'pending') return { jobData: null };
+    if (authorize && !authorize(current)) throw new Error('Unauthorized');
+
+    const exceeded = await quotas.take(current);
+    if (exceeded) return { exceeded };
+
+    let jobData = null;
+    try {
+        jobData = await claimCounted(jobId, workerId, { authorize });
+    } finally {
+        if (!jobData) await quotas.release(current, { firstAttempt: isFirstStart(current) });
+    }
+    return { jobData };
+}
+
+// Write the outcome only while this worker still holds the lease, so a run
+// that overran its lease cannot overwrite the result of the run that took over.
+// The job's batch counters change in the same transaction, and a retry of a
+// job whose batch was paused or cancelled meanwhile is held instead.
+// Returns { saved, batchFinished, status }; batchFinished is true for the job
+// whose outcome accounts for the last one queued in its batch, and status is
+// the one written (a held retry's paused or cancelled).
+export async function finishJob(jobId, workerId, update) {
+    const storage = await getStorage();
+
+    const outcome = await storage.transactJob(jobId, (jobData, batchData) => {
+        if (jobData.status !== 'processing' || jobData.leaseOwner !== workerId) {
+            logInfo(`[QUEUE ${jobId}] Lease lost, discarding result`);
+            return { result: { saved: false, batchFinished: false, status: jobData.status } };
+        }
+        const held = update.status === 'pending' ? heldStatus(batchData) : null;
+        const finalUpdate = held ? { ...update, ...holdUpdate(held) } : update;
+        const counts = transitionCounts(jobData.status, finalUpdate.status);
+
+        return {
+            update: {
+                ...finalUpdate,
+                leaseOwner: FieldValue.delete(),
+                leaseExpiresAt: FieldValue.delete()
+            },
+            counts,
+            result: { saved: true, batchFinished: finishesBatch(batchData, counts), status: finalUpdate.status }
+        };
+    });
+    return outcome || { saved: false, batchFinished: false, status: null };
+}
+
+function createdAtMillis(job) {
+    return job.data.createdAt?.toMillis?.() ?? 0;
+}
+
+// Round-robin across users, oldest job first within each user, so one large
+// upload cannot starve everybody else.
+export function pickFair(jobs, limit) {
+    const byUser = new Map();
+    [...jobs].sort((a, b) => createdAtMillis(a) - createdAtMillis(b)).forEach(job => {
+        const userJobs = byUser.get(job.data.userId) || [];
+        userJobs.push(job);
+        byUser.set(job.data.userId, userJobs);
+    });
+
+    const queues = [...byUser.values()];
+    const picked = [];
+    while (picked.length < limit && queues.some(queue => queue.length > 0)) {
+        for (const queue of queues) {
+            if (queue.length > 0 && picked.length < limit) picked.push(queue.shift());
+        }
+    }
+    return picked;
+}
+
+// Users with pending jobs, one query each: every lookup skips to the next
+// userId after the last one found. It starts at a random point and wraps
+// around, so with more than USER_SCAN users none is always left out.
+async function usersWithPendingJobs(storage) {
+    const start = USER_ID_CHARS[Math.floor(Math.random() * USER_ID_CHARS.length)];
+    const users = [];
+    for (const [after, until] of [[start, null], ['', start]]) {
+        let last = after;
+        while (users.length < USER_SCAN) {
+            const [job] = await storage.listJobs({ status: 'pending', userIdAfter: last, limit: 1 });
+            if (!job || (until !== null && job.data.userId > until) || users.includes(job.data.userId)) break;
+            users.push(job.data.userId);
+            last = job.data.userId;
+        }
+    }
+    return users;
+}
+
+// Pending jobs of each user with any, so a user with a large upload cannot
+// fill the candidates by themselves
+async function pendingJobsByUser(storage) {
+    const users = await usersWithPendingJobs(storage);
+    const jobs = await Promise.all(users.map(userId =>
+        storage.listJobs({ status: 'pending', userId, limit: JOBS_PER_USER })));
+    return jobs.flat();
+}
+
+// Claim up to `count` due jobs, high-priority ones first. Candidates lost to a
+// concurrent run, or whose claim transaction hits contention, are skipped.
+export async function claimNextJobs(workerId, count) {
+    const storage = await getStorage();
+    const now = Date.now();
+    const [urgentJobs, pendingJobs] = await Promise.all([
+        storage.listJobs({ status: 'pending', priority: HIGH_PRIORITY, limit: CANDIDATE_SCAN }),
+        pendingJobsByUser(storage)
+    ]);
+    const dueJobs = (jobs) => jobs.filter(job => isDue(job.data, now));
+    const urgent = dueJobs(urgentJobs);
+    const normal = dueJobs(pendingJobs).filter(job => job.data.priority !== HIGH_PRIORITY);
+    const candidates = [...pickFair(urgent, count * 2), ...pickFair(normal, count * 2)].slice(0, count * 2);
+
+    const quotas = createQuotaTracker({ now });
+    const claimed = [];
+    for (const candidate of candidates) {
+        if (claimed.length >= count) break;
+        try {
+            const exceeded = await quotas.check(candidate.data);
+            if (exceeded) {
+                logInfo(`[QUEUE ${candidate.id}] Deferred: ${exceeded.scope} ${exceeded.limit} limit of ${exceeded.max} reached`);
+                await deferJob(candidate.id, exceeded);
+                continue;
+            }
+            const jobData = await claimCounted(candidate.id, workerId);
+            if (jobData) {
+                await quotas.count(jobData, { firstAttempt: jobData.firstStart });
+                claimed.push({ jobId: candidate.id, jobData });
+            }
+        } catch (error) {
+            logError(`[QUEUE ${candidate.id}] Claim failed:`, error);
+        }
+    }
+    return claimed;
+}
+
+// Return throttled jobs whose day has passed to the queue. Returns the count.
+export async function releaseThrottledJobs({ limit = 200 } = {}) {
+    const storage = await getStorage();
+    const now = Date.now();
+    const throttled = await storage.listJobs({ status: 'throttled', limit });
+    const due = throttled.filter(job => isDue(job.data, now));
+    if (due.length === 0) return 0;
+
+    await storage.updateJobs(due.map(({ id, data }) => ({
+        id,
+        data,
+        update: { status: 'pending', throttledBy: FieldValue.delete(), throttledAt: FieldValue.delete() }
+    })));
+    logInfo(`[QUEUE] ${due.length} throttled jobs returned to pending`);
+    return due.length;
+}
+
+export async function hasPendingJobs(userId) {
+    const storage = await getStorage();
+    const jobs = await storage.listJobs({ status: 'pending', userId, limit: 1 });
+    return jobs.length > 0;
+}
+
+// Earliest time (ms) a pending job may be claimed, or null when none is pending
+export async function nextPendingDueAt() {
+    const storage = await getStorage();
+    const jobs = await storage.listJobs({ status: 'pending', limit: CANDIDATE_SCAN });
+    if (jobs.length === 0) return null;
+    return Math.min(...jobs.map(job => job.data.nextAttemptAt?.toMillis() ?? 0));
+}
+
+// Return jobs whose lease expired to "pending" (or "dead_letter" once out of
+// attempts; held like finishJob's retries when the batch was paused or
+// cancelled). Optionally scoped to one user. Each job is re-checked in its
+// own transaction, so one that finished or was claimed again since the list
+// is left alone. Returns the count recovered.
+export async function recoverExpiredLeases({ userId, limit = 100 } = {}) {
+    const storage = await getStorage();
+    const processing = await storage.listJobs({ status: 'processing', userId, limit });
+    const expired = processing.filter(job => leaseExpired(job.data, Date.now()));
+
+    let recovered = 0;
+    for (const { id } of expired) {
+        const outcome = await storage.transactJob(id, (jobData, batchData) => {
+            if (jobData.status !== 'processing' || !leaseExpired(jobData, Date.now())) return { result: null };
+            const update = failureUpdate(
+                { ...jobData, attempts: jobData.attempts || 1 },
+                new Error('Tempo de processamento esgotado'),
+                { transient: true }
+            );
+            const held = update.status === 'pending' ? heldStatus(batchData) : null;
+            const finalUpdate = held ? { ...update, ...holdUpdate(held) } : update;
+            const anonymized = jobData.anonymized === true;
+            const final = ['dead_letter', 'cancelled'].includes(finalUpdate.status);
+            return {
+                update: {
+                    ...finalUpdate,
+                    ...(anonymized && final ? dropRawText() : {}),
+                    resetAt: Timestamp.now(),
+                    leaseOwner: FieldValue.delete(),
+                    leaseExpiresAt: FieldValue.delete()
+                },
+                counts: transitionCounts(jobData.status, finalUpdate.status),
+                result: { dropText: anonymized && final }
+            };
+        });
+        if (!outcome) continue;
+        recovered++;
+        if (outcome.dropText) {
+            await dropIdentityText(id).catch(error => logError(`[QUEUE ${id}] Failed to drop the identity text:`, error));
+        }
+    }
+
+    if (recovered > 0) logInfo(`[QUEUE] ${recovered} expired leases recovered`);
+    return recovered;
+}
+
+// Start a drain run. Only waits until the request is accepted: the run
+// continues on its own after this function returns.
+export async function kickDrain({ hop = 0 } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.CRON_SECRET) {
+        headers.Authorization = `Bearer ${process.env.CRON_SECRET}`;
+    }
+
+    try {
+        await fetch(`${getBaseUrl()}/api/drain-queue`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ hop }),
+            signal: AbortSignal.timeout(KICK_TIMEOUT_MS)
+        });
+    } catch (error) {
+        if (error.name !== 'TimeoutError') {
+            logError('[QUEUE] Failed to trigger drain:', error);
+        }
+    }
+}
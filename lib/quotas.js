@@ -0,0 +1,236 @@
+// lib/quotas.js
+// Processing limits per user and per workspace: jobs started per day (UTC)
+// and jobs processing at once. QUOTA_* set the defaults (0 turns a limit
+// off) and QUOTA_OVERRIDES changes them for one user or workspace:
+//
+//   QUOTA_OVERRIDES='{"user:<uid>": {"jobsPerDay": 50}, "workspace:<id>": {"concurrent": 10}}'
+//
+// A job counts against the daily limit on its first claim, not on retries:
+// that claim stamps quotaStartedAt, a field only the server writes (the
+// browser sets the job's other fields, attempts included, when it queues it).
+// The counters are usage/{day}_{scope}_{id} documents that retention drops.
+// The drain (lib/queue.js) moves a job over the daily limit to "throttled"
+// until the next day and leaves one over the concurrent limit for a later
+// round; process-batch, start-processing and api/v1 answer 429 instead.
+import { Timestamp } from 'firebase-admin/firestore';
+import { getStorage } from './storage/index.js';
+import { logError } from './log.js';
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export const QUOTA_DEFAULTS = {
+    user: {
+        jobsPerDay: envInt('QUOTA_USER_JOBS_PER_DAY', 300),
+        concurrent: envInt('QUOTA_USER_CONCURRENT', 3)
+    },
+    workspace: {
+        jobsPerDay: envInt('QUOTA_WORKSPACE_JOBS_PER_DAY', 1000),
+        concurrent: envInt('QUOTA_WORKSPACE_CONCURRENT', 6)
+    }
+};
+
+const LIMIT_LABELS = {
+    jobsPerDay: 'Daily job limit',
+    concurrent: 'Concurrent processing limit'
+};
+
+// A job over the concurrent limit is tried again after this long
+export const CONCURRENT_RETRY_MS = 15 * 1000;
+// Daily counters outlive their day by this long, for the usage panel
+const DAILY_COUNTER_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+
+let overrides = null;
+
+function loadOverrides() {
+    if (overrides) return overrides;
+    try {
+        overrides = JSON.parse(process.env.QUOTA_OVERRIDES || '{}');
+    } catch (error) {
+        logError('[QUOTAS] Ignoring invalid QUOTA_OVERRIDES:', error);
+        overrides = {};
+    }
+    return overrides;
+}
+
+// { jobsPerDay, concurrent } for scope ("user" or "workspace") and its ID
+export function quotaLimits(scope, id) {
+    return { ...QUOTA_DEFAULTS[scope], ...(loadOverrides()[`${scope}:${id}`] || {}) };
+}
+
+// "2026-10-19" (UTC)
+export function quotaDay(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+export function dailyUsageId(day, scope, id) {
+    return `${day}_${scope}_${id}`;
+}
+
+function nextDayMillis(now = Date.now()) {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function scopesOf(jobData) {
+    return [
+        ['user', jobData.userId],
+        ['workspace', jobData.workspaceId]
+    ].filter(([, id]) => id);
+}
+
+const SCOPE_FIELDS = { user: 'userId', workspace: 'workspaceId' };
+
+// Whether claiming the job now starts it for the daily limits
+export function isFirstStart(jobData) {
+    return !jobData.quotaStartedAt;
+}
+
+// Checks jobs against the limits, loading each user's and workspace's counts
+// once. Claims made through it are added with count(), so one drain round
+// sees its own claims; take() checks and counts in one step for callers that
+// claim in parallel, and release() gives the slot back once such a job is
+// done (or was not claimed after all), so later jobs of the request can start.
+export function createQuotaTracker({ now = Date.now() } = {}) {
+    const day = quotaDay(now);
+    const counts = new Map();
+
+    function load(scope, id, limits) {
+        const key = `${scope}:${id}`;
+        if (!counts.has(key)) {
+            counts.set(key, (async () => {
+                const storage = await getStorage();
+                const [daily] = await storage.getUsage([dailyUsageId(day, scope, id)]);
+                const processing = limits.concurrent > 0
+                    ? await storage.listJobs({ [SCOPE_FIELDS[scope]]: id, status: 'processing', limit: limits.concurrent + 1 })
+                    : [];
+                return { started: daily?.started || 0, processing: processing.length };
+            })());
+        }
+        return counts.get(key);
+    }
+
+    async function loadScopes(jobData) {
+        return Promise.all(scopesOf(jobData).map(async ([scope, id]) => {
+            const limits = quotaLimits(scope, id);
+            return { scope, id, limits, current: await load(scope, id, limits) };
+        }));
+    }
+
+    function exceededBy(scopes, firstAttempt) {
+        for (const { scope, id, limits, current } of scopes) {
+            if (firstAttempt && limits.jobsPerDay > 0 && current.started >= limits.jobsPerDay) {
+                return { scope, id, limit: 'jobsPerDay', max: limits.jobsPerDay, used: current.started, retryAt: nextDayMillis(now) };
+            }
+            if (limits.concurrent > 0 && current.processing >= limits.concurrent) {
+                return { scope, id, limit: 'concurrent', max: limits.concurrent, used: current.processing, retryAt: now + CONCURRENT_RETRY_MS };
+            }
+        }
+        return null;
+    }
+
+    function add(scopes, firstAttempt) {
+        for (const { current } of scopes) {
+            current.processing += 1;
+            if (firstAttempt) current.started += 1;
+        }
+    }
+
+    return {
+        // The first limit starting this job would exceed, or null:
+        // { scope, id, limit, max, used, retryAt }. A retry only needs a slot.
+        async check(jobData, { firstAttempt = isFirstStart(jobData) } = {}) {
+            return exceededBy(await loadScopes(jobData), firstAttempt);
+        },
+
+        async count(jobData, { firstAttempt = true } = {}) {
+            add(await loadScopes(jobData), firstAttempt);
+        },
+
+        // check() and, when nothing is exceeded, count() without yielding between
+        async take(jobData, { firstAttempt = isFirstStart(jobData) } = {}) {
+            const scopes = await loadScopes(jobData);
+            const exceeded = exceededBy(scopes, firstAttempt);
+            if (!exceeded) add(scopes, firstAttempt);
+            return exceeded;
+        },
+
+        // Undo take(): the slot only, or also the start when the claim failed
+        async release(jobData, { firstAttempt = false } = {}) {
+            for (const { current } of await loadScopes(jobData)) {
+                current.processing = Math.max(0, current.processing - 1);
+                if (firstAttempt) current.started = Math.max(0, current.started - 1);
+            }
+        }
+    };
+}
+
+// Add a job's first claim to today's counters of its user and workspace
+export async function recordJobStart(jobData, now = Date.now()) {
+    const storage = await getStorage();
+    const day = quotaDay(now);
+    for (const [scope, id] of scopesOf(jobData)) {
+        await storage.incrementUsage(dailyUsageId(day, scope, id), {
+            kind: 'day',
+            day,
+            scope,
+            ownerId: id,
+            expiresAt: Timestamp.fromMillis(nextDayMillis(now) + DAILY_COUNTER_TTL_MS)
+        }, { started: 1 });
+    }
+}
+
+// Today's started jobs and limits of a user and a workspace, for the usage panel
+export async function quotaStatus(userId, workspaceId, now = Date.now()) {
+    const storage = await getStorage();
+    const day = quotaDay(now);
+    const scopes = scopesOf({ userId, workspaceId });
+    const daily = await storage.getUsage(scopes.map(([scope, id]) => dailyUsageId(day, scope, id)));
+    return Object.fromEntries(scopes.map(([scope, id], index) => [scope, {
+        ...quotaLimits(scope, id),
+        startedToday: daily[index]?.started || 0
+    }]));
+}
+
+// The daily limit a new job of this user and workspace would exceed, or null,
+// in check()'s shape. For requests that queue jobs rather than claim them.
+export async function dailyQuotaExceeded(userId, workspaceId, now = Date.now()) {
+    const status = await quotaStatus(userId, workspaceId, now);
+    for (const [scope, quota] of Object.entries(status)) {
+        if (quota.jobsPerDay > 0 && quota.startedToday >= quota.jobsPerDay) {
+            return {
+                scope,
+                id: scope === 'user' ? userId : workspaceId,
+                limit: 'jobsPerDay',
+                max: quota.jobsPerDay,
+                used: quota.startedToday,
+                retryAt: nextDayMillis(now)
+            };
+        }
+    }
+    return null;
+}
+
+function describeExceeded(exceeded) {
+    const scope = exceeded.scope === 'user' ? 'this user' : 'this workspace';
+    return `${LIMIT_LABELS[exceeded.limit]} of ${exceeded.max} reached for ${scope}`;
+}
+
+// Answer 429 for a limit check() reported, with Retry-After
+export function sendQuotaError(response, exceeded) {
+    const retryAfter = Math.max(1, Math.ceil((exceeded.retryAt - Date.now()) / 1000));
+    response.setHeader('Retry-After', String(retryAfter));
+    return response.status(429).json({
+        error: 'Quota exceeded',
+        message: describeExceeded(exceeded),
+        quota: {
+            scope: exceeded.scope,
+            limit: exceeded.limit,
+            max: exceeded.max,
+            used: exceeded.used,
+            retryAt: new Date(exceeded.retryAt).toISOString()
+        }
+    });
+}
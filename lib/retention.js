@@ -0,0 +1,149 @@
+// lib/retention.js
+// Retention policy of a workspace (workspace.retention = { textHours, dataDays },
+// set by its admins): how long the raw resume text stays on a finished job,
+// and the longest the extracted data may be kept. A batch's own retention
+// (expiresAt, chosen on upload) still applies when it is shorter. Jobs are
+// queued with a textExpiresAt (shared/retention.js), the worker stamps
+// textExpiresAt/expiresAt again when a job finishes and applyRetention, run
+// by cleanup-jobs, enforces them. The correction pairs of a deleted job stay
+// as a dataset without the candidate's identity (lib/corrections.js).
+import { Timestamp, FieldValue } from 'firebase-admin/firestore';
+import { getStorage, usesFirestore } from './storage/index.js';
+import { recoverExpiredLeases } from './queue.js';
+import { getWorkspace } from './workspaces.js';
+import { dropIdentityText } from './anonymize.js';
+import { stripCorrections } from './corrections.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+export const RETENTION_LIMITS = {
+    textHours: { min: 0, max: 30 * 24 },
+    dataDays: { min: 1, max: 5 * 365 }
+};
+
+export const DEFAULT_RETENTION = {
+    textHours: envInt('TEXT_RETENTION_HOURS', 24),
+    dataDays: envInt('DATA_RETENTION_DAYS', 365)
+};
+
+// Jobs from before batches existed are removed this long after finishing
+const JOB_RETENTION_HOURS = envInt('JOB_RETENTION_HOURS', 24);
+const FINISHED_STATUSES = ['completed', 'failed', 'dead_letter', 'cancelled'];
+// Process in batches to avoid timeout
+const SCAN_LIMIT = 500;
+
+// A policy change reaches running workers within this long
+const POLICY_CACHE_MS = 60 * 1000;
+const policyCache = new Map();
+
+export function retentionPolicy(workspace) {
+    return { ...DEFAULT_RETENTION, ...(workspace?.retention || {}) };
+}
+
+// { textHours, dataDays } from a request body, or null when out of limits
+export function parseRetention(input = {}) {
+    const policy = {};
+    for (const [key, { min, max }] of Object.entries(RETENTION_LIMITS)) {
+        const value = Number(input[key]);
+        if (!Number.isInteger(value) || value < min || value > max) return null;
+        policy[key] = value;
+    }
+    return policy;
+}
+
+async function workspacePolicy(workspaceId) {
+    const cached = policyCache.get(workspaceId);
+    if (cached && cached.loadedAt + POLICY_CACHE_MS > Date.now()) return cached.policy;
+    const policy = retentionPolicy(await getWorkspace(workspaceId));
+    policyCache.set(workspaceId, { policy, loadedAt: Date.now() });
+    return policy;
+}
+
+// Expiry fields for a job that just finished. Jobs without a batch keep the
+// JOB_RETENTION_HOURS window and get no expiresAt.
+export async function retentionFields(jobData, now = Date.now()) {
+    const policy = await workspacePolicy(jobData.workspaceId);
+    const fields = { textExpiresAt: Timestamp.fromMillis(now + policy.textHours * HOUR_MS) };
+    if (jobData.expiresAt) {
+        const dataExpiry = now + policy.dataDays * DAY_MS;
+        fields.expiresAt = Timestamp.fromMillis(Math.min(jobData.expiresAt.toMillis(), dataExpiry));
+    }
+    return fields;
+}
+
+function countByWorkspace(counts, jobs, key) {
+    jobs.forEach(({ data }) => {
+        const workspaceId = data.workspaceId || null;
+        const current = counts.get(workspaceId) || { texts: 0, jobs: 0 };
+        current[key] += 1;
+        counts.set(workspaceId, current);
+    });
+}
+
+// One retention pass: strips expired raw text, deletes jobs and batches past
+// their expiry and recovers stuck leases. Returns the totals plus
+// byWorkspace (workspaceId -> { texts, jobs }) for the audit log.
+export async function applyRetention({ now = Timestamp.now() } = {}) {
+    const storage = await getStorage();
+    const byWorkspace = new Map();
+
+    // Stuck processing jobs: same lease recovery as the drain runs
+    const resetStuck = await recoverExpiredLeases();
+
+    // Raw text past the workspace's text retention
+    const expiredTexts = await storage.listJobs({
+        expiredBy: { field: 'textExpiresAt', at: now },
+        limit: SCAN_LIMIT
+    });
+    countByWorkspace(byWorkspace, expiredTexts, 'texts');
+    const purgedTexts = await storage.updateJobs(expiredTexts.map(job => ({
+        ...job,
+        update: {
+            text: FieldValue.delete(),
+            textExpiresAt: FieldValue.delete(),
+            textPurgedAt: now
+        }
+    })));
+    // The raw text of an anonymized job is kept with its identity
+    for (const job of expiredTexts.filter(({ data }) => data.anonymized === true)) {
+        await dropIdentityText(job.id);
+    }
+
+    // Jobs whose batch or workspace retention has passed, finished or not: an
+    // expired batch takes its pending, paused and processing jobs with it (a
+    // worker still running one finds it gone and drops its result)
+    const expiredJobs = await storage.listJobs({
+        expiredBy: { field: 'expiresAt', at: now },
+        limit: SCAN_LIMIT
+    });
+
+    // Jobs without a batch: the previous fixed window. They finished before
+    // any batch job did, so they come first in finishedAt order.
+    const cutoffTime = Timestamp.fromMillis(now.toMillis() - JOB_RETENTION_HOURS * HOUR_MS);
+    const oldJobs = await storage.listJobs({
+        expiredBy: { field: 'finishedAt', at: cutoffTime },
+        limit: SCAN_LIMIT
+    });
+    const legacyJobs = oldJobs.filter(job => !job.data.expiresAt && FINISHED_STATUSES.includes(job.data.status));
+
+    // Anonymized jobs lose their identity document with them
+    const deletedJobs = [...expiredJobs, ...legacyJobs];
+    countByWorkspace(byWorkspace, deletedJobs, 'jobs');
+    // Only the page saves corrections, and only to Firestore
+    const strippedCorrections = usesFirestore() ? await stripCorrections(deletedJobs.map(job => job.id)) : 0;
+    const cleaned = await storage.deleteJobs(deletedJobs);
+
+    // Expired batches; their jobs expire with them
+    const expiredBatches = await storage.expireBatches(now, SCAN_LIMIT);
+
+    // Daily quota counters of past days (lib/quotas.js)
+    await storage.expireUsage(now, SCAN_LIMIT);
+
+    return { cleaned, purgedTexts, strippedCorrections, expiredBatches, resetStuck, byWorkspace };
+}
@@ -0,0 +1,66 @@
+// lib/retry.js
+// Retry policy for queue jobs. Transient errors (LLM 429/5xx and timeouts,
+// Firestore contention, network failures) send the job back to "pending" with
+// exponential backoff and jitter; permanent errors fail it at once. After
+// QUEUE_MAX_ATTEMPTS the job moves to "dead_letter" with its error history.
+import { Timestamp, FieldValue } from 'firebase-admin/firestore';
+
+export const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5;
+const BASE_DELAY_MS = parseInt(process.env.QUEUE_RETRY_BASE_MS) || 5000;
+const MAX_DELAY_MS = 10 * 60 * 1000;
+// Only the most recent errors are kept on the job document
+const MAX_ERROR_HISTORY = 10;
+
+// gRPC codes Firestore uses for contention and unavailability
+const TRANSIENT_FIRESTORE_CODES = new Set([4, 8, 10, 14, 'deadline-exceeded', 'resource-exhausted', 'aborted', 'unavailable']);
+const TRANSIENT_NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+export function isTransientError(error) {
+    if (!error) return false;
+    if (error.transient === true) return true;
+    if (TRANSIENT_FIRESTORE_CODES.has(error.code)) return true;
+    if (TRANSIENT_NETWORK_CODES.has(error.code) || TRANSIENT_NETWORK_CODES.has(error.cause?.code)) return true;
+    return error.name === 'TimeoutError' || error.name === 'AbortError';
+}
+
+// Exponential backoff with jitter: a random delay in [50%, 100%] of
+// base * 2^(attempt - 1), capped at MAX_DELAY_MS
+export function backoffDelay(attempt) {
+    const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function appendHistory(jobData, attempt, message) {
+    const history = Array.isArray(jobData.errorHistory) ? jobData.errorHistory : [];
+    return [...history, { attempt, error: message, at: new Date().toISOString() }].slice(-MAX_ERROR_HISTORY);
+}
+
+// Update for a job whose attempt ended with `error`. jobData.attempts already
+// counts the attempt that failed (it is incremented when the job is claimed).
+export function failureUpdate(jobData, error, { transient = isTransientError(error) } = {}) {
+    const attempts = jobData.attempts || 1;
+    const message = error?.message || String(error);
+    const common = {
+        attempts,
+        lastError: message,
+        errorHistory: appendHistory(jobData, attempts, message)
+    };
+
+    if (!transient) {
+        return { ...common, status: 'failed', finishedAt: Timestamp.now(), error: message, nextAttemptAt: FieldValue.delete() };
+    }
+    if (attempts >= MAX_ATTEMPTS) {
+        return {
+            ...common,
+            status: 'dead_letter',
+            finishedAt: Timestamp.now(),
+            error: `${message} (após ${attempts} tentativas)`,
+            nextAttemptAt: FieldValue.delete()
+        };
+    }
+    return {
+        ...common,
+        status: 'pending',
+        nextAttemptAt: Timestamp.fromMillis(Date.now() + backoffDelay(attempts))
+    };
+}
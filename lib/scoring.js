@@ -0,0 +1,202 @@
+// lib/scoring.js
+// Match score (0-100) of an extracted candidate against the batch's job
+// requirements, with the requirements met and missed and a short
+// justification. The LLM scorer reads the resume the way a recruiter would;
+// the keyword scorer is deterministic and is used when no provider is
+// configured or the provider fails.
+import { foldText } from './provenance.js';
+import { computeExperienceYears } from '../shared/profile.js';
+import { logError } from './log.js';
+
+// Points per kind of requirement; only the kinds a batch sets count
+const WEIGHTS = {
+    required: 50,
+    niceToHave: 15,
+    experience: 20,
+    location: 10,
+    age: 5
+};
+
+// Resume text sent with the scoring prompt
+const MAX_SCORING_TEXT_CHARS = 12000;
+const MAX_LIST_ITEMS = 30;
+const MAX_JUSTIFICATION_CHARS = 500;
+
+const LOCATION_KEYS = ['cidade_uf', 'cidade', 'localizacao', 'uf', 'endereco'];
+
+// Whole-word, accent-insensitive match; also works for terms like "C++" or ".NET"
+function containsTerm(foldedText, term) {
+    const needle = foldText(term).trim();
+    if (!needle) return false;
+    const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(foldedText);
+}
+
+function experienceYears(data, foldedText) {
+    if (typeof data.anosExperiencia === 'number' && data.anosExperiencia > 0) return data.anosExperiencia;
+    if (Array.isArray(data.experiencias) && data.experiencias.length > 0) {
+        const years = computeExperienceYears(data.experiencias);
+        if (years > 0) return years;
+    }
+    // "5 anos de experiência", "3+ anos de experiencia"
+    const stated = [...foldedText.matchAll(/(\d{1,2})\+?\s*anos\s+de\s+experiencia/g)].map(match => Number(match[1]));
+    return stated.length > 0 ? Math.max(...stated) : null;
+}
+
+function formatYears(years) {
+    return `${String(Math.round(years * 10) / 10).replace('.', ',')} ano(s)`;
+}
+
+export function keywordScore({ text, data = {}, requirements }) {
+    const haystack = foldText([text, ...(Array.isArray(data.habilidades) ? data.habilidades : [])].join('\n'));
+    const matched = [];
+    const missing = [];
+    const notes = [];
+    let earned = 0;
+    let possible = 0;
+
+    if (requirements.requiredSkills.length > 0) {
+        const found = requirements.requiredSkills.filter(skill => containsTerm(haystack, skill));
+        possible += WEIGHTS.required;
+        earned += WEIGHTS.required * found.length / requirements.requiredSkills.length;
+        matched.push(...found);
+        missing.push(...requirements.requiredSkills.filter(skill => !found.includes(skill)));
+        notes.push(`${found.length} de ${requirements.requiredSkills.length} requisitos obrigatórios`);
+    }
+
+    if (requirements.niceToHaveSkills.length > 0) {
+        const found = requirements.niceToHaveSkills.filter(skill => containsTerm(haystack, skill));
+        possible += WEIGHTS.niceToHave;
+        earned += WEIGHTS.niceToHave * found.length / requirements.niceToHaveSkills.length;
+        matched.push(...found);
+        missing.push(...requirements.niceToHaveSkills.filter(skill => !found.includes(skill)).map(skill => `${skill} (desejável)`));
+        notes.push(`${found.length} de ${requirements.niceToHaveSkills.length} desejáveis`);
+    }
+
+    if (requirements.minExperienceYears !== null) {
+        const years = experienceYears(data, haystack);
+        const wanted = `${formatYears(requirements.minExperienceYears)} de experiência`;
+        possible += WEIGHTS.experience;
+        if (years === null) {
+            missing.push(`${wanted} (não identificada)`);
+        } else {
+            earned += WEIGHTS.experience * (requirements.minExperienceYears > 0 ? Math.min(1, years / requirements.minExperienceYears) : 1);
+            (years >= requirements.minExperienceYears ? matched : missing).push(wanted);
+            notes.push(`${formatYears(years)} de experiência`);
+        }
+    }
+
+    if (requirements.location) {
+        const candidateLocation = foldText(LOCATION_KEYS.map(key => data[key]).filter(Boolean).join(' '));
+        // "São Paulo/SP" -> "São Paulo"
+        const city = requirements.location.split(/[/,-]/)[0].trim();
+        const found = containsTerm(candidateLocation, city) || containsTerm(haystack, city);
+        possible += WEIGHTS.location;
+        if (found) earned += WEIGHTS.location;
+        (found ? matched : missing).push(`Localização: ${requirements.location}`);
+    }
+
+    if (requirements.ageMin !== null || requirements.ageMax !== null) {
+        const age = typeof data.idade === 'number' && data.idade > 0 ? data.idade : null;
+        const inRange = age !== null
+            && (requirements.ageMin === null || age >= requirements.ageMin)
+            && (requirements.ageMax === null || age <= requirements.ageMax);
+        possible += WEIGHTS.age;
+        if (inRange) earned += WEIGHTS.age;
+        if (age === null) missing.push('Idade (não identificada)');
+        else (inRange ? matched : missing).push('Faixa etária');
+    }
+
+    return {
+        score: possible > 0 ? Math.round((100 * earned) / possible) : null,
+        matched,
+        missing,
+        justification: notes.length > 0 ? `${notes.join('; ')}.` : '',
+        scorer: 'keywords'
+    };
+}
+
+function describeRequirements(requirements) {
+    const lines = [];
+    if (requirements.description) lines.push(`- Job description: ${requirements.description}`);
+    if (requirements.requiredSkills.length) lines.push(`- Required: ${requirements.requiredSkills.join(', ')}`);
+    if (requirements.niceToHaveSkills.length) lines.push(`- Nice to have: ${requirements.niceToHaveSkills.join(', ')}`);
+    if (requirements.minExperienceYears !== null) lines.push(`- Minimum experience: ${requirements.minExperienceYears} years`);
+    if (requirements.location) lines.push(`- Location: ${requirements.location}`);
+    if (requirements.ageMin !== null || requirements.ageMax !== null) {
+        lines.push(`- Age range (lawful for this programme): ${requirements.ageMin ?? 'any'} to ${requirements.ageMax ?? 'any'}`);
+    }
+    return lines.join('\n');
+}
+
+export const SCORE_SCHEMA = {
+    type: 'object',
+    properties: {
+        score: { type: 'number', description: 'Match score from 0 to 100' },
+        matched: { type: 'array', items: { type: 'string' }, description: 'Requirements the candidate meets' },
+        missing: { type: 'array', items: { type: 'string' }, description: 'Requirements the candidate does not meet' },
+        justification: { type: 'string', description: 'One or two sentences in Brazilian Portuguese' }
+    },
+    required: ['score', 'matched', 'missing', 'justification'],
+    additionalProperties: false
+};
+
+export function buildScorePrompt(text, data, requirements) {
+    return `Score how well this candidate matches the job requirements, from 0 to 100.
+Required skills weigh the most, nice-to-have skills add a little, then experience and location.
+Judge only job-related qualifications. Ignore gender, marital status, photos and age, except for an explicit age range listed below.
+Requirements:
+${describeRequirements(requirements)}
+List matched and missing requirements using the requirement names above.
+Write the justification in Brazilian Portuguese.
+Return ONLY valid JSON.
+
+Extracted data: ${JSON.stringify(data)}
+
+Resume text: ${String(text || '').substring(0, MAX_SCORING_TEXT_CHARS)}`;
+}
+
+function toStringList(value) {
+    return Array.isArray(value)
+        ? value.map(item => String(item).trim()).filter(Boolean).slice(0, MAX_LIST_ITEMS)
+        : [];
+}
+
+// Validate a provider answer; throws when it does not carry a usable score
+export function normalizeScore(parsed) {
+    const score = Number(parsed?.score);
+    if (parsed?.score === null || parsed?.score === undefined || !Number.isFinite(score)) {
+        throw new Error('Score ausente na resposta');
+    }
+    return {
+        score: Math.round(Math.min(100, Math.max(0, score))),
+        matched: toStringList(parsed.matched),
+        missing: toStringList(parsed.missing),
+        justification: String(parsed.justification || '').trim().substring(0, MAX_JUSTIFICATION_CHARS),
+        scorer: 'llm'
+    };
+}
+
+// Score with the provider when there is one, falling back to keywords.
+// Never throws: a scoring failure must not fail an extraction that worked.
+export async function scoreCandidate({ provider, text, data, requirements, jobId }) {
+    if (!requirements) return null;
+
+    if (provider) {
+        try {
+            const { data: parsed } = await provider.generate({
+                task: 'score',
+                prompt: buildScorePrompt(text, data, requirements),
+                schema: SCORE_SCHEMA,
+                text,
+                context: { data, requirements },
+                maxOutputTokens: 512
+            });
+            return normalizeScore(parsed);
+        } catch (error) {
+            logError(`[SCORE ${provider.name} ${jobId}] Error, using keyword scorer:`, error);
+        }
+    }
+
+    return keywordScore({ text, data, requirements });
+}
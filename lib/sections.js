@@ -0,0 +1,101 @@
+// lib/sections.js
+// Splits resume text into sections (dados pessoais, experiência, formação...)
+// and packs them into chunks that fit the model's input budget.
+
+// Heading patterns per section; checked against whole lines
+const SECTION_PATTERNS = [
+    ['objetivo', /^(objetivos?|resumo(?: profissional)?|perfil(?: profissional)?|sobre mim|summary)$/],
+    ['experiencias', /^(experi[êe]ncias?(?: profissional| profissionais)?|hist[óo]rico profissional|atua[çc][ãa]o profissional|experience)$/],
+    ['formacao', /^(forma[çc][ãa]o(?: acad[êe]mica)?|escolaridade|educa[çc][ãa]o|education)$/],
+    ['cursos', /^(cursos(?: complementares| extracurriculares)?|certifica[çc][õo]es|qualifica[çc][õo]es)$/],
+    ['idiomas', /^(idiomas?|l[íi]nguas?|languages)$/],
+    ['habilidades', /^(habilidades|compet[êe]ncias|conhecimentos(?: t[ée]cnicos| em inform[áa]tica)?|skills)$/],
+    ['dados_pessoais', /^(dados pessoais|informa[çc][õo]es pessoais|contato|contatos)$/],
+    ['outros', /^(informa[çc][õo]es adicionais|atividades|refer[êe]ncias|outras informa[çc][õo]es)$/]
+];
+
+export const SECTION_LABELS = {
+    dados_pessoais: 'Dados pessoais',
+    objetivo: 'Objetivo',
+    experiencias: 'Experiência',
+    formacao: 'Formação',
+    cursos: 'Cursos',
+    idiomas: 'Idiomas',
+    habilidades: 'Habilidades',
+    outros: 'Outros'
+};
+
+export function matchHeading(line) {
+    const normalized = line.trim().replace(/[:\-–•]+$/, '').trim().toLowerCase();
+    if (!normalized || normalized.length > 40) return null;
+    const found = SECTION_PATTERNS.find(([, pattern]) => pattern.test(normalized));
+    return found ? found[0] : null;
+}
+
+// Returns [{ key, text }] in document order. Text before the first heading is
+// the resume header, which is where the personal data lives.
+export function splitSections(text) {
+    const sections = [];
+    let current = { key: 'dados_pessoais', lines: [] };
+
+    for (const line of String(text || '').split(/\r?\n/)) {
+        const key = matchHeading(line);
+        if (key) {
+            if (current.lines.join('').trim()) sections.push(current);
+            current = { key, lines: [line] };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    if (current.lines.join('').trim()) sections.push(current);
+
+    return sections.map(({ key, lines }) => ({ key, text: lines.join('\n').trim() }));
+}
+
+// Split an oversized section on line boundaries (or hard-cut very long lines)
+function splitLongText(text, maxChars) {
+    const pieces = [];
+    let piece = '';
+    for (const line of text.split('\n')) {
+        for (let start = 0; start < Math.max(line.length, 1); start += maxChars) {
+            const part = line.slice(start, start + maxChars);
+            if (piece && piece.length + part.length + 1 > maxChars) {
+                pieces.push(piece);
+                piece = '';
+            }
+            piece = piece ? `${piece}\n${part}` : part;
+        }
+    }
+    if (piece.trim()) pieces.push(piece);
+    return pieces;
+}
+
+// Pack consecutive sections into chunks of at most maxChars. Each chunk keeps
+// the list of section keys it covers so the caller can scope the schema.
+export function buildChunks(sections, maxChars) {
+    const chunks = [];
+    let current = null;
+
+    for (const section of sections) {
+        let pieces = [section.text];
+        if (section.text.length > maxChars) {
+            // Repeat the heading on continuation pieces so each one keeps its context
+            const firstLine = section.text.split('\n')[0];
+            const heading = matchHeading(firstLine) ? firstLine : '';
+            const body = heading ? section.text.slice(firstLine.length + 1) : section.text;
+            pieces = splitLongText(body, maxChars - heading.length - 1)
+                .map(piece => heading ? `${heading}\n${piece}` : piece);
+        }
+        for (const piece of pieces) {
+            if (current && current.text.length + piece.length + 2 <= maxChars) {
+                current.text += `\n\n${piece}`;
+                if (!current.sections.includes(section.key)) current.sections.push(section.key);
+            } else {
+                current = { sections: [section.key], text: piece };
+                chunks.push(current);
+            }
+        }
+    }
+
+    return chunks;
+}
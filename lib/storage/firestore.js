@@ -0,0 +1,163 @@
+// lib/storage/firestore.js
+// Firestore backend of the job storage (see index.js): jobs in
+// processing_queue, their batches in batches, the collections the page reads
+// and firestore.rules protect.
+import { FieldValue } from 'firebase-admin/firestore';
+import { db } from '../firebase.js';
+import { QUEUE_COLLECTION } from '../queue.js';
+import { BATCHES_COLLECTION, batchRef, counterUpdate, tallyTransition, writeBatchCounters } from '../batches.js';
+import { AUDIT_COLLECTION } from '../audit.js';
+import { identityRef } from '../anonymize.js';
+import { USAGE_COLLECTION } from '../usage.js';
+
+// Firestore 'in' query is limited to 10 items
+const ID_CHUNK = 10;
+// Firestore batches are limited to 500 writes; a job may take two
+const WRITE_CHUNK = 200;
+
+function chunks(values, size) {
+    const result = [];
+    for (let i = 0; i < values.length; i += size) result.push(values.slice(i, i + size));
+    return result;
+}
+
+// Equality filters first, so most queries need no composite index
+function jobsQuery({ userId, workspaceId, batchId, status, priority, tokens, since, expiredBy, userIdAfter }) {
+    let query = db.collection(QUEUE_COLLECTION);
+    if (workspaceId) query = query.where('workspaceId', '==', workspaceId);
+    if (userId) query = query.where('userId', '==', userId);
+    if (batchId) query = query.where('batchId', '==', batchId);
+    if (status) query = query.where('status', '==', status);
+    if (priority !== undefined) query = query.where('priority', '==', priority);
+    if (tokens) query = query.where('dedupeTokens', 'array-contains-any', tokens);
+    if (since) query = query.where('createdAt', '>=', since);
+    if (expiredBy) query = query.where(expiredBy.field, '<=', expiredBy.at).orderBy(expiredBy.field);
+    if (userIdAfter !== undefined) query = query.where('userId', '>', userIdAfter).orderBy('userId');
+    return query;
+}
+
+function toJobs(snapshot) {
+    return snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+}
+
+async function writeInChunks(items, write) {
+    for (const chunk of chunks(items, WRITE_CHUNK)) {
+        const batch = db.batch();
+        const totals = new Map();
+        chunk.forEach(item => write(batch, item, totals));
+        await writeBatchCounters(batch, totals);
+        await batch.commit();
+    }
+    return items.length;
+}
+
+export function createFirestoreStorage() {
+    return {
+        async createJob(data, batchCounts) {
+            const ref = db.collection(QUEUE_COLLECTION).doc();
+            const batch = db.batch();
+            batch.set(ref, data);
+            if (data.batchId && batchCounts) batch.update(batchRef(data.batchId), counterUpdate(batchCounts));
+            await batch.commit();
+            return ref.id;
+        },
+
+        async getJob(jobId) {
+            const doc = await db.collection(QUEUE_COLLECTION).doc(jobId).get();
+            return doc.exists ? doc.data() : null;
+        },
+
+        async transactJob(jobId, change) {
+            const jobRef = db.collection(QUEUE_COLLECTION).doc(jobId);
+
+            return db.runTransaction(async (transaction) => {
+                const jobDoc = await transaction.get(jobRef);
+                if (!jobDoc.exists) return null;
+
+                const jobData = jobDoc.data();
+                const batchDoc = jobData.batchId ? await transaction.get(batchRef(jobData.batchId)) : null;
+                const { update, counts, result } = change(jobData, batchDoc?.data() || null);
+
+                if (update) transaction.update(jobRef, update);
+                if (counts && batchDoc?.exists) transaction.update(batchDoc.ref, counterUpdate(counts));
+                return result;
+            });
+        },
+
+        async listJobs({ jobIds, limit, ...filters } = {}) {
+            if (!jobIds) {
+                const query = jobsQuery(filters);
+                return toJobs(await (limit ? query.limit(limit) : query).get());
+            }
+            const jobs = [];
+            for (const chunk of chunks(jobIds, ID_CHUNK)) {
+                jobs.push(...toJobs(await jobsQuery(filters).where('__name__', 'in', chunk).get()));
+            }
+            return limit ? jobs.slice(0, limit) : jobs;
+        },
+
+        async updateJobs(changes) {
+            return writeInChunks(changes, (batch, { id, data, update }, totals) => {
+                batch.update(db.collection(QUEUE_COLLECTION).doc(id), update);
+                if (update.status) tallyTransition(totals, data.batchId, data.status, update.status);
+            });
+        },
+
+        async deleteJobs(jobs) {
+            return writeInChunks(jobs, (batch, { id, data }) => {
+                batch.delete(db.collection(QUEUE_COLLECTION).doc(id));
+                if (data.anonymized) batch.delete(identityRef(id));
+            });
+        },
+
+        async createBatch(data) {
+            const ref = await db.collection(BATCHES_COLLECTION).add(data);
+            return ref.id;
+        },
+
+        async getBatch(batchId) {
+            const doc = await batchRef(batchId).get();
+            return doc.exists ? doc.data() : null;
+        },
+
+        async expireBatches(at, limit) {
+            const snapshot = await db.collection(BATCHES_COLLECTION)
+                .where('expiresAt', '<=', at)
+                .limit(limit)
+                .get();
+            return writeInChunks(snapshot.docs, (batch, doc) => batch.delete(doc.ref));
+        },
+
+        async appendAudit(entry) {
+            await db.collection(AUDIT_COLLECTION).add(entry);
+        },
+
+        async incrementUsage(id, data, counts) {
+            const increments = Object.fromEntries(Object.entries(counts)
+                .map(([counter, amount]) => [counter, FieldValue.increment(amount)]));
+            await db.collection(USAGE_COLLECTION).doc(id).set({ ...data, ...increments }, { merge: true });
+        },
+
+        async getUsage(ids) {
+            if (ids.length === 0) return [];
+            const docs = await db.getAll(...ids.map(id => db.collection(USAGE_COLLECTION).doc(id)));
+            return docs.map(doc => (doc.exists ? doc.data() : null));
+        },
+
+        async listUsage({ workspaceId, month }) {
+            const snapshot = await db.collection(USAGE_COLLECTION)
+                .where('workspaceId', '==', workspaceId)
+                .where('month', '==', month)
+                .get();
+            return snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+        },
+
+        async expireUsage(at, limit) {
+            const snapshot = await db.collection(USAGE_COLLECTION)
+                .where('expiresAt', '<=', at)
+                .limit(limit)
+                .get();
+            return writeInChunks(snapshot.docs, (batch, doc) => batch.delete(doc.ref));
+        }
+    };
+}
@@ -0,0 +1,76 @@
+// lib/storage/index.js
+// Where the queue keeps its jobs. STORAGE_BACKEND selects the backend:
+// "firestore" (default; the deployed app and the page share it), "sqlite"
+// (file at SQLITE_PATH, for self-hosting with scripts/local-server.js) or
+// "memory" (one process, nothing persisted). Job data is the same on every
+// backend, timestamps included (firebase-admin Timestamp). Each implements:
+//
+//   createJob(data, batchCounts) -> jobId; batchCounts (optional) are added
+//       to the job's batch counters in the same write
+//   getJob(jobId) -> data, or null when it does not exist
+//   transactJob(jobId, change) -> the change's result, or null when the job
+//       does not exist. change(jobData, batchData) runs atomically with the
+//       write it returns: { update, counts, result }, where update is applied
+//       to the job (FieldValue.delete() removes a field) and counts to its
+//       batch counters. Claiming and finishing a job (lib/queue.js) use it.
+//   listJobs({ userId, workspaceId, batchId, status, priority, jobIds, tokens,
+//       since, expiredBy: { field, at }, userIdAfter, limit }) -> [{ id, data }]
+//       Filters left out do not apply; tokens matches any dedupe token,
+//       since is the earliest createdAt and expiredBy a field at or before at
+//       (ordered by it). userIdAfter keeps userIds after it, ordered by userId.
+//   updateJobs([{ id, data, update }]) -> count, batch counters included
+//   deleteJobs([{ id, data }]) -> count, with what the backend keeps for a job
+//   createBatch(data) -> batchId
+//   getBatch(batchId) -> data, or null when it does not exist
+//   expireBatches(at, limit) -> count of batches deleted whose expiresAt passed
+//   appendAudit(entry) -> adds an audit log entry (lib/audit.js)
+//   incrementUsage(id, data, counts) -> adds counts to the counters of usage
+//       document id, created with data (lib/usage.js, lib/quotas.js)
+//   getUsage(ids) -> [data or null] in the order of ids
+//   listUsage({ workspaceId, month }) -> [{ id, data }] monthly usage documents
+//   expireUsage(at, limit) -> count of usage documents deleted whose expiresAt passed
+//
+// Only the queue endpoints (process-batch, drain-queue, queue-status,
+// start-processing, cleanup-jobs) and the REST API (api/v1) run on the
+// backends without Firebase; workspaces, batch controls, exports, erasure,
+// webhooks and anonymized runs still need Firestore. There, users and
+// workspaces come from LOCAL_USERS and API keys from LOCAL_API_KEYS
+// (lib/local-users.js).
+
+export const STORAGE_BACKENDS = ['firestore', 'sqlite', 'memory'];
+
+const DEFAULT_SQLITE_PATH = 'data/extrator.db';
+
+let storage = null;
+
+export function storageBackend() {
+    return process.env.STORAGE_BACKEND || 'firestore';
+}
+
+export function usesFirestore() {
+    return storageBackend() === 'firestore';
+}
+
+async function loadStorage(backend) {
+    switch (backend) {
+        case 'firestore':
+            return (await import('./firestore.js')).createFirestoreStorage();
+        case 'sqlite':
+            return (await import('./sqlite.js')).createSqliteStorage(process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH);
+        case 'memory':
+            return (await import('./memory.js')).createMemoryStorage();
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected ${STORAGE_BACKENDS.join(', ')})`);
+    }
+}
+
+// The configured backend, created on first use
+export function getStorage() {
+    if (!storage) {
+        storage = loadStorage(storageBackend()).catch(error => {
+            storage = null;
+            throw error;
+        });
+    }
+    return storage;
+}
@@ -0,0 +1,217 @@
+// lib/storage/local.js
+// Job storage shared by the backends without Firebase (memory.js, sqlite.js).
+// They keep each document as JSON under a collection and an id, through a
+// table with get/put/remove/scan and a synchronous transaction; this module
+// implements the storage operations (see index.js) on top of it. A change
+// runs inside the table's transaction, which is what makes a claim atomic.
+import { randomUUID } from 'node:crypto';
+import { Timestamp, FieldValue } from 'firebase-admin/firestore';
+import { QUEUE_COLLECTION as JOBS } from '../queue.js';
+import { BATCHES_COLLECTION as BATCHES, transitionCounts } from '../batches.js';
+import { AUDIT_COLLECTION as AUDIT } from '../audit.js';
+import { USAGE_COLLECTION as USAGE } from '../usage.js';
+
+// Timestamps are stored as { [TIMESTAMP_KEY]: millis }
+const TIMESTAMP_KEY = '__timestamp';
+const DELETE = FieldValue.delete();
+
+function toStored(value) {
+    if (value instanceof Timestamp) return { [TIMESTAMP_KEY]: value.toMillis() };
+    if (value instanceof Date) return { [TIMESTAMP_KEY]: value.getTime() };
+    if (Array.isArray(value)) return value.map(toStored);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toStored(item)]));
+    }
+    return value;
+}
+
+function fromStored(value) {
+    if (Array.isArray(value)) return value.map(fromStored);
+    if (value && typeof value === 'object') {
+        if (TIMESTAMP_KEY in value) return Timestamp.fromMillis(value[TIMESTAMP_KEY]);
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromStored(item)]));
+    }
+    return value;
+}
+
+export function encodeDocument(data) {
+    return JSON.stringify(toStored(data));
+}
+
+export function decodeDocument(json) {
+    return json === undefined ? null : fromStored(JSON.parse(json));
+}
+
+function millis(value) {
+    if (value instanceof Timestamp) return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return value;
+}
+
+function applyUpdate(data, update) {
+    const next = { ...data };
+    Object.entries(update).forEach(([key, value]) => {
+        if (value instanceof FieldValue && value.isEqual(DELETE)) delete next[key];
+        else next[key] = value;
+    });
+    return next;
+}
+
+function applyCounts(batchData, counts) {
+    const stats = { ...(batchData.stats || {}) };
+    Object.entries(counts).forEach(([counter, amount]) => {
+        stats[counter] = (stats[counter] || 0) + amount;
+    });
+    return { ...batchData, stats };
+}
+
+function matches(id, data, { userId, workspaceId, batchId, status, priority, jobIds, tokens, since, expiredBy, userIdAfter }) {
+    if (workspaceId && data.workspaceId !== workspaceId) return false;
+    if (userId && data.userId !== userId) return false;
+    if (batchId && data.batchId !== batchId) return false;
+    if (status && data.status !== status) return false;
+    if (priority !== undefined && data.priority !== priority) return false;
+    if (jobIds && !jobIds.includes(id)) return false;
+    if (tokens && !(data.dedupeTokens || []).some(token => tokens.includes(token))) return false;
+    if (since && !(millis(data.createdAt) >= millis(since))) return false;
+    if (expiredBy && !(millis(data[expiredBy.field]) <= millis(expiredBy.at))) return false;
+    if (userIdAfter !== undefined && !(typeof data.userId === 'string' && data.userId > userIdAfter)) return false;
+    return true;
+}
+
+// Equality filters the table can apply itself
+function scanFilters({ userId, workspaceId, batchId, status }) {
+    return Object.fromEntries(Object.entries({ userId, workspaceId, batchId, status }).filter(([, value]) => value));
+}
+
+export function createLocalStorage(table) {
+    const read = (collection, id) => decodeDocument(table.get(collection, id));
+    const write = (collection, id, data) => table.put(collection, id, encodeDocument(data));
+
+    function addCounts(batchId, counts) {
+        const batchData = batchId && counts ? read(BATCHES, batchId) : null;
+        if (batchData) write(BATCHES, batchId, applyCounts(batchData, counts));
+    }
+
+    return {
+        async createJob(data, batchCounts) {
+            const jobId = randomUUID();
+            table.transaction(() => {
+                write(JOBS, jobId, data);
+                addCounts(data.batchId, batchCounts);
+            });
+            return jobId;
+        },
+
+        async getJob(jobId) {
+            return read(JOBS, jobId);
+        },
+
+        async transactJob(jobId, change) {
+            return table.transaction(() => {
+                const jobData = read(JOBS, jobId);
+                if (!jobData) return null;
+
+                const batchData = jobData.batchId ? read(BATCHES, jobData.batchId) : null;
+                const { update, counts, result } = change(jobData, batchData);
+
+                if (update) write(JOBS, jobId, applyUpdate(jobData, update));
+                addCounts(jobData.batchId, counts);
+                return result;
+            });
+        },
+
+        async listJobs({ limit, ...filters } = {}) {
+            const jobs = table.scan(JOBS, scanFilters(filters))
+                .map(([id, json]) => ({ id, data: decodeDocument(json) }))
+                .filter(job => matches(job.id, job.data, filters));
+            if (filters.expiredBy) {
+                const { field } = filters.expiredBy;
+                jobs.sort((a, b) => millis(a.data[field]) - millis(b.data[field]));
+            }
+            if (filters.userIdAfter !== undefined) {
+                jobs.sort((a, b) => (a.data.userId < b.data.userId ? -1 : a.data.userId > b.data.userId ? 1 : 0));
+            }
+            return limit ? jobs.slice(0, limit) : jobs;
+        },
+
+        async updateJobs(changes) {
+            return table.transaction(() => {
+                let updated = 0;
+                changes.forEach(({ id, update }) => {
+                    const jobData = read(JOBS, id);
+                    if (!jobData) return;
+                    write(JOBS, id, applyUpdate(jobData, update));
+                    if (update.status) addCounts(jobData.batchId, transitionCounts(jobData.status, update.status));
+                    updated += 1;
+                });
+                return updated;
+            });
+        },
+
+        async deleteJobs(jobs) {
+            return table.transaction(() => {
+                jobs.forEach(({ id }) => table.remove(JOBS, id));
+                return jobs.length;
+            });
+        },
+
+        async createBatch(data) {
+            const batchId = randomUUID();
+            write(BATCHES, batchId, data);
+            return batchId;
+        },
+
+        async getBatch(batchId) {
+            return read(BATCHES, batchId);
+        },
+
+        async expireBatches(at, limit) {
+            return table.transaction(() => {
+                const expired = table.scan(BATCHES, {})
+                    .filter(([, json]) => millis(decodeDocument(json).expiresAt) <= millis(at))
+                    .slice(0, limit);
+                expired.forEach(([id]) => table.remove(BATCHES, id));
+                return expired.length;
+            });
+        },
+
+        async appendAudit(entry) {
+            write(AUDIT, randomUUID(), entry);
+        },
+
+        async incrementUsage(id, data, counts) {
+            table.transaction(() => {
+                const current = read(USAGE, id) || {};
+                const next = { ...current, ...data };
+                Object.entries(counts).forEach(([counter, amount]) => {
+                    next[counter] = (current[counter] || 0) + amount;
+                });
+                write(USAGE, id, next);
+            });
+        },
+
+        async getUsage(ids) {
+            return ids.map(id => read(USAGE, id));
+        },
+
+        async listUsage({ workspaceId, month }) {
+            return table.scan(USAGE, { workspaceId })
+                .map(([id, json]) => ({ id, data: decodeDocument(json) }))
+                .filter(({ data }) => data.workspaceId === workspaceId && data.month === month);
+        },
+
+        async expireUsage(at, limit) {
+            return table.transaction(() => {
+                const expired = table.scan(USAGE, {})
+                    .filter(([, json]) => {
+                        const expiresAt = decodeDocument(json).expiresAt;
+                        return expiresAt && millis(expiresAt) <= millis(at);
+                    })
+                    .slice(0, limit);
+                expired.forEach(([id]) => table.remove(USAGE, id));
+                return expired.length;
+            });
+        }
+    };
+}
@@ -0,0 +1,22 @@
+// lib/storage/memory.js
+// In-memory backend of the job storage (see index.js): one process, nothing
+// persisted. Node runs a transaction's synchronous body without interleaving,
+// so no locking is needed.
+import { createLocalStorage } from './local.js';
+
+export function createMemoryStorage() {
+    const collections = new Map();
+    const collection = (name) => {
+        if (!collections.has(name)) collections.set(name, new Map());
+        return collections.get(name);
+    };
+
+    return createLocalStorage({
+        get: (name, id) => collection(name).get(id),
+        put: (name, id, json) => collection(name).set(id, json),
+        remove: (name, id) => collection(name).delete(id),
+        // Filters are applied again by local.js
+        scan: (name) => [...collection(name).entries()],
+        transaction: (run) => run()
+    });
+}
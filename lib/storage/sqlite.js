@@ -0,0 +1,61 @@
+// lib/storage/sqlite.js
+// SQLite backend of the job storage (see index.js), for self-hosting: one
+// documents table holding every collection as JSON, in the file at
+// SQLITE_PATH. Transactions start IMMEDIATE, so a claim holds the write lock
+// from its first read and several processes can share the file.
+// better-sqlite3 is an optional dependency, only loaded with this backend.
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import Database from 'better-sqlite3';
+import { createLocalStorage } from './local.js';
+
+// Filters scan() can apply in SQL
+const INDEXED_FIELDS = ['status', 'userId', 'workspaceId', 'batchId'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+    );
+    ${INDEXED_FIELDS.map(field => `
+    CREATE INDEX IF NOT EXISTS documents_${field}
+        ON documents (collection, json_extract(data, '$.${field}'));`).join('')}
+`;
+
+export function createSqliteStorage(path) {
+    if (path !== ':memory:') mkdirSync(dirname(path), { recursive: true });
+    const database = new Database(path);
+    database.pragma('journal_mode = WAL');
+    database.pragma('busy_timeout = 5000');
+    database.exec(SCHEMA);
+
+    const getStatement = database.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?');
+    const putStatement = database.prepare('INSERT OR REPLACE INTO documents (collection, id, data) VALUES (?, ?, ?)');
+    const removeStatement = database.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+    const scanStatements = new Map();
+
+    // One prepared statement per combination of filtered fields
+    function scanStatement(fields) {
+        const key = fields.join(',');
+        if (!scanStatements.has(key)) {
+            const conditions = fields.map(field => ` AND json_extract(data, '$.${field}') = ?`).join('');
+            scanStatements.set(key, database.prepare(`SELECT id, data FROM documents WHERE collection = ?${conditions}`));
+        }
+        return scanStatements.get(key);
+    }
+
+    return createLocalStorage({
+        get: (collection, id) => getStatement.get(collection, id)?.data,
+        put: (collection, id, json) => putStatement.run(collection, id, json),
+        remove: (collection, id) => removeStatement.run(collection, id),
+        scan: (collection, equals) => {
+            const fields = Object.keys(equals).filter(field => INDEXED_FIELDS.includes(field));
+            return scanStatement(fields)
+                .all(collection, ...fields.map(field => equals[field]))
+                .map(row => [row.id, row.data]);
+        },
+        transaction: (run) => database.transaction(run).immediate()
+    });
+}
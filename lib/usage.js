@@ -0,0 +1,145 @@
+// lib/usage.js
+// LLM cost accounting. The worker wraps the provider with meterProvider for
+// each job attempt; the tokens each model response reports are summed on the
+// job (usage, across attempts) and added to the monthly counters of the
+// uploader in usage/{month}_member_{workspaceId}_{userId}, which api/usage
+// summarizes. Failed calls are counted but report no tokens. The cost is an
+// estimate from MODEL_PRICES (USD per million tokens), or from
+// LLM_PRICE_INPUT / LLM_PRICE_OUTPUT for the configured model.
+import { Timestamp } from 'firebase-admin/firestore';
+import { getStorage } from './storage/index.js';
+
+export const USAGE_COLLECTION = 'usage';
+
+// Published list prices, USD per million tokens (prompts up to 128k tokens)
+const MODEL_PRICES = {
+    'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+    'gemini-1.5-flash-8b': { input: 0.0375, output: 0.15 },
+    'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 }
+};
+
+// Counters of a monthly usage document
+export const USAGE_COUNTERS = ['calls', 'failedCalls', 'inputTokens', 'outputTokens', 'costUsd', 'jobs', 'failedJobs', 'llmJobs', 'fallbackJobs'];
+
+const MILLION = 1000000;
+
+// "2026-10" (UTC) for a date
+export function usageMonth(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
+
+export function monthlyUsageId(month, workspaceId, userId) {
+    return `${month}_member_${workspaceId || 'none'}_${userId}`;
+}
+
+function modelPrice(model, env = process.env) {
+    const input = parseFloat(env.LLM_PRICE_INPUT);
+    const output = parseFloat(env.LLM_PRICE_OUTPUT);
+    if (Number.isFinite(input) || Number.isFinite(output)) {
+        return { input: Number.isFinite(input) ? input : 0, output: Number.isFinite(output) ? output : 0 };
+    }
+    return MODEL_PRICES[model] || { input: 0, output: 0 };
+}
+
+export function estimateCost(model, inputTokens, outputTokens) {
+    const price = modelPrice(model);
+    return (inputTokens * price.input + outputTokens * price.output) / MILLION;
+}
+
+// Wrap a provider so every generate() call is counted. Returns
+// { provider, totals }; provider is null when there is none (rule-based only).
+export function meterProvider(provider) {
+    const totals = { calls: 0, failedCalls: 0, inputTokens: 0, outputTokens: 0 };
+    if (!provider) return { provider: null, totals };
+
+    return {
+        totals,
+        provider: {
+            ...provider,
+            async generate(request) {
+                totals.calls += 1;
+                try {
+                    const response = await provider.generate(request);
+                    totals.inputTokens += response.usage?.inputTokens || 0;
+                    totals.outputTokens += response.usage?.outputTokens || 0;
+                    return response;
+                } catch (error) {
+                    totals.failedCalls += 1;
+                    throw error;
+                }
+            }
+        }
+    };
+}
+
+// The job's usage field after this attempt, added to what earlier attempts used
+export function jobUsage(previous, provider, totals) {
+    const model = provider?.model || null;
+    const costUsd = estimateCost(model, totals.inputTokens, totals.outputTokens);
+    return {
+        provider: provider?.name || 'fallback',
+        model,
+        calls: (previous?.calls || 0) + totals.calls,
+        failedCalls: (previous?.failedCalls || 0) + totals.failedCalls,
+        inputTokens: (previous?.inputTokens || 0) + totals.inputTokens,
+        outputTokens: (previous?.outputTokens || 0) + totals.outputTokens,
+        costUsd: (previous?.costUsd || 0) + costUsd
+    };
+}
+
+// Add one attempt of a job to its uploader's monthly counters. update is the
+// outcome the worker recorded; jobs are counted once they finish.
+export async function recordUsage(jobData, update, totals, model) {
+    const storage = await getStorage();
+    const month = usageMonth();
+    const finished = update.status === 'completed' || update.status === 'failed' || update.status === 'dead_letter';
+    const completed = update.status === 'completed';
+
+    await storage.incrementUsage(monthlyUsageId(month, jobData.workspaceId, jobData.userId), {
+        kind: 'month',
+        month,
+        workspaceId: jobData.workspaceId || null,
+        userId: jobData.userId,
+        updatedAt: Timestamp.now()
+    }, {
+        calls: totals.calls,
+        failedCalls: totals.failedCalls,
+        inputTokens: totals.inputTokens,
+        outputTokens: totals.outputTokens,
+        costUsd: estimateCost(model, totals.inputTokens, totals.outputTokens),
+        jobs: finished ? 1 : 0,
+        failedJobs: finished && !completed ? 1 : 0,
+        llmJobs: completed && update.provider !== 'fallback' ? 1 : 0,
+        fallbackJobs: completed && update.provider === 'fallback' ? 1 : 0
+    });
+}
+
+function summarize(userId, data = {}) {
+    const counters = Object.fromEntries(USAGE_COUNTERS.map(counter => [counter, data[counter] || 0]));
+    const extracted = counters.llmJobs + counters.fallbackJobs;
+    return {
+        userId,
+        ...counters,
+        costUsd: Math.round(counters.costUsd * MILLION) / MILLION,
+        fallbackShare: extracted > 0 ? counters.fallbackJobs / extracted : 0
+    };
+}
+
+// { month, users: [...], totals } for a workspace; userId limits it to one member
+export async function usageSummary(workspaceId, month, { userId } = {}) {
+    const storage = await getStorage();
+    const documents = (await storage.listUsage({ workspaceId, month }))
+        .filter(({ data }) => !userId || data.userId === userId);
+
+    const users = documents
+        .map(({ data }) => summarize(data.userId, data))
+        .sort((a, b) => b.costUsd - a.costUsd || b.calls - a.calls);
+    const sum = {};
+    documents.forEach(({ data }) => USAGE_COUNTERS.forEach(counter => {
+        sum[counter] = (sum[counter] || 0) + (data[counter] || 0);
+    }));
+    return { month, users, totals: summarize(null, sum) };
+}
@@ -0,0 +1,28 @@
+// lib/webhook-signature.js
+// HMAC-SHA256 signature of webhook deliveries (lib/webhooks.js), sent as
+// "X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC of `${t}.${body}`>"
+// with the workspace's webhook secret. Receivers recompute it over the raw
+// body and reject old timestamps, so a captured delivery cannot be replayed
+// later. scripts/webhook-receiver.js shows the check.
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+function digest(secret, body, timestamp) {
+    return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${digest(secret, body, timestamp)}`;
+}
+
+export function verifySignature(secret, body, header, { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) return false;
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(digest(secret, body, timestamp), 'hex');
+    return timingSafeEqual(expected, Buffer.from(parts.v1, 'hex'));
+}
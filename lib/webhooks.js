@@ -0,0 +1,308 @@
+// lib/webhooks.js
+// Completion webhooks for integrations (api/v1). A workspace admin sets the
+// URL and the events it wants through api/integrations; the secret that
+// signs every delivery (webhook-signature.js) is generated here and shown
+// once. The configuration lives in webhooks/{workspaceId}, apart from the
+// workspace document that every member can read.
+// The worker calls notifyJobFinished after saving a finished job and
+// notifyBatchFinished when that job was the last one queued in its batch.
+// Each event becomes a webhook_deliveries document that is sent at once and,
+// when the receiver fails, again with the queue's backoff by
+// api/webhook-deliveries (cron) until WEBHOOK_MAX_ATTEMPTS. Delivery is at
+// least once: receivers dedupe on X-Webhook-Delivery. A delivery records
+// only the event, the job or batch ID and the job's status; the payload is
+// built from the job or batch on every attempt, so nothing about the
+// candidate is copied into it and an erased job is not sent. Payloads carry
+// IDs, statuses and the failure message, never extracted data; results are
+// read from the API. The file name goes only with jobs the caller sent
+// through the API and named itself: a name given in the page is usually the
+// candidate's, and an anonymized job's must not leave the server.
+// Webhooks need the Firestore backend.
+import { randomBytes } from 'node:crypto';
+import { Timestamp } from 'firebase-admin/firestore';
+import { db } from './firebase.js';
+import { usesFirestore, getStorage } from './storage/index.js';
+import { backoffDelay } from './retry.js';
+import { signPayload, SIGNATURE_HEADER } from './webhook-signature.js';
+import { logInfo, logError } from './log.js';
+
+export const WEBHOOKS_COLLECTION = 'webhooks';
+export const DELIVERIES_COLLECTION = 'webhook_deliveries';
+
+export const WEBHOOK_EVENTS = ['job.completed', 'job.failed', 'batch.completed'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const DELIVERY_TIMEOUT_MS = 5000;
+// A delivery left "sending" this long by a run that died is sent again
+const SENDING_LEASE_MS = 60 * 1000;
+// Delivery records are kept this long for the admins to inspect
+const DELIVERY_RETENTION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUE_SCAN = 50;
+// Receiver answers are kept short on the delivery record
+const MAX_ERROR_CHARS = 300;
+
+// https anywhere; plain http only to this machine, for a local receiver
+export function parseWebhookUrl(input) {
+    let url;
+    try {
+        url = new URL(String(input || '').trim());
+    } catch {
+        return null;
+    }
+    const local = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && local)) return null;
+    if (url.username || url.password) return null;
+    return url.toString();
+}
+
+export function parseWebhookEvents(input) {
+    const events = Array.isArray(input) ? input.filter(event => WEBHOOK_EVENTS.includes(event)) : [];
+    return events.length > 0 ? [...new Set(events)] : null;
+}
+
+export async function getWebhook(workspaceId) {
+    if (!usesFirestore() || !workspaceId) return null;
+    const doc = await db.collection(WEBHOOKS_COLLECTION).doc(workspaceId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+// What the admins see: never the secret itself
+export function describeWebhook(webhook) {
+    if (!webhook) return null;
+    return {
+        url: webhook.url,
+        events: webhook.events,
+        secretHint: `${webhook.secret.slice(0, 8)}…`,
+        updatedAt: webhook.updatedAt?.toDate?.().toISOString() || null
+    };
+}
+
+// Returns { webhook, secret }; secret is only set when a new one was generated
+export async function setWebhook(workspaceId, { url, events, rotateSecret = false }, user) {
+    const current = await getWebhook(workspaceId);
+    const secret = !current || rotateSecret ? `whsec_${randomBytes(24).toString('base64url')}` : null;
+    const webhook = {
+        workspaceId,
+        url,
+        events,
+        secret: secret || current.secret,
+        updatedBy: user.uid,
+        updatedAt: Timestamp.now()
+    };
+    await db.collection(WEBHOOKS_COLLECTION).doc(workspaceId).set(webhook);
+    return { webhook: describeWebhook(webhook), secret };
+}
+
+export async function deleteWebhook(workspaceId) {
+    await db.collection(WEBHOOKS_COLLECTION).doc(workspaceId).delete();
+}
+
+export async function listDeliveries(workspaceId, count = 20) {
+    const snapshot = await db.collection(DELIVERIES_COLLECTION)
+        .where('workspaceId', '==', workspaceId)
+        .orderBy('createdAt', 'desc')
+        .limit(count)
+        .get();
+    return snapshot.docs.map(doc => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            event: data.event,
+            status: data.status,
+            attempts: data.attempts,
+            lastStatusCode: data.lastStatusCode ?? null,
+            lastError: data.lastError || null,
+            createdAt: data.createdAt?.toDate?.().toISOString() || null,
+            deliveredAt: data.deliveredAt?.toDate?.().toISOString() || null
+        };
+    });
+}
+
+// POST a body to the webhook's current URL, signed with its current secret.
+// Returns { ok, statusCode, error }.
+async function post(webhook, deliveryId, event, body) {
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'extrator-curriculos-webhooks/1',
+                'X-Webhook-Event': event,
+                'X-Webhook-Delivery': deliveryId,
+                [SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        });
+        if (response.ok) return { ok: true, statusCode: response.status };
+        const text = await response.text().catch(() => '');
+        return { ok: false, statusCode: response.status, error: `HTTP ${response.status} ${text}`.trim().slice(0, MAX_ERROR_CHARS) };
+    } catch (error) {
+        return { ok: false, statusCode: null, error: (error.cause?.code || error.message || String(error)).slice(0, MAX_ERROR_CHARS) };
+    }
+}
+
+function iso(timestamp) {
+    return timestamp?.toDate?.().toISOString() || null;
+}
+
+function callerFileName(job) {
+    return job.source === 'api' && job.anonymized !== true ? job.fileName || null : null;
+}
+
+// The event's data, read now from the job or batch; null once it is gone
+async function eventData(delivery) {
+    const storage = await getStorage();
+    if (delivery.event === 'batch.completed') {
+        const batch = await storage.getBatch(delivery.batchId);
+        return batch && { batchId: delivery.batchId, name: batch.name || null, stats: batch.stats || {} };
+    }
+    const job = await storage.getJob(delivery.jobId);
+    return job && {
+        jobId: delivery.jobId,
+        batchId: job.batchId || null,
+        status: delivery.jobStatus,
+        fileName: callerFileName(job),
+        needsReview: job.needsReview === true,
+        ...(job.error ? { error: job.error } : {}),
+        finishedAt: iso(job.finishedAt)
+    };
+}
+
+// Send a delivery this run has claimed and record the outcome
+async function attempt(ref, delivery) {
+    const webhook = await getWebhook(delivery.workspaceId);
+    const attempts = (delivery.attempts || 0) + 1;
+    const data = webhook ? await eventData(delivery) : null;
+    const body = data && JSON.stringify({
+        id: ref.id,
+        event: delivery.event,
+        createdAt: iso(delivery.createdAt),
+        workspaceId: delivery.workspaceId,
+        data
+    });
+    const outcome = body
+        ? await post(webhook, ref.id, delivery.event, body)
+        : { ok: false, statusCode: null, error: webhook ? 'Job ou lote removido' : 'Webhook removido' };
+
+    const common = { attempts, lastStatusCode: outcome.statusCode, sendingUntil: null };
+    if (outcome.ok) {
+        await ref.update({ ...common, status: 'delivered', deliveredAt: Timestamp.now(), lastError: null });
+    } else if (!body || attempts >= MAX_ATTEMPTS) {
+        await ref.update({ ...common, status: 'failed', lastError: outcome.error });
+        logInfo(`[WEBHOOKS] Delivery ${ref.id} (${delivery.event}) failed after ${attempts} attempts: ${outcome.error}`);
+    } else {
+        await ref.update({
+            ...common,
+            status: 'pending',
+            lastError: outcome.error,
+            nextAttemptAt: Timestamp.fromMillis(Date.now() + backoffDelay(attempts))
+        });
+    }
+    return outcome;
+}
+
+// Record an event for the workspace's webhook, if it wants it, and try it once.
+// subject is { jobId, jobStatus } or { batchId }.
+async function enqueueEvent(workspaceId, event, subject) {
+    const webhook = await getWebhook(workspaceId);
+    if (!webhook?.events?.includes(event)) return null;
+
+    const ref = db.collection(DELIVERIES_COLLECTION).doc();
+    const delivery = {
+        workspaceId,
+        event,
+        jobId: subject.jobId || null,
+        jobStatus: subject.jobStatus || null,
+        batchId: subject.batchId || null,
+        status: 'sending',
+        attempts: 0,
+        createdAt: Timestamp.now(),
+        sendingUntil: Timestamp.fromMillis(Date.now() + SENDING_LEASE_MS),
+        expiresAt: Timestamp.fromMillis(Date.now() + DELIVERY_RETENTION_DAYS * DAY_MS)
+    };
+    await ref.set(delivery);
+    return attempt(ref, delivery);
+}
+
+// A failed notification never affects the job; it is logged and left to the cron
+export async function notifyJobFinished(jobId, jobData, update) {
+    const event = update.status === 'completed' ? 'job.completed' : 'job.failed';
+    try {
+        await enqueueEvent(jobData.workspaceId, event, { jobId, jobStatus: update.status });
+    } catch (error) {
+        logError(`[WEBHOOKS] ${event} for job ${jobId} not sent:`, error);
+    }
+}
+
+export async function notifyBatchFinished(batchId) {
+    try {
+        const storage = await getStorage();
+        const batch = await storage.getBatch(batchId);
+        if (!batch) return;
+        await enqueueEvent(batch.workspaceId, 'batch.completed', { batchId });
+    } catch (error) {
+        logError(`[WEBHOOKS] batch.completed for ${batchId} not sent:`, error);
+    }
+}
+
+// Ping sent from the integrations panel; returns { ok, statusCode, error }
+export async function sendTestEvent(workspaceId) {
+    const webhook = await getWebhook(workspaceId);
+    if (!webhook) return null;
+    const deliveryId = `test_${randomBytes(8).toString('hex')}`;
+    const body = JSON.stringify({ id: deliveryId, event: 'ping', createdAt: new Date().toISOString(), workspaceId, data: {} });
+    return post(webhook, deliveryId, 'ping', body);
+}
+
+// Take a due delivery for this run: pending and past nextAttemptAt, or left
+// "sending" by a run that died
+async function claimDelivery(ref) {
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return null;
+        const delivery = doc.data();
+        const now = Date.now();
+        const due = delivery.status === 'pending'
+            ? (delivery.nextAttemptAt?.toMillis() ?? 0) <= now
+            : delivery.status === 'sending' && (delivery.sendingUntil?.toMillis() ?? 0) <= now;
+        if (!due) return null;
+        transaction.update(ref, { status: 'sending', sendingUntil: Timestamp.fromMillis(now + SENDING_LEASE_MS) });
+        return delivery;
+    });
+}
+
+// One cron pass: retries due deliveries and drops expired records.
+// Returns { delivered, retrying, failed, expired }.
+export async function retryDueDeliveries({ until = Date.now() + 8000 } = {}) {
+    const totals = { delivered: 0, retrying: 0, failed: 0, expired: 0 };
+    if (!usesFirestore()) return totals;
+
+    const [pending, sending] = await Promise.all(['pending', 'sending'].map(status =>
+        db.collection(DELIVERIES_COLLECTION).where('status', '==', status).limit(DUE_SCAN).get()));
+
+    for (const doc of [...pending.docs, ...sending.docs]) {
+        if (Date.now() + DELIVERY_TIMEOUT_MS > until) break;
+        const delivery = await claimDelivery(doc.ref);
+        if (!delivery) continue;
+        const outcome = await attempt(doc.ref, delivery);
+        const attempts = (delivery.attempts || 0) + 1;
+        if (outcome.ok) totals.delivered++;
+        else if (attempts >= MAX_ATTEMPTS) totals.failed++;
+        else totals.retrying++;
+    }
+
+    const expired = await db.collection(DELIVERIES_COLLECTION)
+        .where('expiresAt', '<=', Timestamp.now())
+        .limit(DUE_SCAN * 4)
+        .get();
+    if (!expired.empty) {
+        const batch = db.batch();
+        expired.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+    }
+    totals.expired = expired.size;
+    return totals;
+}
@@ -0,0 +1,211 @@
+// lib/worker.js
+// Processing of one claimed job: text checks, extraction, scoring against the
+// batch requirements, duplicate lookup and the Firestore update that records
+// the outcome, with the retention expiry of the workspace, then the completion
+// webhooks and the LLM usage counters. Used by process-batch and drain-queue.
+import { Timestamp } from 'firebase-admin/firestore';
+import { normalizeFields, fieldsFromKeys } from '../shared/fields.js';
+import { minConfidence } from '../shared/review.js';
+import { normalizeRequirements } from '../shared/requirements.js';
+import { extractResume } from './extraction.js';
+import { scoreCandidate } from './scoring.js';
+import { hashText, findPreviousDuplicates, anonymousToken, requireAnonymousKey } from './dedupe.js';
+import { anonymizeExtraction, fallbackCandidateCode, saveIdentity, dropRawText, loadRawText, dropIdentityText } from './anonymize.js';
+import { dedupeTokens } from '../shared/dedupe.js';
+import { getProvider } from './llm/index.js';
+import { finishJob } from './queue.js';
+import { notifyJobFinished, notifyBatchFinished } from './webhooks.js';
+import { MAX_ATTEMPTS, failureUpdate } from './retry.js';
+import { retentionFields } from './retention.js';
+import { meterProvider, jobUsage, recordUsage } from './usage.js';
+import { logInfo, logError } from './log.js';
+
+// Below this many non-space characters the document is treated as unreadable
+const MIN_TEXT_CHARS = 30;
+
+// Statuses that start the job's retention clock
+const FINISHED_STATUSES = ['completed', 'failed', 'dead_letter'];
+// Final statuses, a batch cancellation held by finishJob included
+const FINAL_STATUSES = [...FINISHED_STATUSES, 'cancelled'];
+
+// Extract a job and build the update that completes or fails it. Throws on
+// errors the retry policy should look at.
+export async function runJob(jobId, jobData, provider = getProvider()) {
+    if (jobData.textPurgedAt) {
+        throw new Error('Texto do currículo removido pela política de retenção; envie o arquivo novamente');
+    }
+    if (jobData.anonymized === true) {
+        // Checked before the extraction spends any tokens
+        requireAnonymousKey();
+        // Anonymized jobs keep the raw text with the candidate's identity
+        if (typeof jobData.text !== 'string') jobData = { ...jobData, text: await loadRawText(jobId) };
+    }
+
+    // Scanned documents without OCR text used to "succeed" with a placeholder name
+    const textLength = (jobData.text || '').replace(/\s+/g, '').length;
+    if (textLength < MIN_TEXT_CHARS) {
+        throw new Error(`Texto insuficiente para extração (${textLength} caracteres)`);
+    }
+
+    // Jobs created before field templates only carry the selected keys
+    const fields = jobData.fields
+        ? normalizeFields(jobData.fields)
+        : fieldsFromKeys(jobData.selectedFields);
+
+    // Extract data with the configured LLM provider
+    const extractionResult = await extractResume(
+        jobData.text,
+        fields,
+        jobId,
+        {
+            provider,
+            structured: jobData.structured === true,
+            ocr: jobData.ocr === true,
+            // On the last attempt the rule-based fallback is better than nothing
+            retryTransient: (jobData.attempts || 1) < MAX_ATTEMPTS
+        }
+    );
+
+    // Blind-hiring runs: the identity goes aside before anything else sees the data
+    const candidateCode = jobData.candidateCode || fallbackCandidateCode(jobId);
+    const blind = extractionResult.success && jobData.anonymized === true
+        ? anonymizeExtraction({
+            data: extractionResult.data,
+            text: jobData.text,
+            provenance: extractionResult.provenance,
+            candidateCode,
+            reviewReasons: extractionResult.review.reasons,
+            conflicts: extractionResult.analysis?.conflicts
+        })
+        : null;
+    if (blind) await saveIdentity(jobId, jobData, { identity: blind.identity, candidateCode, comparisons: blind.comparisons });
+
+    // The scorer of an anonymized run only sees the redacted resume
+    const match = extractionResult.success
+        ? await scoreCandidate({
+            provider,
+            text: blind ? blind.redactedText : jobData.text,
+            data: blind ? blind.result : extractionResult.data,
+            requirements: normalizeRequirements(jobData.requirements),
+            jobId
+        })
+        : null;
+
+    const textHash = hashText(jobData.text);
+    const duplicates = extractionResult.success
+        ? await lookupDuplicates(jobId, jobData, extractionResult.data, textHash)
+        : [];
+    const tokens = extractionResult.success ? dedupeTokens(extractionResult.data, textHash) : [];
+
+    return {
+        status: extractionResult.success ? 'completed' : 'failed',
+        finishedAt: Timestamp.now(),
+        ...(extractionResult.success
+            ? {
+                result: extractionResult.data,
+                provider: extractionResult.provider,
+                provenance: extractionResult.provenance,
+                needsReview: extractionResult.review.needsReview,
+                reviewReasons: extractionResult.review.reasons,
+                minConfidence: minConfidence(extractionResult.provenance),
+                ...(match ? { match } : {}),
+                textHash: blind ? hashText(jobData.text, { keyed: true }) : textHash,
+                dedupeTokens: blind ? tokens.map(anonymousToken) : tokens,
+                duplicates,
+                ...(blind
+                    ? {
+                        result: blind.result,
+                        provenance: blind.provenance,
+                        reviewReasons: blind.reviewReasons,
+                        redactedText: blind.redactedText,
+                        candidateCode
+                    }
+                    : {})
+            }
+            : { error: extractionResult.error }),
+        ...(extractionResult.analysis
+            ? {
+                analysis: {
+                    ...extractionResult.analysis,
+                    ...(blind ? { conflicts: blind.conflicts } : {}),
+                    pages: jobData.pages ?? null,
+                    pagesAnalysed: jobData.pagesRead ?? null
+                }
+            }
+            : {})
+    };
+}
+
+// A failed lookup only loses the hint, never the extraction
+async function lookupDuplicates(jobId, jobData, data, textHash) {
+    try {
+        return await findPreviousDuplicates({
+            jobId,
+            workspaceId: jobData.workspaceId,
+            data,
+            textHash,
+            anonymized: jobData.anonymized === true
+        });
+    } catch (error) {
+        logError(`[PROCESS-JOB ${jobId}] Duplicate lookup failed:`, error);
+        return [];
+    }
+}
+
+// Run a job this worker holds the lease for and record the outcome.
+// Returns { jobId, success, status, saved } and never throws.
+export async function processClaimedJob(jobId, jobData, workerId) {
+    let update;
+    let meter = meterProvider(null);
+    try {
+        meter = meterProvider(getProvider());
+        update = await runJob(jobId, jobData, meter.provider);
+    } catch (error) {
+        update = failureUpdate(jobData, error);
+        logError(`[PROCESS-JOB ${jobId}] Error (attempt ${update.attempts}, ${update.status}):`, error);
+    }
+    update.usage = jobUsage(jobData.usage, meter.provider, meter.totals);
+
+    if (FINISHED_STATUSES.includes(update.status)) {
+        try {
+            Object.assign(update, await retentionFields(jobData));
+        } catch (error) {
+            logError(`[PROCESS-JOB ${jobId}] Retention lookup failed:`, error);
+        }
+        if (jobData.anonymized === true) Object.assign(update, dropRawText());
+    }
+
+    let saved = false;
+    let batchFinished = false;
+    let status = update.status;
+    try {
+        ({ saved, batchFinished, status } = await finishJob(jobId, workerId, update));
+    } catch (updateError) {
+        logError(`[PROCESS-JOB ${jobId}] Failed to update status:`, updateError);
+    }
+
+    // Failed and cancelled blind jobs lose the raw text as completed ones do
+    if (saved && jobData.anonymized === true && FINAL_STATUSES.includes(status)) {
+        try {
+            await dropIdentityText(jobId);
+        } catch (error) {
+            logError(`[PROCESS-JOB ${jobId}] Raw text removal failed:`, error);
+        }
+    }
+
+    if (saved && FINISHED_STATUSES.includes(update.status)) {
+        await notifyJobFinished(jobId, jobData, update);
+    }
+    if (batchFinished) await notifyBatchFinished(jobData.batchId);
+
+    // Tokens are spent whether or not the outcome could be saved
+    try {
+        await recordUsage(jobData, update, meter.totals, meter.provider?.model);
+    } catch (error) {
+        logError(`[PROCESS-JOB ${jobId}] Usage accounting failed:`, error);
+    }
+
+    const success = update.status === 'completed';
+    logInfo(`[PROCESS-JOB ${jobId}] ${success ? '✅ Success' : update.status === 'pending' ? '🔁 Retry scheduled' : '❌ Failed'}`);
+    return { jobId, success, status: update.status, saved };
+}
@@ -0,0 +1,138 @@
+// lib/workspaces.js
+// Team workspaces. A workspace document holds its members as
+// members.<uid> = { role, email } plus a memberIds array for
+// "my workspaces" queries. Jobs and corrections carry the workspaceId;
+// userId on a job stays the uploader. Every signed-in user gets a personal
+// workspace the first time they list their workspaces. On the storage
+// backends without Firebase, workspaces come from LOCAL_USERS instead.
+import { Timestamp } from 'firebase-admin/firestore';
+import { db } from './firebase.js';
+import { usesFirestore } from './storage/index.js';
+import { localWorkspace, localMemberships } from './local-users.js';
+import { ROLES, can } from '../shared/workspaces.js';
+
+export const WORKSPACES_COLLECTION = 'workspaces';
+export const INVITES_COLLECTION = 'workspace_invites';
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 400;
+
+export function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+export function inviteId(workspaceId, email) {
+    return `${workspaceId}_${email.toLowerCase()}`;
+}
+
+export async function getWorkspace(workspaceId) {
+    if (!workspaceId || typeof workspaceId !== 'string') return null;
+    if (!usesFirestore()) return localWorkspace(workspaceId);
+    const doc = await db.collection(WORKSPACES_COLLECTION).doc(workspaceId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+export function roleIn(workspace, uid) {
+    return workspace?.members?.[uid]?.role || null;
+}
+
+// Role of every workspace the user belongs to, as { workspaceId: role }
+export async function listMemberships(uid) {
+    if (!usesFirestore()) return localMemberships(uid);
+    const snapshot = await db.collection(WORKSPACES_COLLECTION)
+        .where('memberIds', 'array-contains', uid)
+        .get();
+    const roles = {};
+    snapshot.docs.forEach(doc => {
+        roles[doc.id] = roleIn(doc.data(), uid);
+    });
+    return roles;
+}
+
+// Handler helper: answers 404/403 and returns null unless the user's role in
+// the workspace grants the permission; returns { workspace, role } otherwise
+export async function requireWorkspaceRole(response, user, workspaceId, permission) {
+    const workspace = await getWorkspace(workspaceId);
+    const role = roleIn(workspace, user.uid);
+    if (!role) {
+        response.status(404).json({ error: 'Workspace not found' });
+        return null;
+    }
+    if (!can(role, permission)) {
+        response.status(403).json({ error: 'Forbidden', message: `Role "${role}" cannot ${permission}` });
+        return null;
+    }
+    return { workspace, role };
+}
+
+export async function createWorkspace(user, name, { personal = false } = {}) {
+    const ref = db.collection(WORKSPACES_COLLECTION).doc();
+    await ref.set({
+        name,
+        personal,
+        createdBy: user.uid,
+        createdAt: Timestamp.now(),
+        members: { [user.uid]: { role: 'admin', email: user.email || null } },
+        memberIds: [user.uid]
+    });
+    return ref.id;
+}
+
+// Jobs and corrections created before workspaces existed only carry userId;
+// they move into the owner's personal workspace.
+async function adoptUnscoped(collectionName, uid, workspaceId) {
+    const snapshot = await db.collection(collectionName).where('userId', '==', uid).get();
+    const docs = snapshot.docs.filter(doc => !doc.data().workspaceId);
+    for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        docs.slice(i, i + BATCH_SIZE).forEach(doc => batch.update(doc.ref, { workspaceId }));
+        await batch.commit();
+    }
+    return docs.length;
+}
+
+export async function ensurePersonalWorkspace(user) {
+    const existing = await db.collection(WORKSPACES_COLLECTION)
+        .where('createdBy', '==', user.uid)
+        .where('personal', '==', true)
+        .limit(1)
+        .get();
+    if (!existing.empty) return existing.docs[0].id;
+
+    const workspaceId = await createWorkspace(user, 'Pessoal', { personal: true });
+    await adoptUnscoped('processing_queue', user.uid, workspaceId);
+    await adoptUnscoped('corrections', user.uid, workspaceId);
+    return workspaceId;
+}
+
+// Invites are addressed by email, so only a verified address may accept them
+export async function acceptInvites(user) {
+    if (!user.email || !user.emailVerified) return [];
+
+    const snapshot = await db.collection(INVITES_COLLECTION)
+        .where('email', '==', user.email.toLowerCase())
+        .get();
+
+    const accepted = [];
+    for (const inviteDoc of snapshot.docs) {
+        const { workspaceId, role } = inviteDoc.data();
+        const workspaceRef = db.collection(WORKSPACES_COLLECTION).doc(workspaceId);
+        await db.runTransaction(async (transaction) => {
+            const workspaceDoc = await transaction.get(workspaceRef);
+            if (workspaceDoc.exists && !roleIn(workspaceDoc.data(), user.uid)) {
+                const workspace = workspaceDoc.data();
+                transaction.update(workspaceRef, {
+                    [`members.${user.uid}`]: { role, email: user.email },
+                    memberIds: [...(workspace.memberIds || []), user.uid]
+                });
+                accepted.push(workspaceId);
+            }
+            transaction.delete(inviteDoc.ref);
+        });
+    }
+    return accepted;
+}
+
+export function countAdmins(workspace) {
+    return Object.values(workspace.members || {}).filter(member => member.role === 'admin').length;
+}
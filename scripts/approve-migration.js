@@ -0,0 +1,52 @@
+// scripts/approve-migration.js
+// Administrator approval of the anonymous-ID claims that api/migrate-anonymous
+// did not trust (contested ID or claim from another network origin). Lists
+// the pending claims of a legacy ID, or approves one account's claim; the
+// data moves the next time that user signs in:
+//
+//   node scripts/approve-migration.js user_1700000000000_abc123
+//   node scripts/approve-migration.js user_1700000000000_abc123 <uid>
+//
+// Needs GOOGLE_SERVICE_ACCOUNT_KEY (or the emulators), like the API functions.
+import { Timestamp } from 'firebase-admin/firestore';
+import { db } from '../lib/firebase.js';
+
+const [legacyUserId, uid] = process.argv.slice(2);
+
+if (!legacyUserId) {
+    console.error('Usage: node scripts/approve-migration.js <legacyUserId> [uid]');
+    process.exit(1);
+}
+
+const migrationRef = db.collection('user_migrations').doc(legacyUserId);
+const migration = (await migrationRef.get()).data();
+
+if (!migration) {
+    console.error(`${legacyUserId}: no migration token registered`);
+    process.exit(1);
+}
+if (migration.uid) {
+    console.error(`${legacyUserId}: already migrated to ${migration.uid}`);
+    process.exit(1);
+}
+
+const pending = migration.pending || {};
+
+if (!uid) {
+    console.log(`${legacyUserId}: ${migration.contested ? 'registered by more than one browser' : 'registered by one browser'}`);
+    Object.entries(pending).forEach(([claimUid, claim]) => {
+        console.log(`  ${claimUid}  ${claim.email || '(sem e-mail)'}  ${claim.reason}  ${claim.requestedAt.toDate().toISOString()}`);
+    });
+    if (!Object.keys(pending).length) console.log('  no pending claims');
+    process.exit(0);
+}
+
+if (!pending[uid]) {
+    console.error(`${legacyUserId}: ${uid} has no pending claim`);
+    process.exit(1);
+}
+
+await migrationRef.update({
+    approved: { uid, tokenHash: pending[uid].tokenHash, approvedAt: Timestamp.now() }
+});
+console.log(`${legacyUserId}: claim by ${uid} approved`);
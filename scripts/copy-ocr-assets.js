@@ -0,0 +1,39 @@
+// scripts/copy-ocr-assets.js
+// Copies the tesseract.js worker, WASM core and Portuguese language data from
+// node_modules into vendor/ocr so OCR runs entirely from our own origin.
+import { cpSync, mkdirSync, readdirSync, existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const modules = join(root, 'node_modules');
+const target = join(root, 'vendor', 'ocr');
+
+const sources = [
+    {
+        from: join(modules, 'tesseract.js', 'dist'),
+        to: target,
+        files: ['tesseract.esm.min.js', 'worker.min.js']
+    },
+    {
+        from: join(modules, 'tesseract.js-core'),
+        to: join(target, 'core'),
+        files: (dir) => readdirSync(dir).filter(file => /^tesseract-core.*\.(js|wasm)$/.test(file))
+    },
+    {
+        from: join(modules, '@tesseract.js-data', 'por', '4.0.0_best_int'),
+        to: join(target, 'lang'),
+        files: ['por.traineddata.gz']
+    }
+];
+
+for (const { from, to, files } of sources) {
+    if (!existsSync(from)) {
+        console.error(`[OCR-ASSETS] Missing ${from}. Run "npm install" first.`);
+        process.exit(1);
+    }
+    mkdirSync(to, { recursive: true });
+    const list = typeof files === 'function' ? files(from) : files;
+    list.forEach(file => cpSync(join(from, file), join(to, file)));
+    console.log(`[OCR-ASSETS] ${list.length} file(s) copied to ${to}`);
+}
@@ -0,0 +1,202 @@
+// scripts/local-server.js
+// Self-hosted extractor API: runs the queue endpoints of api/ and the REST API
+// (api/v1) on the SQLite storage backend (lib/storage) and stands in for the
+// Vercel crons of vercel.json. Users and workspaces come from LOCAL_USERS, API
+// keys from LOCAL_API_KEYS (lib/local-users.js):
+//
+//   LOCAL_USERS='{"<token>": {"uid": "ana", "workspaces": {"rh": "admin"}}}' \
+//   LOCAL_API_KEYS='{"ek_<random>": "rh"}' \
+//   GEMINI_API_KEY=... npm run local
+//
+// PORT (3000), STORAGE_BACKEND (sqlite) and SQLITE_PATH (data/extrator.db)
+// are optional. Off Firestore the install is API-only: jobs are submitted and
+// read through /api/v1 (described at /api/v1/openapi). index.html signs in with
+// Firebase Auth and reads and writes Firestore itself, so it is only served
+// with STORAGE_BACKEND=firestore, where this server stands in for Vercel.
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { logInfo, logError } from '../lib/log.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = parseInt(process.env.PORT) || 3000;
+
+process.env.STORAGE_BACKEND ||= 'sqlite';
+// kickDrain calls back into this server
+process.env.APP_BASE_URL ||= `http://localhost:${PORT}`;
+
+// Endpoints that run on every storage backend (webhook-deliveries has nothing to do off Firestore)
+const API_ROUTES = ['process-batch', 'drain-queue', 'queue-status', 'start-processing', 'cleanup-jobs', 'webhook-deliveries', 'usage'];
+// REST API routes, with Vercel's [param] file names as :param
+const V1_ROUTES = [
+    ['jobs', 'v1/jobs/index'],
+    ['jobs/:jobId', 'v1/jobs/[jobId]'],
+    ['batches', 'v1/batches/index'],
+    ['batches/:batchId/jobs', 'v1/batches/[batchId]/jobs'],
+    ['openapi', 'v1/openapi']
+];
+// The page and the server must share the same storage
+const SERVES_PAGE = process.env.STORAGE_BACKEND === 'firestore';
+// Served as files; any other path gets index.html, like the rewrite in vercel.json
+const STATIC_DIRS = ['js', 'shared', 'vendor'];
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.wasm': 'application/wasm',
+    '.gz': 'application/gzip',
+    '.traineddata': 'application/octet-stream'
+};
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const CRON_INTERVAL_MS = 60 * 1000;
+
+const vercelConfig = JSON.parse(await readFile(path.join(ROOT, 'vercel.json'), 'utf8'));
+const apiHeaders = (vercelConfig.headers || [])
+    .filter(entry => entry.source === '/api/(.*)')
+    .flatMap(entry => entry.headers);
+
+// The subset of Vercel's response helpers the handlers use
+function withHelpers(response) {
+    response.status = (code) => {
+        response.statusCode = code;
+        return response;
+    };
+    response.json = (body) => {
+        response.setHeader('Content-Type', 'application/json; charset=utf-8');
+        response.end(JSON.stringify(body));
+        return response;
+    };
+    response.send = (body) => {
+        response.end(body);
+        return response;
+    };
+    return response;
+}
+
+async function readBody(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw Object.assign(new Error('Body too large'), { status: 413 });
+        chunks.push(chunk);
+    }
+    const raw = Buffer.concat(chunks).toString('utf8');
+    if (!raw) return undefined;
+    if (!(request.headers['content-type'] || '').includes('application/json')) return raw;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        throw Object.assign(new Error('Invalid JSON body'), { status: 400 });
+    }
+}
+
+// { file, params } of the handler for /api/<route>, or null
+function resolveRoute(route) {
+    if (API_ROUTES.includes(route)) return { file: route, params: {} };
+    if (!route.startsWith('v1/')) return null;
+    const parts = route.slice('v1/'.length).split('/');
+
+    for (const [pattern, file] of V1_ROUTES) {
+        const expected = pattern.split('/');
+        if (expected.length !== parts.length) continue;
+        const params = {};
+        const matched = expected.every((part, index) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeURIComponent(parts[index]);
+                return true;
+            }
+            return part === parts[index];
+        });
+        if (matched) return { file, params };
+    }
+    return null;
+}
+
+async function handleApi(route, request, response, url) {
+    apiHeaders.forEach(({ key, value }) => response.setHeader(key, value));
+    const resolved = resolveRoute(route);
+    if (!resolved) {
+        return response.status(404).json({
+            error: 'Not found',
+            message: `/api/${route} needs the Firestore backend`
+        });
+    }
+
+    try {
+        request.body = await readBody(request);
+    } catch (error) {
+        return response.status(error.status || 400).json({ error: error.message });
+    }
+    request.query = { ...Object.fromEntries(url.searchParams), ...resolved.params };
+
+    const { default: handler } = await import(`../api/${resolved.file}.js`);
+    await handler(request, response);
+}
+
+async function serveFile(pathname, response) {
+    if (!SERVES_PAGE) {
+        return response.status(404).json({
+            error: 'Not found',
+            message: 'The web page needs the Firestore backend; use the REST API at /api/v1 (see /api/v1/openapi)'
+        });
+    }
+    const relative = path.normalize(decodeURIComponent(pathname)).replace(/^[/\\]+/, '');
+    const isStatic = STATIC_DIRS.some(dir => relative.startsWith(`${dir}${path.sep}`));
+    const file = isStatic ? path.join(ROOT, relative) : path.join(ROOT, 'index.html');
+
+    try {
+        const content = await readFile(file);
+        response.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)] || 'application/octet-stream');
+        response.end(content);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        response.status(404).send('Not found');
+    }
+}
+
+const server = http.createServer(async (request, response) => {
+    withHelpers(response);
+    const url = new URL(request.url, process.env.APP_BASE_URL);
+    const apiMatch = url.pathname.match(/^\/api\/([\w-]+(?:\/[\w%.-]+)*)\/?$/);
+
+    try {
+        if (apiMatch) {
+            await handleApi(apiMatch[1], request, response, url);
+        } else if (request.method === 'GET' || request.method === 'HEAD') {
+            await serveFile(url.pathname, response);
+        } else {
+            response.status(405).json({ error: 'Method not allowed' });
+        }
+    } catch (error) {
+        logError(`[LOCAL-SERVER] ${request.method} ${url.pathname} failed:`, error);
+        if (!response.headersSent) response.status(500).json({ error: 'Internal error', message: error.message });
+        else response.end();
+    }
+});
+
+// "m h dom mon dow" with * or comma-separated numbers, all the crons in vercel.json use
+function cronMatches(schedule, date) {
+    const values = [date.getMinutes(), date.getHours(), date.getDate(), date.getMonth() + 1, date.getDay()];
+    return schedule.trim().split(/\s+/).every((field, index) =>
+        field === '*' || field.split(',').map(Number).includes(values[index]));
+}
+
+function runCrons() {
+    const now = new Date();
+    const headers = process.env.CRON_SECRET ? { Authorization: `Bearer ${process.env.CRON_SECRET}` } : {};
+    (vercelConfig.crons || [])
+        .filter(cron => cronMatches(cron.schedule, now))
+        .forEach(cron => {
+            fetch(`${process.env.APP_BASE_URL}${cron.path}`, { headers })
+                .catch(error => logError(`[LOCAL-SERVER] Cron ${cron.path} failed:`, error));
+        });
+}
+
+server.listen(PORT, () => {
+    logInfo(`[LOCAL-SERVER] Listening on ${process.env.APP_BASE_URL} (storage: ${process.env.STORAGE_BACKEND})`);
+    setInterval(runCrons, CRON_INTERVAL_MS);
+});
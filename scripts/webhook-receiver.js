@@ -0,0 +1,54 @@
+// scripts/webhook-receiver.js
+// Local receiver for testing the completion webhooks: verifies each
+// delivery's signature and prints the event. Set the workspace webhook to
+// http://localhost:4000/ (Workspace → Integrações), copy the secret shown
+// once, then:
+//
+//   WEBHOOK_SECRET=whsec_... npm run webhook-receiver
+//
+// FAIL_FIRST=<n> answers 500 to the first n deliveries, to watch the retries
+// of api/webhook-deliveries. PORT defaults to 4000.
+import http from 'node:http';
+import { verifySignature, SIGNATURE_HEADER } from '../lib/webhook-signature.js';
+
+const PORT = parseInt(process.env.PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.FAIL_FIRST) || 0;
+
+if (!SECRET) {
+    console.error('WEBHOOK_SECRET is required (the secret shown when the webhook was saved)');
+    process.exit(1);
+}
+
+const server = http.createServer(async (request, response) => {
+    if (request.method !== 'POST') {
+        response.writeHead(405).end();
+        return;
+    }
+
+    const chunks = [];
+    for await (const chunk of request) chunks.push(chunk);
+    // The signature covers the raw body, so verify before parsing
+    const body = Buffer.concat(chunks).toString('utf8');
+    const event = request.headers['x-webhook-event'];
+    const deliveryId = request.headers['x-webhook-delivery'];
+
+    if (!verifySignature(SECRET, body, request.headers[SIGNATURE_HEADER.toLowerCase()])) {
+        console.log(`✖ ${deliveryId} (${event}): invalid signature`);
+        response.writeHead(401).end('invalid signature');
+        return;
+    }
+    if (failuresLeft > 0) {
+        failuresLeft--;
+        console.log(`↻ ${deliveryId} (${event}): answering 500 on purpose, ${failuresLeft} left`);
+        response.writeHead(500).end('failing on purpose');
+        return;
+    }
+
+    console.log(`✔ ${deliveryId} (${event})`, JSON.parse(body).data);
+    response.writeHead(200).end('ok');
+});
+
+server.listen(PORT, () => {
+    console.log(`Webhook receiver on http://localhost:${PORT}/`);
+});
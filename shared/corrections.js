@@ -0,0 +1,71 @@
+// shared/corrections.js
+// Manual corrections of extracted values: parsing and validating what the
+// recruiter typed, and turning a corrected record into (original, corrected)
+// pairs for measuring extractor accuracy.
+import { coerceFieldValue, formatFieldValue, isEmptyFieldValue } from './fields.js';
+import { parsePhone } from './phones.js';
+
+const EMAIL_PATTERN = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+const PHONE_KEYS = ['contatos', 'telefone', 'telefones', 'celular'];
+
+// Text typed in the table -> typed value. Lists are comma/semicolon separated.
+export function parseFieldInput(input, field) {
+    const text = String(input ?? '').trim();
+    if (!text) return coerceFieldValue(null, field);
+    if (field.type === 'number' && !/^-?\d+(?:[.,]\d+)?$/.test(text)) return NaN;
+    return coerceFieldValue(text, field);
+}
+
+// Returns an error message (pt-BR) or null when the value is acceptable.
+// Empty values are allowed except for required fields.
+export function validateFieldValue(value, field) {
+    if (isEmptyFieldValue(value, field)) {
+        return field.required ? `${field.label} é obrigatório` : null;
+    }
+
+    if (field.type === 'number' && !Number.isFinite(value)) {
+        return `${field.label} deve ser um número`;
+    }
+    if (field.key === 'idade' && (value < 14 || value > 100)) {
+        return 'Idade deve estar entre 14 e 100 anos';
+    }
+    if (field.key === 'email' && !EMAIL_PATTERN.test(value)) {
+        return 'Email inválido';
+    }
+    if (PHONE_KEYS.includes(field.key)) {
+        const invalid = [].concat(value).find(phone => !parsePhone(phone));
+        if (invalid) return `Telefone inválido: ${invalid}`;
+    }
+    if (field.type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return `${field.label} deve estar no formato AAAA-MM-DD`;
+    }
+    return null;
+}
+
+// Phones are stored in the same display format the extractors produce
+export function normalizeCorrectedValue(value, field) {
+    if (PHONE_KEYS.includes(field.key)) {
+        return [].concat(value).map(phone => parsePhone(phone)?.display || phone);
+    }
+    if (field.key === 'email' && typeof value === 'string') return value.toLowerCase();
+    return value;
+}
+
+export function sameFieldValue(a, b, field) {
+    return formatFieldValue(a, field) === formatFieldValue(b, field);
+}
+
+// One entry per field of a reviewed job; "changed" is false for values the
+// recruiter confirmed, which is what accuracy is measured against.
+export function buildCorrectionPairs(original, corrected, fields, provenance = {}) {
+    return fields.map(field => ({
+        key: field.key,
+        label: field.label,
+        type: field.type,
+        source: provenance[field.key]?.source || null,
+        confidence: provenance[field.key]?.confidence ?? null,
+        original: original?.[field.key] ?? null,
+        corrected: corrected?.[field.key] ?? null,
+        changed: !sameFieldValue(original?.[field.key], corrected?.[field.key], field)
+    }));
+}
@@ -0,0 +1,179 @@
+// shared/dedupe.js
+// Duplicate candidate detection. Two resumes are the same person when their
+// text is identical (textHash), they share a normalized email or phone, or
+// their names are close enough (fuzzy, so "Jose da Silva" and "José Silva"
+// match). Name-only matches are weaker and are shown as possible duplicates.
+// The worker stores dedupeTokens on each job so earlier candidates can be
+// found with one array-contains-any query; the page groups what it shows.
+import { toE164 } from './phones.js';
+import { NAME_PLACEHOLDER } from './fields.js';
+
+const NAME_PARTICLES = new Set(['de', 'da', 'do', 'das', 'dos', 'e']);
+export const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+const PHONE_KEYS = ['contatos', 'telefone', 'telefones', 'celular'];
+
+// Firestore array-contains-any accepts at most 30 values
+export const MAX_DEDUPE_TOKENS = 30;
+
+export const DUPLICATE_REASON_LABELS = {
+    text: 'Mesmo conteúdo',
+    email: 'Mesmo email',
+    phone: 'Mesmo telefone',
+    name: 'Nome semelhante'
+};
+
+function fold(value) {
+    return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// "Joao.Silva+vagas@GMail.com" -> "joaosilva@gmail.com"
+export function normalizeEmail(value) {
+    const email = String(value || '').trim().toLowerCase();
+    const match = email.match(/^([^@\s]+)@([^@\s]+\.[^@\s]+)$/);
+    if (!match) return null;
+    let [, local, domain] = match;
+    local = local.split('+')[0];
+    if (domain === 'googlemail.com') domain = 'gmail.com';
+    if (domain === 'gmail.com') local = local.replace(/\./g, '');
+    return `${local}@${domain}`;
+}
+
+export function normalizeName(value) {
+    if (!value || value === NAME_PLACEHOLDER) return '';
+    return fold(value)
+        .replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(token => token && !NAME_PARTICLES.has(token))
+        .join(' ');
+}
+
+function bigrams(text) {
+    const compact = text.replace(/\s+/g, ' ');
+    const grams = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+        const gram = compact.substring(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+}
+
+// Dice coefficient over character bigrams of the normalized names (0-1).
+// A name that is the other plus middle names ("Ana Souza" / "Ana Maria
+// Souza") counts as a match when first and last names agree.
+export function nameSimilarity(a, b) {
+    return normalizedNameSimilarity(normalizeName(a), normalizeName(b));
+}
+
+function normalizedNameSimilarity(left, right) {
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const leftTokens = left.split(' ');
+    const rightTokens = right.split(' ');
+    if (leftTokens.length > 1 && rightTokens.length > 1
+        && leftTokens[0] === rightTokens[0]
+        && leftTokens[leftTokens.length - 1] === rightTokens[rightTokens.length - 1]) {
+        return 0.9;
+    }
+
+    const leftGrams = bigrams(left);
+    const rightGrams = bigrams(right);
+    let overlap = 0;
+    let total = 0;
+    leftGrams.forEach((count, gram) => {
+        overlap += Math.min(count, rightGrams.get(gram) || 0);
+        total += count;
+    });
+    rightGrams.forEach(count => {
+        total += count;
+    });
+    return total > 0 ? (2 * overlap) / total : 0;
+}
+
+function asList(value) {
+    if (Array.isArray(value)) return value;
+    return value ? [value] : [];
+}
+
+// Normalized identity of an extracted record
+export function candidateKeys(data = {}) {
+    const emails = [...new Set(asList(data.email).map(normalizeEmail).filter(Boolean))];
+    const phones = [...new Set(PHONE_KEYS.flatMap(key => asList(data[key])).map(toE164).filter(Boolean))];
+    return { emails, phones, name: normalizeName(data.nome) };
+}
+
+export function dedupeTokens(data, textHash) {
+    const keys = candidateKeys(data);
+    return [
+        ...(textHash ? [`text:${textHash}`] : []),
+        ...keys.emails.map(email => `email:${email}`),
+        ...keys.phones.map(phone => `phone:${phone}`),
+        ...(keys.name ? [`name:${keys.name}`] : [])
+    ].slice(0, MAX_DEDUPE_TOKENS);
+}
+
+function candidateProfile({ data, textHash }) {
+    return { textHash, ...candidateKeys(data || {}) };
+}
+
+function compareProfiles(a, b) {
+    const reasons = [];
+    if (a.textHash && a.textHash === b.textHash) reasons.push('text');
+    if (a.emails.some(email => b.emails.includes(email))) reasons.push('email');
+    if (a.phones.some(phone => b.phones.includes(phone))) reasons.push('phone');
+    if (normalizedNameSimilarity(a.name, b.name) >= NAME_SIMILARITY_THRESHOLD) reasons.push('name');
+    return reasons;
+}
+
+// Why two candidates ({ data, textHash }) look like the same person; empty when they don't
+export function compareCandidates(a, b) {
+    return compareProfiles(candidateProfile(a), candidateProfile(b));
+}
+
+export function isStrongMatch(reasons) {
+    return reasons.some(reason => reason !== 'name');
+}
+
+export function describeDuplicateReasons(reasons) {
+    return reasons.map(reason => DUPLICATE_REASON_LABELS[reason] || reason).join(', ');
+}
+
+// Group items that match pairwise (transitively). items: [{ id, data,
+// textHash, notDuplicateOf }]. Pairs marked as not duplicates are skipped.
+// Returns [{ ids, reasons }] for groups of two or more.
+export function groupDuplicates(items) {
+    const parent = new Map(items.map(item => [item.id, item.id]));
+    const find = id => (parent.get(id) === id ? id : find(parent.get(id)));
+    const reasonsByRoot = new Map();
+    const pairReasons = [];
+    const profiles = items.map(candidateProfile);
+
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            const a = items[i];
+            const b = items[j];
+            if ((a.notDuplicateOf || []).includes(b.id) || (b.notDuplicateOf || []).includes(a.id)) continue;
+            const reasons = compareProfiles(profiles[i], profiles[j]);
+            if (reasons.length === 0) continue;
+            parent.set(find(a.id), find(b.id));
+            pairReasons.push([a.id, reasons]);
+        }
+    }
+
+    pairReasons.forEach(([id, reasons]) => {
+        const root = find(id);
+        const collected = reasonsByRoot.get(root) || new Set();
+        reasons.forEach(reason => collected.add(reason));
+        reasonsByRoot.set(root, collected);
+    });
+
+    const groups = new Map();
+    items.forEach(item => {
+        const root = find(item.id);
+        groups.set(root, [...(groups.get(root) || []), item.id]);
+    });
+    return [...groups.entries()]
+        .filter(([, ids]) => ids.length > 1)
+        .map(([root, ids]) => ({ ids, reasons: [...(reasonsByRoot.get(root) || [])] }));
+}
@@ -0,0 +1,391 @@
+// shared/exporters.js
+// Export formats for extracted candidates, used by the page (results on
+// screen, a batch from the history) and by api/export. Every format starts
+// from the same result objects (buildResult): XLSX with one sheet per view
+// plus the failed jobs, CSV with a fixed column mapping for ATS imports,
+// JSON Lines and one vCard per candidate. XLSX needs the SheetJS module,
+// passed in by the caller (global in the browser, the xlsx package on the server).
+// Spreadsheet cells that start like a formula are written as text.
+import { formatFieldValue, isEmptyFieldValue, slugifyFieldKey } from './fields.js';
+import { PROFILE_SECTIONS, formatLanguages } from './profile.js';
+import { formatSource, formatConfidence, describeReviewReason } from './review.js';
+import { parsePhone } from './phones.js';
+import { CP1252_HIGH } from './formats.js';
+
+export const EXPORT_FORMATS = {
+    xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    jsonl: { label: 'JSON Lines', extension: 'jsonl', mimeType: 'application/x-ndjson' },
+    vcf: { label: 'vCard', extension: 'vcf', mimeType: 'text/vcard' }
+};
+
+export const CSV_DELIMITERS = {
+    ';': 'Ponto e vírgula',
+    ',': 'Vírgula',
+    '\t': 'Tabulação'
+};
+
+// "utf-8-bom" is what Excel in pt-BR needs to open accents correctly
+export const CSV_ENCODINGS = {
+    'utf-8-bom': 'UTF-8 com BOM (Excel)',
+    'utf-8': 'UTF-8',
+    'windows-1252': 'Windows-1252 (ANSI)'
+};
+
+// Phones get one column each in the tabular formats; extra ones share the last
+const PHONE_COLUMNS = 3;
+const FAILED_STATUSES = ['failed', 'dead_letter', 'cancelled'];
+
+// Keys buildResult adds next to the extracted data
+const RESULT_META_KEYS = new Set([
+    'jobId', 'fileName', 'uploadedBy', 'uploaderEmail', 'batchId', 'match', 'textHash', 'duplicates',
+    'notDuplicateOf', 'mergedInto', 'mergedFiles', 'corrected', 'original', 'corrections', 'review',
+    'anonymized', 'candidateCode', 'redactedText'
+]);
+
+// Excel rejects longer cells
+const MAX_CELL_CHARS = 32000;
+// Resume text starting with one of these would run as a formula in Excel or Sheets
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const STATUS_LABELS = {
+    failed: 'Falhou',
+    dead_letter: 'Falhou (tentativas esgotadas)',
+    cancelled: 'Cancelado'
+};
+
+// Result of a completed job: the model output with manual corrections on top
+export function buildResult(jobId, data) {
+    const corrections = {};
+    (data.correctedFields || []).forEach(key => {
+        corrections[key] = data.correctedResult?.[key];
+    });
+    return {
+        ...data.result,
+        ...corrections,
+        jobId,
+        fileName: data.fileName,
+        uploadedBy: data.userId,
+        uploaderEmail: data.uploaderEmail || null,
+        batchId: data.batchId || null,
+        match: data.match || null,
+        textHash: data.textHash || null,
+        duplicates: data.duplicates || [],
+        notDuplicateOf: data.notDuplicateOf || [],
+        mergedInto: data.mergedInto || null,
+        mergedFiles: data.mergedFiles || [],
+        // Blind-hiring runs: the result is already redacted (lib/anonymize.js)
+        anonymized: data.anonymized === true,
+        candidateCode: data.candidateCode || null,
+        redactedText: data.redactedText || null,
+        corrected: Boolean(data.correctedAt),
+        original: data.result,
+        corrections,
+        review: {
+            provider: data.provider || null,
+            provenance: data.provenance || {},
+            needsReview: data.needsReview === true,
+            reasons: data.reviewReasons || [],
+            minConfidence: data.minConfidence ?? null
+        }
+    };
+}
+
+// Job that did not produce a result: { jobId, fileName, status, error, attempts, uploaderEmail }
+export function buildFailure(jobId, data) {
+    return {
+        jobId,
+        fileName: data.fileName,
+        status: data.status,
+        error: data.error || data.lastError || '',
+        attempts: data.attempts || 0,
+        uploaderEmail: data.uploaderEmail || null
+    };
+}
+
+export function isFailedStatus(status) {
+    return FAILED_STATUSES.includes(status);
+}
+
+// Best matches first when the results were scored
+function exportOrder(results) {
+    const scored = results.some(result => result.match);
+    const active = results.filter(result => !result.mergedInto);
+    if (!scored) return active;
+    return [...active].sort((a, b) => {
+        const scoreA = a.match?.score ?? null;
+        const scoreB = b.match?.score ?? null;
+        if (scoreA === null || scoreB === null) return (scoreA === null) - (scoreB === null);
+        return scoreB - scoreA;
+    });
+}
+
+// A leading apostrophe keeps a formula-like value as plain text
+export function spreadsheetSafe(value) {
+    return typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value;
+}
+
+function safeRows(rows) {
+    return rows.map(row => Object.fromEntries(Object.entries(row).map(([column, value]) => [column, spreadsheetSafe(value)])));
+}
+
+function phoneColumns(value, label) {
+    const phones = (Array.isArray(value) ? value : []).map(phone => parsePhone(phone)?.display || phone);
+    const columns = {};
+    for (let i = 0; i < PHONE_COLUMNS; i++) {
+        columns[`${label} ${i + 1}`] = i === PHONE_COLUMNS - 1
+            ? phones.slice(i).join('; ')
+            : phones[i] || '';
+    }
+    return columns;
+}
+
+// One flat row per candidate; the column names are the mapping the CSV and
+// the main XLSX sheet share
+export function resultRow(item, { fields, structured, scored, describeUploader = result => result.uploaderEmail || '' }) {
+    const review = item.review || { provenance: {}, reasons: [] };
+    const row = { ID: item.jobId };
+    if (item.anonymized) row['Código do Candidato'] = item.candidateCode;
+    fields.forEach(field => {
+        if (field.key === 'contatos') Object.assign(row, phoneColumns(item[field.key], field.label));
+        else row[field.label] = formatFieldValue(item[field.key], field);
+    });
+    row.Revisar = review.needsReview ? 'Sim' : 'Não';
+    row['Motivos da Revisão'] = review.reasons.map(reason => describeReviewReason(reason, fields)).join('; ');
+    row['Confiança Mínima'] = formatConfidence(review.minConfidence);
+    if (scored) {
+        row.Score = item.match?.score ?? '';
+        row['Requisitos Atendidos'] = (item.match?.matched || []).join(', ');
+        row['Requisitos Faltantes'] = (item.match?.missing || []).join(', ');
+        row['Justificativa do Score'] = item.match?.justification || '';
+    }
+    row.Extrator = review.provider || 'N/A';
+    row['Campos Corrigidos'] = fields
+        .filter(field => item.corrections && field.key in item.corrections)
+        .map(field => field.label)
+        .join(', ');
+    if (structured) {
+        row['Anos de Experiência'] = item.anosExperiencia || 0;
+        row.Idiomas = formatLanguages(item.idiomas) || 'N/A';
+        row.Habilidades = (item.habilidades || []).join(', ') || 'N/A';
+    }
+    row.Arquivo = item.fileName;
+    row['Arquivos Mesclados'] = (item.mergedFiles || []).join(', ');
+    row['Enviado por'] = describeUploader(item);
+    if (item.anonymized) row['Currículo Anonimizado'] = (item.redactedText || '').substring(0, MAX_CELL_CHARS);
+    return row;
+}
+
+function failureRow(failure, describeUploader) {
+    return {
+        ID: failure.jobId,
+        Arquivo: failure.fileName,
+        Status: STATUS_LABELS[failure.status] || failure.status,
+        Erro: failure.error,
+        Tentativas: failure.attempts,
+        'Enviado por': describeUploader(failure)
+    };
+}
+
+// Multi-sheet workbook: candidates, provenance, structured profile entries
+// and the jobs that failed with their errors
+export function buildWorkbook(XLSX, { results, failures = [], fields, structured, describeUploader = result => result.uploaderEmail || '' }) {
+    const rows = exportOrder(results);
+    const scored = rows.some(result => result.match);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(
+        safeRows(rows.map(item => resultRow(item, { fields, structured, scored, describeUploader })))
+    ), "Currículos Extraídos");
+
+    // One row per extracted value with its source, confidence and snippet
+    const provenanceRows = rows.flatMap(item => fields
+        .filter(field => item.review?.provenance?.[field.key] || (item.corrections && field.key in item.corrections))
+        .map(field => {
+            const provenance = item.review?.provenance?.[field.key];
+            const corrected = item.corrections && field.key in item.corrections;
+            return {
+                ID: item.jobId,
+                Candidato: item.nome || 'N/A',
+                Campo: field.label,
+                Valor: formatFieldValue(item[field.key], field),
+                Fonte: corrected ? 'Manual' : formatSource(provenance),
+                'Confiança': corrected ? '100%' : formatConfidence(provenance.confidence),
+                Trecho: corrected ? '' : provenance.snippet || ''
+            };
+        }));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(safeRows(provenanceRows), {
+        header: ['ID', 'Candidato', 'Campo', 'Valor', 'Fonte', 'Confiança', 'Trecho']
+    }), "Proveniência");
+
+    // Linked sheets: one row per entry, keyed by the candidate ID
+    if (structured) {
+        ['experiencias', 'formacao'].forEach(key => {
+            const section = PROFILE_SECTIONS[key];
+            const entries = rows.flatMap(item => (item[key] || []).map(entry => {
+                const row = { ID: item.jobId, Candidato: item.nome || 'N/A' };
+                section.fields.forEach(field => {
+                    row[field.label] = entry[field.key] || '';
+                });
+                return row;
+            }));
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(safeRows(entries), {
+                header: ['ID', 'Candidato', ...section.fields.map(field => field.label)]
+            }), section.label);
+        });
+    }
+
+    if (failures.length > 0) {
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(
+            safeRows(failures.map(failure => failureRow(failure, describeUploader)))
+        ), "Falhas");
+    }
+    return wb;
+}
+
+function csvCell(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(spreadsheetSafe(value));
+    return new RegExp(`["\\r\\n${delimiter === '\t' ? '\\t' : delimiter}]`).test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+}
+
+function encodeWindows1252(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        const high = CP1252_HIGH.indexOf(text[i]);
+        if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) bytes[i] = code;
+        else if (high !== -1) bytes[i] = 0x80 + high;
+        else bytes[i] = 0x3F; // "?" for characters Windows-1252 lacks
+    }
+    return bytes;
+}
+
+// Rows (objects) -> CSV bytes. The header is every column in first-seen order.
+export function toCsv(rows, { delimiter = ';', encoding = 'utf-8-bom' } = {}) {
+    if (!(delimiter in CSV_DELIMITERS)) throw new Error(`Unsupported CSV delimiter: ${JSON.stringify(delimiter)}`);
+    if (!(encoding in CSV_ENCODINGS)) throw new Error(`Unsupported CSV encoding: ${encoding}`);
+
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(column => {
+        if (!columns.includes(column)) columns.push(column);
+    }));
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(value => csvCell(value, delimiter)).join(delimiter));
+    const text = lines.join('\r\n') + '\r\n';
+
+    if (encoding === 'windows-1252') return encodeWindows1252(text);
+    return new TextEncoder().encode(encoding === 'utf-8-bom' ? `\uFEFF${text}` : text);
+}
+
+// One JSON object per line: candidates with their data, then failed jobs
+export function toJsonLines(results, failures = []) {
+    const lines = exportOrder(results).map(item => ({
+        id: item.jobId,
+        status: 'completed',
+        fileName: item.fileName,
+        batchId: item.batchId,
+        uploaderEmail: item.uploaderEmail,
+        data: Object.fromEntries(Object.entries(item).filter(([key]) => !RESULT_META_KEYS.has(key))),
+        match: item.match,
+        needsReview: item.review?.needsReview === true,
+        correctedFields: Object.keys(item.corrections || {}),
+        mergedFiles: item.mergedFiles,
+        ...(item.anonymized ? { candidateCode: item.candidateCode, redactedText: item.redactedText } : {})
+    }));
+    failures.forEach(failure => lines.push({
+        id: failure.jobId,
+        status: failure.status,
+        fileName: failure.fileName,
+        error: failure.error
+    }));
+    return lines.map(line => JSON.stringify(line)).join('\n') + (lines.length ? '\n' : '');
+}
+
+function vcardEscape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 6350)
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (encoder.encode(current + char).length > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function listOf(value) {
+    if (Array.isArray(value)) return value.filter(Boolean);
+    return value ? [value] : [];
+}
+
+// vCard 3.0, one card per candidate with a usable name
+export function toVCards(results) {
+    return exportOrder(results)
+        // Anonymized candidates have no contact details to export
+        .filter(item => !item.anonymized && !isEmptyFieldValue(item.nome, { key: 'nome' }))
+        .map(item => {
+            const names = String(item.nome).trim().split(/\s+/);
+            const family = names.length > 1 ? names.pop() : '';
+            const note = [
+                `Currículo: ${item.fileName}`,
+                item.match?.score !== undefined && item.match?.score !== null ? `Score: ${item.match.score}` : '',
+                item.anosExperiencia ? `Experiência: ${item.anosExperiencia} anos` : ''
+            ].filter(Boolean).join(' | ');
+            const lines = [
+                'BEGIN:VCARD',
+                'VERSION:3.0',
+                `N:${vcardEscape(family)};${vcardEscape(names.join(' '))};;;`,
+                `FN:${vcardEscape(item.nome)}`,
+                ...listOf(item.email).map(email => `EMAIL;TYPE=INTERNET:${vcardEscape(email)}`),
+                ...listOf(item.contatos).map(phone => {
+                    const parsed = parsePhone(phone);
+                    const type = parsed?.type === 'landline' ? 'VOICE' : 'CELL';
+                    return `TEL;TYPE=${type}:${vcardEscape(parsed?.e164 || phone)}`;
+                }),
+                `NOTE:${vcardEscape(note)}`,
+                'END:VCARD'
+            ];
+            return lines.map(foldLine).join('\r\n');
+        })
+        .join('\r\n') + '\r\n';
+}
+
+// { body, mimeType, extension } for a format; body is bytes (XLSX, CSV) or text
+export function renderExport(format, { results, failures = [], fields, structured, describeUploader, csv = {} }, XLSX) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unsupported export format: ${format}`);
+
+    let body;
+    if (format === 'xlsx') {
+        const wb = buildWorkbook(XLSX, { results, failures, fields, structured, describeUploader });
+        body = new Uint8Array(XLSX.write(wb, { type: 'array', bookType: 'xlsx' }));
+    } else if (format === 'csv') {
+        const scored = results.some(result => result.match);
+        body = toCsv(exportOrder(results).map(item => resultRow(item, { fields, structured, scored, describeUploader })), csv);
+    } else if (format === 'jsonl') {
+        body = toJsonLines(results, failures);
+    } else {
+        body = toVCards(results);
+    }
+
+    const charset = format === 'csv' && csv.encoding === 'windows-1252' ? 'windows-1252' : 'utf-8';
+    return {
+        body,
+        mimeType: format === 'xlsx' ? spec.mimeType : `${spec.mimeType}; charset=${charset}`,
+        extension: spec.extension
+    };
+}
+
+export function exportFileName(name, extension, date = new Date()) {
+    const slug = name ? `${slugifyFieldKey(name)}_` : '';
+    return `curriculos_${slug}${date.toISOString().slice(0, 10)}.${extension}`;
+}
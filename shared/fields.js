@@ -0,0 +1,159 @@
+// shared/fields.js
+// Extraction field definitions shared by the browser (index.html) and the API
+// functions. Keep this module free of Node and DOM dependencies.
+
+export const FIELD_TYPES = ['string', 'number', 'boolean', 'list', 'date'];
+
+export const FIELD_TYPE_LABELS = {
+    string: 'Texto',
+    number: 'Número',
+    boolean: 'Sim/Não',
+    list: 'Lista',
+    date: 'Data'
+};
+
+// Built-in fields; "nome" is always extracted
+export const DEFAULT_FIELDS = [
+    {
+        key: 'nome',
+        label: 'Nome',
+        type: 'string',
+        instructions: 'Nome completo do candidato.',
+        required: true
+    },
+    {
+        key: 'idade',
+        label: 'Idade',
+        type: 'number',
+        instructions: 'Procure por "X anos" ou calcule a partir da data de nascimento.'
+    },
+    {
+        key: 'email',
+        label: 'Email',
+        type: 'string',
+        instructions: 'Endereço de email principal, em minúsculas.'
+    },
+    {
+        key: 'contatos',
+        label: 'Contatos',
+        type: 'list',
+        instructions: 'Telefones no formato (DD) 9XXXX-XXXX.'
+    }
+];
+
+// Stored in "nome" when no name could be found
+export const NAME_PLACEHOLDER = 'Nome não identificado';
+
+export const DEFAULT_TEMPLATE = {
+    id: 'default',
+    name: 'Padrão (Nome, Idade, Email, Contatos)',
+    fields: DEFAULT_FIELDS
+};
+
+// Build a stable key from a display label ("Cidade/UF" -> "cidade_uf")
+export function slugifyFieldKey(label) {
+    return String(label || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .substring(0, 40);
+}
+
+// Validate field definitions coming from the client or Firestore.
+// Guarantees "nome" is present and keys are unique.
+export function normalizeFields(fields) {
+    const normalized = [];
+    const seen = new Set();
+
+    for (const field of Array.isArray(fields) ? fields : []) {
+        const label = String(field?.label || field?.key || '').trim();
+        const key = field?.key ? slugifyFieldKey(field.key) : slugifyFieldKey(label);
+        if (!key || seen.has(key)) continue;
+
+        seen.add(key);
+        normalized.push({
+            key,
+            label: label || key,
+            type: FIELD_TYPES.includes(field.type) ? field.type : 'string',
+            instructions: String(field.instructions || '').trim().substring(0, 500),
+            ...(key === 'nome' || field.required ? { required: true } : {})
+        });
+    }
+
+    if (!seen.has('nome')) {
+        normalized.unshift({ ...DEFAULT_FIELDS[0] });
+    }
+
+    return normalized;
+}
+
+// Legacy jobs only carry "selectedFields" keys; map them to full definitions
+export function fieldsFromKeys(keys) {
+    const selected = Array.isArray(keys) ? keys : [];
+    return DEFAULT_FIELDS.filter(field => field.key === 'nome' || selected.includes(field.key));
+}
+
+// "Empty" value per type, used when nothing is found
+export function emptyValue(field) {
+    switch (field.type) {
+        case 'number': return 0;
+        case 'boolean': return null;
+        case 'list': return [];
+        default: return '';
+    }
+}
+
+// True when a value carries no information (zero counts as empty for numbers,
+// matching emptyValue, and the name placeholder as empty for "nome")
+export function isEmptyFieldValue(value, field) {
+    if (value === undefined || value === null || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (field?.type === 'number') return value === 0;
+    if (field?.key === 'nome') return value === NAME_PLACEHOLDER;
+    return false;
+}
+
+// Coerce an extractor's raw value to the field's declared type
+export function coerceFieldValue(value, field) {
+    if (value === undefined || value === null) return emptyValue(field);
+
+    switch (field.type) {
+        case 'number': {
+            if (typeof value === 'number') return Number.isFinite(value) ? value : 0;
+            const parsed = parseFloat(String(value).replace(/[^\d,.-]/g, '').replace(/\.(?=\d{3}\b)/g, '').replace(',', '.'));
+            return Number.isFinite(parsed) ? parsed : 0;
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).trim().toLowerCase();
+            if (/^(sim|s|yes|true|1)$/.test(text)) return true;
+            if (/^(n[aã]o|n|no|false|0)$/.test(text)) return false;
+            return null;
+        }
+        case 'list':
+            if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+            return String(value).split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+        case 'date':
+            return String(value).trim();
+        default:
+            return typeof value === 'string' ? value.trim() : String(value);
+    }
+}
+
+// Format a value for the results table and the Excel export
+export function formatFieldValue(value, field) {
+    if (value === undefined || value === null || value === '') return 'N/A';
+
+    switch (field.type) {
+        case 'number':
+            return value === 0 ? 'N/A' : String(value);
+        case 'boolean':
+            return value === true ? 'Sim' : value === false ? 'Não' : 'N/A';
+        case 'list':
+            return Array.isArray(value) && value.length > 0 ? value.join(', ') : 'N/A';
+        default:
+            return String(value);
+    }
+}
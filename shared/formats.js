@@ -0,0 +1,266 @@
+// shared/formats.js
+// Resume file format detection and text conversion for non-PDF documents.
+// Pure string/byte handling so it runs in the browser and in the API functions.
+
+export const SUPPORTED_FORMATS = ['pdf', 'docx', 'odt', 'rtf', 'html', 'txt', 'image'];
+
+export const FORMAT_LABELS = {
+    pdf: 'PDF',
+    docx: 'Word (DOCX)',
+    odt: 'OpenDocument (ODT)',
+    rtf: 'RTF',
+    html: 'HTML',
+    txt: 'Texto',
+    image: 'Imagem',
+    doc: 'Word 97-2003 (DOC)',
+    zip: 'ZIP',
+    unknown: 'Desconhecido'
+};
+
+// Extensions offered by the file picker
+export const ACCEPTED_EXTENSIONS = ['.pdf', '.docx', '.odt', '.rtf', '.txt', '.html', '.htm', '.png', '.jpg', '.jpeg', '.webp', '.bmp'];
+
+export class FileExtractionError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'FileExtractionError';
+        this.code = code;
+    }
+}
+
+function startsWith(bytes, signature, offset = 0) {
+    if (bytes.length < offset + signature.length) return false;
+    return signature.every((byte, i) => bytes[offset + i] === byte);
+}
+
+function asciiAt(bytes, text, offset = 0) {
+    return startsWith(bytes, Array.from(text, char => char.charCodeAt(0)), offset);
+}
+
+function extensionOf(fileName) {
+    const match = String(fileName || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match ? match[1] : '';
+}
+
+// Identify a file by its leading bytes, falling back to the extension only to
+// tell HTML from plain text. ZIP containers are resolved later by resolveZipFormat.
+export function sniffFormat(bytes, fileName = '') {
+    if (asciiAt(bytes, '%PDF')) return 'pdf';
+    if (startsWith(bytes, [0x50, 0x4B, 0x03, 0x04])) return 'zip';
+    if (asciiAt(bytes, '{\\rtf')) return 'rtf';
+    if (startsWith(bytes, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return 'doc';
+    if (startsWith(bytes, [0x89, 0x50, 0x4E, 0x47])
+        || startsWith(bytes, [0xFF, 0xD8, 0xFF])
+        || asciiAt(bytes, 'GIF8')
+        || (asciiAt(bytes, 'BM') && [12, 40, 56, 108, 124].includes(bytes[14]))
+        || (asciiAt(bytes, 'RIFF') && asciiAt(bytes, 'WEBP', 8))
+        || startsWith(bytes, [0x49, 0x49, 0x2A, 0x00])
+        || startsWith(bytes, [0x4D, 0x4D, 0x00, 0x2A])) {
+        return 'image';
+    }
+
+    if (!looksLikeText(bytes)) return 'unknown';
+
+    const head = decodeText(bytes.subarray(0, 1024)).toLowerCase();
+    const extension = extensionOf(fileName);
+    if (extension === 'html' || extension === 'htm' || /<!doctype html|<html[\s>]|<body[\s>]/.test(head)) {
+        return 'html';
+    }
+    return 'txt';
+}
+
+// Decide between DOCX and ODT from the archive entries
+export function resolveZipFormat(entryNames, mimetype = '') {
+    if (entryNames.includes('word/document.xml')) return 'docx';
+    if (mimetype.trim() === 'application/vnd.oasis.opendocument.text' || entryNames.includes('content.xml')) return 'odt';
+    return 'zip';
+}
+
+function looksLikeText(bytes) {
+    const sample = bytes.subarray(0, 4096);
+    if (sample.length === 0) return false;
+    // UTF-16 files start with a BOM and are full of NUL bytes
+    if (startsWith(sample, [0xFF, 0xFE]) || startsWith(sample, [0xFE, 0xFF])) return true;
+
+    let control = 0;
+    for (const byte of sample) {
+        if (byte === 0) return false;
+        if (byte < 0x09 || (byte > 0x0D && byte < 0x20)) control++;
+    }
+    return control / sample.length < 0.05;
+}
+
+// UTF-8 when valid, Windows-1252 otherwise (common for files saved on Windows)
+export function decodeText(bytes) {
+    if (startsWith(bytes, [0xFF, 0xFE])) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+    if (startsWith(bytes, [0xFE, 0xFF])) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+    try {
+        return new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(bytes);
+    } catch {
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+}
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    aacute: 'á', agrave: 'à', acirc: 'â', atilde: 'ã', eacute: 'é', ecirc: 'ê',
+    iacute: 'í', oacute: 'ó', ocirc: 'ô', otilde: 'õ', uacute: 'ú', ccedil: 'ç',
+    Aacute: 'Á', Agrave: 'À', Acirc: 'Â', Atilde: 'Ã', Eacute: 'É', Ecirc: 'Ê',
+    Iacute: 'Í', Oacute: 'Ó', Ocirc: 'Ô', Otilde: 'Õ', Uacute: 'Ú', Ccedil: 'Ç',
+    ordm: 'º', ordf: 'ª', bull: '•', middot: '·', ndash: '–', mdash: '—'
+};
+
+export function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+        }
+        return NAMED_ENTITIES[code] ?? entity;
+    });
+}
+
+function tidyText(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t ]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// word/document.xml -> text, one line per paragraph
+export function docxXmlToText(xml) {
+    const text = xml
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:(?:br|cr)\/>/g, '\n')
+        .replace(/<\/w:p>/g, '\n')
+        .replace(/<[^>]+>/g, '');
+    return tidyText(decodeEntities(text));
+}
+
+// content.xml of an ODT document -> text, one line per paragraph/heading
+export function odtXmlToText(xml) {
+    const text = xml
+        .replace(/<office:annotation[\s\S]*?<\/office:annotation>/g, '')
+        .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (_, count) => ' '.repeat(parseInt(count || '1')))
+        .replace(/<text:tab\s*\/>/g, '\t')
+        .replace(/<text:line-break\s*\/>/g, '\n')
+        .replace(/<\/text:(?:p|h)>/g, '\n')
+        .replace(/<[^>]+>/g, '');
+    return tidyText(decodeEntities(text));
+}
+
+export function htmlToText(html) {
+    const text = html
+        .replace(/<(script|style|head|noscript)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|h[1-6]|tr|section|article|header|footer|ul|ol|table)>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '• ')
+        .replace(/<(td|th)[^>]*>/gi, ' ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/[ \t]+/g, ' ');
+    return tidyText(decodeEntities(text));
+}
+
+// RTF destinations whose content is not document text
+const RTF_SKIP_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+    'headerl', 'headerr', 'footerl', 'footerr', 'listtable', 'listoverridetable',
+    'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles',
+    'datastore', 'filetbl', 'revtbl', 'pgdsctbl'
+]);
+
+// Windows-1252 characters for bytes 0x80-0x9F
+export const CP1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+function cp1252Char(code) {
+    if (code >= 0x80 && code <= 0x9F) return CP1252_HIGH[code - 0x80];
+    return String.fromCharCode(code);
+}
+
+export function rtfToText(rtf) {
+    const stack = [];
+    let skip = false;
+    let ucSkip = 1;
+    let pendingSkip = 0;
+    let out = '';
+    let i = 0;
+
+    const emit = (text) => {
+        if (skip) return;
+        if (pendingSkip > 0) {
+            const dropped = Math.min(pendingSkip, text.length);
+            pendingSkip -= dropped;
+            text = text.slice(dropped);
+        }
+        out += text;
+    };
+
+    while (i < rtf.length) {
+        const char = rtf[i];
+
+        if (char === '{') {
+            stack.push({ skip, ucSkip });
+            i++;
+            // "{\*\destination ...}" marks an ignorable destination
+            if (rtf.startsWith('\\*', i)) skip = true;
+            continue;
+        }
+        if (char === '}') {
+            ({ skip, ucSkip } = stack.pop() || { skip: false, ucSkip: 1 });
+            i++;
+            continue;
+        }
+        if (char === '\\') {
+            const next = rtf[i + 1];
+            if (next === '\\' || next === '{' || next === '}') {
+                emit(next);
+                i += 2;
+                continue;
+            }
+            if (next === '\'') {
+                emit(cp1252Char(parseInt(rtf.substr(i + 2, 2), 16)));
+                i += 4;
+                continue;
+            }
+            if (next === '~') { emit(' '); i += 2; continue; }
+            if (next === '-' || next === '_') { i += 2; continue; }
+            if (next === '\n' || next === '\r') { emit('\n'); i += 2; continue; }
+
+            const match = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i, i + 40));
+            if (!match) { i++; continue; }
+            const [token, word, param] = match;
+            i += token.length;
+
+            if (RTF_SKIP_DESTINATIONS.has(word)) {
+                skip = true;
+            } else if (word === 'par' || word === 'line' || word === 'row') {
+                emit('\n');
+            } else if (word === 'tab' || word === 'cell') {
+                emit('\t');
+            } else if (word === 'uc') {
+                ucSkip = parseInt(param || '1');
+            } else if (word === 'u') {
+                let code = parseInt(param);
+                if (code < 0) code += 65536;
+                emit(String.fromCharCode(code));
+                pendingSkip = ucSkip;
+            } else if (word === 'emdash') {
+                emit('—');
+            } else if (word === 'endash') {
+                emit('–');
+            } else if (word === 'bullet') {
+                emit('•');
+            }
+            continue;
+        }
+        if (char === '\r' || char === '\n') {
+            i++;
+            continue;
+        }
+        emit(char);
+        i++;
+    }
+
+    return tidyText(out);
+}
@@ -0,0 +1,88 @@
+// shared/phones.js
+// Phone number parsing: Brazilian numbers validated by DDD and classified as
+// mobile or landline, international numbers kept in E.164.
+
+// Area codes in use in Brazil (Anatel)
+export const VALID_DDDS = new Set([
+    11, 12, 13, 14, 15, 16, 17, 18, 19,
+    21, 22, 24, 27, 28,
+    31, 32, 33, 34, 35, 37, 38,
+    41, 42, 43, 44, 45, 46, 47, 48, 49,
+    51, 53, 54, 55,
+    61, 62, 63, 64, 65, 66, 67, 68, 69,
+    71, 73, 74, 75, 77, 79,
+    81, 82, 83, 84, 85, 86, 87, 88, 89,
+    91, 92, 93, 94, 95, 96, 97, 98, 99
+]);
+
+// Returns { e164, display, type: 'mobile'|'landline'|'international', ddd }
+// or null when the digits do not form a valid number.
+export function parsePhone(raw) {
+    const text = String(raw || '').trim();
+    let digits = text.replace(/\D/g, '');
+    const international = text.startsWith('+') || text.startsWith('00');
+
+    if (text.startsWith('00')) digits = digits.slice(2);
+
+    if (international && !digits.startsWith('55')) {
+        if (digits.length < 8 || digits.length > 15) return null;
+        return { e164: `+${digits}`, display: `+${digits}`, type: 'international', ddd: null };
+    }
+
+    if (digits.startsWith('55') && (digits.length === 12 || digits.length === 13)) {
+        digits = digits.slice(2);
+    } else if (digits.startsWith('0') && (digits.length === 13 || digits.length === 14)) {
+        digits = digits.slice(3); // Long-distance carrier prefix: 0 + carrier + DDD
+    } else if (digits.startsWith('0') && (digits.length === 11 || digits.length === 12)) {
+        digits = digits.slice(1); // Trunk prefix: 0 + DDD
+    }
+
+    if (digits.length !== 10 && digits.length !== 11) return null;
+
+    const ddd = parseInt(digits.slice(0, 2));
+    if (!VALID_DDDS.has(ddd)) return null;
+
+    let number = digits.slice(2);
+    let type;
+    if (number.length === 9) {
+        if (number[0] !== '9') return null;
+        type = 'mobile';
+    } else if ('2345'.includes(number[0])) {
+        type = 'landline';
+    } else if ('6789'.includes(number[0])) {
+        // Old 8-digit mobile numbers gained a leading 9 in 2016
+        number = `9${number}`;
+        type = 'mobile';
+    } else {
+        return null;
+    }
+
+    const display = type === 'mobile'
+        ? `(${ddd}) ${number.slice(0, 5)}-${number.slice(5)}`
+        : `(${ddd}) ${number.slice(0, 4)}-${number.slice(4)}`;
+
+    return { e164: `+55${ddd}${number}`, display, type, ddd };
+}
+
+export function toE164(raw) {
+    return parsePhone(raw)?.e164 || null;
+}
+
+const PHONE_CANDIDATE = /(?:\+|00)?\d[\d\s().-]{7,19}\d/g;
+// CPF, dates and year ranges look like phone numbers to the pattern above
+const NOT_A_PHONE = /^\d{3}\.\d{3}\.\d{3}-\d{2}$|^\d{1,2}[\/.-]\d{1,2}[\/.-]\d{2,4}$|^(19|20)\d{2}\s*[-–]\s*(19|20)\d{2}$/;
+
+// All distinct phone numbers in a text, mobiles first
+export function findPhones(text) {
+    const found = new Map();
+    for (const match of String(text || '').matchAll(PHONE_CANDIDATE)) {
+        const candidate = match[0].trim();
+        if (NOT_A_PHONE.test(candidate)) continue;
+        const phone = parsePhone(candidate);
+        if (phone && !found.has(phone.e164)) {
+            found.set(phone.e164, { ...phone, index: match.index, raw: candidate });
+        }
+    }
+    const order = { mobile: 0, landline: 1, international: 2 };
+    return [...found.values()].sort((a, b) => order[a.type] - order[b.type] || a.index - b.index);
+}
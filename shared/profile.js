@@ -0,0 +1,223 @@
+// shared/profile.js
+// Structured resume sections (work history, education, languages, skills)
+// shared by the API and the browser. Keep this module free of Node and DOM dependencies.
+
+export const PROFILE_SECTIONS = {
+    experiencias: {
+        label: 'Experiências',
+        instructions: 'Each job held, most recent first. Dates as MM/YYYY; use "atual" for the current job.',
+        fields: [
+            { key: 'empresa', label: 'Empresa' },
+            { key: 'cargo', label: 'Cargo' },
+            { key: 'inicio', label: 'Início' },
+            { key: 'fim', label: 'Fim' },
+            { key: 'descricao', label: 'Descrição' }
+        ]
+    },
+    formacao: {
+        label: 'Formação',
+        instructions: 'Education entries. "nivel" is one of: fundamental, médio, técnico, tecnólogo, graduação, pós-graduação, mestrado, doutorado. "conclusao" as MM/YYYY or YYYY; use "em andamento" if not finished.',
+        fields: [
+            { key: 'instituicao', label: 'Instituição' },
+            { key: 'curso', label: 'Curso' },
+            { key: 'nivel', label: 'Nível' },
+            { key: 'conclusao', label: 'Conclusão' }
+        ]
+    },
+    idiomas: {
+        label: 'Idiomas',
+        instructions: 'Languages spoken. "nivel" is one of: básico, intermediário, avançado, fluente, nativo.',
+        fields: [
+            { key: 'idioma', label: 'Idioma' },
+            { key: 'nivel', label: 'Nível' }
+        ]
+    }
+};
+
+export const SKILLS_INSTRUCTIONS = 'Technical and professional skills, one short term per item.';
+
+const MONTHS = {
+    jan: 1, fev: 2, feb: 2, mar: 3, abr: 4, apr: 4, mai: 5, may: 5, jun: 6,
+    jul: 7, ago: 8, aug: 8, set: 9, sep: 9, out: 10, oct: 10, nov: 11, dez: 12, dec: 12
+};
+
+const CURRENT_MARKERS = /^(atual|atualmente|presente|hoje|o momento|até o momento|current|present|now|em andamento|cursando)$/i;
+
+const LANGUAGE_LEVELS = [
+    ['nativo', /nativ|native|materna/i],
+    ['fluente', /fluen|proficien/i],
+    ['avançado', /avan[cç]|advanced|c1|c2/i],
+    ['intermediário', /intermedi|b1|b2/i],
+    ['básico', /b[aá]sic|basic|iniciante|beginner|a1|a2/i]
+];
+
+const SKILL_ALIASES = {
+    'js': 'JavaScript',
+    'javascript': 'JavaScript',
+    'ts': 'TypeScript',
+    'typescript': 'TypeScript',
+    'reactjs': 'React',
+    'react.js': 'React',
+    'react': 'React',
+    'node': 'Node.js',
+    'nodejs': 'Node.js',
+    'node.js': 'Node.js',
+    'excel': 'Excel',
+    'ms excel': 'Excel',
+    'microsoft excel': 'Excel',
+    'pacote office': 'Pacote Office',
+    'ms office': 'Pacote Office',
+    'microsoft office': 'Pacote Office',
+    'power bi': 'Power BI',
+    'powerbi': 'Power BI',
+    'sql': 'SQL',
+    'python': 'Python',
+    'java': 'Java',
+    'sap': 'SAP',
+    'git': 'Git',
+    'html': 'HTML',
+    'html5': 'HTML',
+    'css': 'CSS',
+    'css3': 'CSS'
+};
+
+// Parse "03/2019", "2019-03", "mar/2019", "março de 2019" or "2019" into
+// { year, month }. Returns { current: true } for "atual" and friends.
+export function parseMonth(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+    if (CURRENT_MARKERS.test(text)) return { current: true };
+
+    let match = text.match(/^(\d{1,2})[\/.-](\d{4})$/);
+    if (match) return { year: parseInt(match[2]), month: clampMonth(parseInt(match[1])) };
+
+    match = text.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?$/);
+    if (match) return { year: parseInt(match[1]), month: clampMonth(parseInt(match[2])) };
+
+    match = text.match(/^([a-zç]{3})[a-zç]*\.?(?:\s*(?:de|\/|-)\s*|\s+)(\d{4})$/);
+    if (match && MONTHS[match[1]]) return { year: parseInt(match[2]), month: MONTHS[match[1]] };
+
+    match = text.match(/^(\d{4})$/);
+    if (match) return { year: parseInt(match[1]), month: null };
+
+    return null;
+}
+
+function clampMonth(month) {
+    return month >= 1 && month <= 12 ? month : null;
+}
+
+function formatMonth(parsed, fallback) {
+    if (!parsed) return String(fallback || '').trim();
+    if (parsed.current) return 'atual';
+    return parsed.month ? `${String(parsed.month).padStart(2, '0')}/${parsed.year}` : String(parsed.year);
+}
+
+function toMonthIndex(parsed, now, isEnd) {
+    if (!parsed) return null;
+    if (parsed.current) return now.getFullYear() * 12 + now.getMonth();
+    // Year-only dates count from January (start) or through December (end)
+    const month = parsed.month || (isEnd ? 12 : 1);
+    return parsed.year * 12 + (month - 1);
+}
+
+// Total years of experience, merging overlapping jobs so concurrent
+// positions are not counted twice. Entries without a start date are ignored.
+export function computeExperienceYears(experiencias, now = new Date()) {
+    const intervals = [];
+
+    for (const exp of Array.isArray(experiencias) ? experiencias : []) {
+        const start = toMonthIndex(parseMonth(exp.inicio), now, false);
+        // An empty end date means the job is still ongoing
+        const end = toMonthIndex(exp.fim ? parseMonth(exp.fim) : { current: true }, now, true);
+        if (start === null || end === null || end < start) continue;
+        intervals.push([start, end + 1]);
+    }
+
+    intervals.sort((a, b) => a[0] - b[0]);
+
+    let months = 0;
+    let currentStart = null;
+    let currentEnd = null;
+    for (const [start, end] of intervals) {
+        if (currentEnd === null || start > currentEnd) {
+            if (currentEnd !== null) months += currentEnd - currentStart;
+            currentStart = start;
+            currentEnd = end;
+        } else {
+            currentEnd = Math.max(currentEnd, end);
+        }
+    }
+    if (currentEnd !== null) months += currentEnd - currentStart;
+
+    return Math.round((months / 12) * 10) / 10;
+}
+
+export function normalizeLanguageLevel(level) {
+    const text = String(level || '');
+    const found = LANGUAGE_LEVELS.find(([, pattern]) => pattern.test(text));
+    return found ? found[0] : text.trim().toLowerCase();
+}
+
+export function normalizeSkill(skill) {
+    const text = String(skill || '').replace(/^[\s•·\-*]+|[\s.;]+$/g, '').trim();
+    if (!text) return '';
+    const alias = SKILL_ALIASES[text.toLowerCase()];
+    if (alias) return alias;
+    // Keep acronyms as written; capitalize the first letter otherwise
+    return text === text.toUpperCase() ? text : text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+export function normalizeSkills(skills) {
+    const seen = new Set();
+    const normalized = [];
+    for (const skill of Array.isArray(skills) ? skills : []) {
+        const value = normalizeSkill(skill);
+        const key = value.toLowerCase();
+        if (value && !seen.has(key)) {
+            seen.add(key);
+            normalized.push(value);
+        }
+    }
+    return normalized;
+}
+
+function cleanEntries(entries, section) {
+    return (Array.isArray(entries) ? entries : [])
+        .map(entry => {
+            const clean = {};
+            section.fields.forEach(({ key }) => {
+                clean[key] = String(entry?.[key] ?? '').trim();
+            });
+            return clean;
+        })
+        .filter(entry => Object.values(entry).some(Boolean));
+}
+
+// Normalize the structured part of an extraction result and compute
+// "anosExperiencia" from the work history date ranges.
+export function normalizeProfile(raw, now = new Date()) {
+    const experiencias = cleanEntries(raw?.experiencias, PROFILE_SECTIONS.experiencias)
+        .map(exp => ({
+            ...exp,
+            inicio: formatMonth(parseMonth(exp.inicio), exp.inicio),
+            fim: formatMonth(parseMonth(exp.fim), exp.fim)
+        }));
+    const formacao = cleanEntries(raw?.formacao, PROFILE_SECTIONS.formacao);
+    const idiomas = cleanEntries(raw?.idiomas, PROFILE_SECTIONS.idiomas)
+        .map(lang => ({ ...lang, nivel: normalizeLanguageLevel(lang.nivel) }));
+
+    return {
+        experiencias,
+        formacao,
+        idiomas,
+        habilidades: normalizeSkills(raw?.habilidades),
+        anosExperiencia: computeExperienceYears(experiencias, now)
+    };
+}
+
+export function formatLanguages(idiomas) {
+    return (Array.isArray(idiomas) ? idiomas : [])
+        .map(lang => lang.nivel ? `${lang.idioma} (${lang.nivel})` : lang.idioma)
+        .join(', ');
+}
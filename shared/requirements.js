@@ -0,0 +1,71 @@
+// shared/requirements.js
+// Job requirements a batch is scored against, and how match scores are shown.
+// Used by the page (form, table, Excel) and by lib/scoring.js.
+
+const MAX_SKILLS = 30;
+const MAX_TEXT = 200;
+
+export const SCORER_LABELS = {
+    llm: 'IA',
+    keywords: 'Palavras-chave'
+};
+
+function toList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(/[,;\n]/);
+    const seen = new Set();
+    return items
+        .map(item => String(item).trim().substring(0, MAX_TEXT))
+        .filter(item => {
+            const key = item.toLowerCase();
+            if (!item || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, MAX_SKILLS);
+}
+
+function toNumber(value, min, max) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) return null;
+    return Math.min(max, Math.max(min, number));
+}
+
+// Clean requirements from the form or Firestore; null when nothing is set.
+// The age range is only kept when ageFilterAllowed is set: age criteria are
+// only lawful for specific programmes (e.g. Jovem Aprendiz).
+export function normalizeRequirements(input) {
+    if (!input || typeof input !== 'object') return null;
+    const ageFilterAllowed = input.ageFilterAllowed === true;
+    const requirements = {
+        description: String(input.description || '').trim().substring(0, 2000),
+        requiredSkills: toList(input.requiredSkills),
+        niceToHaveSkills: toList(input.niceToHaveSkills),
+        minExperienceYears: toNumber(input.minExperienceYears, 0, 50),
+        location: String(input.location || '').trim().substring(0, MAX_TEXT),
+        ageFilterAllowed,
+        ageMin: ageFilterAllowed ? toNumber(input.ageMin, 14, 100) : null,
+        ageMax: ageFilterAllowed ? toNumber(input.ageMax, 14, 100) : null
+    };
+    const empty = !requirements.description
+        && requirements.requiredSkills.length === 0
+        && requirements.niceToHaveSkills.length === 0
+        && requirements.minExperienceYears === null
+        && !requirements.location
+        && requirements.ageMin === null
+        && requirements.ageMax === null;
+    return empty ? null : requirements;
+}
+
+export function formatScore(match) {
+    return typeof match?.score === 'number' ? `${Math.round(match.score)}` : 'N/A';
+}
+
+export function describeMatch(match) {
+    if (!match) return '';
+    const parts = [];
+    if (match.matched?.length) parts.push(`Atende: ${match.matched.join(', ')}`);
+    if (match.missing?.length) parts.push(`Faltam: ${match.missing.join(', ')}`);
+    if (match.justification) parts.push(match.justification);
+    return parts.join('\n');
+}
@@ -0,0 +1,16 @@
+// shared/retention.js
+// Expiry stamped on a job when it is queued, by the page and by the API.
+// The workspace's text retention (lib/retention.js) starts when the job
+// finishes; until then the raw text is kept at most UNFINISHED_TEXT_DAYS,
+// so a job left paused or stuck does not hold it forever.
+
+export const UNFINISHED_TEXT_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Milliseconds at which a new job's raw text expires; expiresAtMillis is the
+// job's data expiry, or null for jobs without a batch
+export function initialTextExpiry(expiresAtMillis, now = Date.now()) {
+    const limit = now + UNFINISHED_TEXT_DAYS * DAY_MS;
+    return expiresAtMillis ? Math.min(expiresAtMillis, limit) : limit;
+}
@@ -0,0 +1,69 @@
+// shared/review.js
+// Per-field provenance labels and the "needs review" decision. The API stores
+// the result on each job; the results table and the Excel export read it.
+//
+// Provenance entry per field: { source: 'llm'|'regex', ocr, confidence, snippet }
+// where "ocr" marks values read from OCR text and confidence is 0..1.
+import { NAME_PLACEHOLDER, isEmptyFieldValue } from './fields.js';
+
+export const SOURCE_LABELS = {
+    llm: 'IA',
+    regex: 'Regras'
+};
+
+// Values below this confidence are highlighted and count as low confidence
+export const LOW_CONFIDENCE = 0.6;
+
+export const REVIEW_REASON_LABELS = {
+    name_placeholder: 'Nome não identificado',
+    required_empty: 'Campo obrigatório vazio',
+    disagreement: 'IA e regras divergem'
+};
+
+export function formatSource(provenance) {
+    if (!provenance) return '';
+    const label = SOURCE_LABELS[provenance.source] || provenance.source;
+    return provenance.ocr ? `${label} (OCR)` : label;
+}
+
+export function formatConfidence(confidence) {
+    return typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : 'N/A';
+}
+
+// A job needs review when the name is the placeholder, a required field is
+// empty, or the LLM and the rule-based extractor disagree on a field.
+export function assessReview(data, fields, disagreements = []) {
+    const reasons = [];
+    if (!data?.nome || data.nome === NAME_PLACEHOLDER) {
+        reasons.push({ code: 'name_placeholder', field: 'nome' });
+    }
+    fields.forEach(field => {
+        if (field.required && field.key !== 'nome' && isEmptyFieldValue(data?.[field.key], field)) {
+            reasons.push({ code: 'required_empty', field: field.key });
+        }
+    });
+    disagreements.forEach(({ field, llm, regex }) => {
+        reasons.push({ code: 'disagreement', field, llm, regex });
+    });
+    return { needsReview: reasons.length > 0, reasons };
+}
+
+// Lowest confidence among the fields that have a value, or null
+export function minConfidence(provenance) {
+    const values = Object.values(provenance || {})
+        .map(entry => entry?.confidence)
+        .filter(confidence => typeof confidence === 'number');
+    return values.length ? Math.min(...values) : null;
+}
+
+export function describeReviewReason(reason, fields = []) {
+    const label = REVIEW_REASON_LABELS[reason.code] || reason.code;
+    if (reason.code === 'name_placeholder') return label;
+    const fieldLabel = fields.find(field => field.key === reason.field)?.label || reason.field;
+    if (reason.code === 'disagreement') {
+        // Anonymized jobs keep the field name only
+        if (reason.llm === undefined) return `${label} em ${fieldLabel}`;
+        return `${label} em ${fieldLabel}: "${reason.llm}" × "${reason.regex}"`;
+    }
+    return `${label}: ${fieldLabel}`;
+}
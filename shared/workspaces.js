@@ -0,0 +1,25 @@
+// shared/workspaces.js
+// Workspace roles and what each one may do. The API and the page use the
+// same table; firestore.rules mirrors it for direct Firestore access.
+
+export const ROLES = ['admin', 'recruiter', 'viewer'];
+
+export const ROLE_LABELS = {
+    admin: 'Administrador',
+    recruiter: 'Recrutador',
+    viewer: 'Visualizador'
+};
+
+export const PERMISSIONS = {
+    view: ['admin', 'recruiter', 'viewer'],
+    upload: ['admin', 'recruiter'],
+    correct: ['admin', 'recruiter'],
+    delete: ['admin'],
+    manage: ['admin'],
+    // Identity behind a candidate code of an anonymized run
+    reveal: ['admin']
+};
+
+export function can(role, permission) {
+    return Boolean(role) && (PERMISSIONS[permission] || []).includes(role);
+}
@@ -0,0 +1,101 @@
+// test/anonymize.test.js
+// Blind-hiring runs (lib/anonymize.js): nothing that identifies the candidate
+// may reach the job document every workspace member reads. runJob writes the
+// identity to Firestore and is skipped without FIRESTORE_EMULATOR_HOST; run
+// it with npm run test:emulator.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { anonymizeExtraction, identityRef } from '../lib/anonymize.js';
+import { runJob } from '../lib/worker.js';
+import { hashText, anonymousToken } from '../lib/dedupe.js';
+import { createMockProvider } from '../lib/llm/mock.js';
+import { DEFAULT_FIELDS } from '../shared/fields.js';
+
+const emulator = process.env.FIRESTORE_EMULATOR_HOST;
+// Anonymized jobs hash their tokens with this key
+process.env.ANON_TOKEN_SECRET ||= 'segredo-de-teste';
+
+const RESUME = `Joana Maria Pereira
+Campinas/SP
+E-mail: joana.pereira@exemplo.com
+Celular: (19) 99876-5432
+Experiência em atendimento ao cliente e vendas.
+`;
+
+const IDENTITY_STRINGS = ['Joana', 'Pereira', 'joana.pereira@exemplo.com', '99876'];
+
+function assertNoIdentity(value) {
+    const serialized = JSON.stringify(value);
+    IDENTITY_STRINGS.forEach(identity => assert.ok(!serialized.includes(identity), `${identity} found in ${serialized}`));
+}
+
+// The mock provider reads the name differently from the rule-based extractor
+function disagreeingProvider() {
+    const mock = createMockProvider({});
+    return {
+        ...mock,
+        async generate(request) {
+            const answer = await mock.generate(request);
+            if (request.task !== 'score' && 'nome' in answer.data) answer.data.nome = 'Joana P. Pereira';
+            return answer;
+        }
+    };
+}
+
+describe('anonymizeExtraction', () => {
+    it('keeps only the field names of review reasons and conflicts', () => {
+        const reviewReasons = [{ code: 'disagreement', field: 'nome', llm: 'Joana P. Pereira', regex: 'Joana Maria Pereira' }];
+        const conflicts = [{ field: 'email', kept: 'joana.pereira@exemplo.com', discarded: 'joana@exemplo.com' }];
+
+        const blind = anonymizeExtraction({
+            data: { nome: 'Joana Maria Pereira', email: 'joana.pereira@exemplo.com' },
+            text: RESUME,
+            candidateCode: 'C-ABC234',
+            reviewReasons,
+            conflicts
+        });
+
+        assert.deepEqual(blind.reviewReasons, [{ code: 'disagreement', field: 'nome' }]);
+        assert.deepEqual(blind.conflicts, [{ field: 'email' }]);
+        assert.deepEqual(blind.comparisons, { reviewReasons, conflicts });
+        assertNoIdentity({ ...blind, identity: null, comparisons: null });
+    });
+});
+
+describe('anonymized hashes', () => {
+    it('are keyed, so hashing a known identifier or file does not find the job', () => {
+        assert.notEqual(hashText(RESUME, { keyed: true }), hashText(RESUME));
+        assert.ok(!anonymousToken('email:joana.pereira@exemplo.com').includes(hashText('email:joana.pereira@exemplo.com').slice(0, 40)));
+    });
+
+    it('refuse to work without a configured key', () => {
+        const key = process.env.ANON_TOKEN_SECRET;
+        delete process.env.ANON_TOKEN_SECRET;
+        try {
+            assert.throws(() => anonymousToken('email:joana.pereira@exemplo.com'), /ANON_TOKEN_SECRET/);
+        } finally {
+            process.env.ANON_TOKEN_SECRET = key;
+        }
+    });
+});
+
+describe('runJob on an anonymized job', { skip: !emulator && 'needs the Firestore emulator (npm run test:emulator)' }, () => {
+    it('writes no identity string anywhere in the job document', async () => {
+        const jobId = `blind-${Date.now()}`;
+        const update = await runJob(jobId, {
+            workspaceId: 'rh',
+            anonymized: true,
+            candidateCode: 'C-ABC234',
+            text: RESUME,
+            fields: DEFAULT_FIELDS,
+            attempts: 1
+        }, disagreeingProvider());
+
+        assert.equal(update.status, 'completed');
+        assert.deepEqual(update.reviewReasons, [{ code: 'disagreement', field: 'nome' }]);
+        assertNoIdentity(update);
+
+        const identity = (await identityRef(jobId).get()).data();
+        assert.equal(identity.comparisons.reviewReasons[0].llm, 'Joana P. Pereira');
+    });
+});
@@ -0,0 +1,143 @@
+// test/erasure.test.js
+// Candidate erasure (lib/erasure.js) against the Firestore emulator; skipped
+// without FIRESTORE_EMULATOR_HOST. Run with npm run test:emulator.
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Timestamp } from 'firebase-admin/firestore';
+import { db } from '../lib/firebase.js';
+import { QUEUE_COLLECTION } from '../lib/queue.js';
+import { BATCHES_COLLECTION } from '../lib/batches.js';
+import { DELIVERIES_COLLECTION } from '../lib/webhooks.js';
+import { IDENTITIES_COLLECTION } from '../lib/anonymize.js';
+import { anonymousToken } from '../lib/dedupe.js';
+import { CORRECTIONS_COLLECTION } from '../lib/corrections.js';
+import { erasureIdentifiers, identifierHash, findCandidateJobs, findOrphanCorrections, eraseCandidateJobs } from '../lib/erasure.js';
+
+const emulator = process.env.FIRESTORE_EMULATOR_HOST;
+// Anonymized jobs hash their tokens with this key
+process.env.ANON_TOKEN_SECRET ||= 'segredo-de-teste';
+const projectId = process.env.FIREBASE_PROJECT_ID || 'pdf-extrator';
+
+async function clearFirestore() {
+    const response = await fetch(`http://${emulator}/emulator/v1/projects/${projectId}/databases/(default)/documents`, { method: 'DELETE' });
+    assert.ok(response.ok, `emulator reset failed: HTTP ${response.status}`);
+}
+
+async function addJob(id, data) {
+    await db.collection(QUEUE_COLLECTION).doc(id).set({
+        workspaceId: 'rh',
+        userId: 'ana',
+        status: 'completed',
+        createdAt: Timestamp.now(),
+        ...data
+    });
+}
+
+async function exists(collection, id) {
+    return (await db.collection(collection).doc(id).get()).exists;
+}
+
+describe('erasure', { skip: !emulator && 'needs the Firestore emulator (npm run test:emulator)' }, () => {
+    beforeEach(clearFirestore);
+
+    it('normalizes the identifiers and refuses a request without any', () => {
+        assert.deepEqual(erasureIdentifiers({ email: ' Maria@Exemplo.com ', phone: '(11) 98765-4321', cpf: '123.456.789-09' }), {
+            email: 'maria@exemplo.com',
+            phone: '+5511987654321',
+            cpf: '12345678909'
+        });
+        assert.equal(erasureIdentifiers({ email: 'sem-arroba', cpf: '123' }), null);
+        assert.equal(
+            identifierHash(erasureIdentifiers({ email: 'maria@exemplo.com' })),
+            identifierHash(erasureIdentifiers({ email: 'MARIA@exemplo.com' }))
+        );
+    });
+
+    it('finds jobs by dedupe token, hashed token and merge', async () => {
+        await addJob('tokens', { dedupeTokens: ['email:maria@exemplo.com'], result: { nome: 'Maria' } });
+        await addJob('anonymized', { anonymized: true, dedupeTokens: [anonymousToken('phone:+5511987654321')], result: {} });
+        await addJob('merged', { mergedInto: 'tokens', dedupeTokens: ['name:maria'], result: { nome: 'Maria S.' } });
+        await addJob('other', { dedupeTokens: ['email:joao@exemplo.com'], result: { nome: 'João', email: 'joao@exemplo.com' } });
+        await addJob('other-workspace', { workspaceId: 'ti', dedupeTokens: ['email:maria@exemplo.com'], result: { nome: 'Maria' } });
+
+        const found = await findCandidateJobs('rh', erasureIdentifiers({ email: 'maria@exemplo.com', phone: '11 98765-4321' }));
+        assert.deepEqual([...found.keys()].sort(), ['anonymized', 'merged', 'tokens']);
+    });
+
+    it('finds jobs without dedupe tokens through their stored data', async () => {
+        await addJob('legacy-result', { result: { nome: 'Maria', email: 'Maria@Exemplo.com' } });
+        await addJob('legacy-text', { status: 'failed', text: 'Maria Souza\nCPF: 123.456.789-09\nSão Paulo' });
+        await addJob('corrected', { dedupeTokens: ['name:maria'], result: { nome: 'Maria' }, correctedResult: { nome: 'Maria', cpf: '12345678909' } });
+        await addJob('mentioned-in-text', { dedupeTokens: ['name:joao'], text: 'Referência: maria@exemplo.com', result: { nome: 'João' } });
+
+        const byEmail = await findCandidateJobs('rh', erasureIdentifiers({ email: 'maria@exemplo.com' }));
+        assert.deepEqual([...byEmail.keys()], ['legacy-result']);
+
+        const byCpf = await findCandidateJobs('rh', erasureIdentifiers({ cpf: '123.456.789-09' }));
+        assert.deepEqual([...byCpf.keys()].sort(), ['corrected', 'legacy-text']);
+    });
+
+    it('erases jobs, corrections, identities and deliveries and scrubs references', async () => {
+        await db.collection(BATCHES_COLLECTION).doc('lote').set({
+            workspaceId: 'rh',
+            stats: { files: 3, queued: 3, unreadable: 0, completed: 3, failed: 0, cancelled: 0 }
+        });
+        await addJob('maria', { batchId: 'lote', dedupeTokens: ['email:maria@exemplo.com', 'name:maria'], fileName: 'maria.pdf' });
+        await addJob('blind', { batchId: 'lote', anonymized: true, dedupeTokens: [anonymousToken('email:maria@exemplo.com')] });
+        await addJob('joao', {
+            batchId: 'lote',
+            dedupeTokens: ['name:maria'],
+            duplicates: [{ jobId: 'maria', reasons: ['name'] }, { jobId: 'outro', reasons: ['name'] }],
+            notDuplicateOf: ['maria']
+        });
+        await db.collection(CORRECTIONS_COLLECTION).doc('maria').set({ workspaceId: 'rh', pairs: [] });
+        await db.collection(IDENTITIES_COLLECTION).doc('blind').set({ jobId: 'blind', fileName: 'Maria Souza.pdf' });
+        await db.collection(DELIVERIES_COLLECTION).doc('entrega').set({ workspaceId: 'rh', event: 'job.completed', jobId: 'maria', batchId: null });
+        await db.collection(DELIVERIES_COLLECTION).doc('lote-concluido').set({ workspaceId: 'rh', event: 'batch.completed', jobId: null, batchId: 'lote' });
+
+        const found = await findCandidateJobs('rh', erasureIdentifiers({ email: 'maria@exemplo.com' }));
+        const { jobIds, scrubbed, deliveries } = await eraseCandidateJobs('rh', found);
+
+        assert.deepEqual(jobIds.sort(), ['blind', 'maria']);
+        assert.equal(scrubbed, 1);
+        assert.equal(deliveries, 1);
+        assert.equal(await exists(QUEUE_COLLECTION, 'maria'), false);
+        assert.equal(await exists(QUEUE_COLLECTION, 'blind'), false);
+        assert.equal(await exists(CORRECTIONS_COLLECTION, 'maria'), false);
+        assert.equal(await exists(IDENTITIES_COLLECTION, 'blind'), false);
+        assert.equal(await exists(DELIVERIES_COLLECTION, 'entrega'), false);
+        assert.equal(await exists(DELIVERIES_COLLECTION, 'lote-concluido'), true);
+
+        const joao = (await db.collection(QUEUE_COLLECTION).doc('joao').get()).data();
+        assert.deepEqual(joao.duplicates.map(duplicate => duplicate.jobId), ['outro']);
+        assert.deepEqual(joao.notDuplicateOf, []);
+
+        const { stats } = (await db.collection(BATCHES_COLLECTION).doc('lote').get()).data();
+        assert.equal(stats.queued, 1);
+        assert.equal(stats.completed, 1);
+    });
+
+    it('erases the corrections of jobs that are already gone', async () => {
+        await addJob('maria', { dedupeTokens: ['email:maria@exemplo.com'], result: { nome: 'Maria' } });
+        await db.collection(CORRECTIONS_COLLECTION).doc('maria').set({ workspaceId: 'rh', pairs: [] });
+        await db.collection(CORRECTIONS_COLLECTION).doc('lote-excluido').set({
+            workspaceId: 'rh',
+            pairs: [{ key: 'email', original: 'MARIA@exemplo.com', corrected: 'maria@exemplo.com' }]
+        });
+        await db.collection(CORRECTIONS_COLLECTION).doc('outra').set({
+            workspaceId: 'rh',
+            pairs: [{ key: 'email', original: 'joao@exemplo.com', corrected: 'joao@exemplo.com' }]
+        });
+
+        const identifiers = erasureIdentifiers({ email: 'maria@exemplo.com' });
+        const found = await findCandidateJobs('rh', identifiers);
+        const orphans = await findOrphanCorrections('rh', identifiers, found);
+        assert.deepEqual([...orphans.keys()], ['lote-excluido']);
+
+        const { corrections } = await eraseCandidateJobs('rh', found, orphans);
+        assert.equal(corrections, 1);
+        assert.equal(await exists(CORRECTIONS_COLLECTION, 'maria'), false);
+        assert.equal(await exists(CORRECTIONS_COLLECTION, 'lote-excluido'), false);
+        assert.equal(await exists(CORRECTIONS_COLLECTION, 'outra'), true);
+    });
+});
@@ -0,0 +1,24 @@
+// test/exporters.test.js
+// Spreadsheet exports (shared/exporters.js) keep formula-like resume values as text.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spreadsheetSafe, toCsv } from '../shared/exporters.js';
+
+describe('spreadsheetSafe', () => {
+    it('prefixes values a spreadsheet would run as a formula', () => {
+        for (const value of ['=HYPERLINK("http://x")', '+5511', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd']) {
+            assert.equal(spreadsheetSafe(value), `'${value}`);
+        }
+    });
+
+    it('leaves other values alone', () => {
+        assert.equal(spreadsheetSafe('Maria Souza'), 'Maria Souza');
+        assert.equal(spreadsheetSafe(-5), -5);
+        assert.equal(spreadsheetSafe(null), null);
+    });
+
+    it('is applied to every CSV cell', () => {
+        const csv = new TextDecoder().decode(toCsv([{ Nome: '=1+1', Email: 'maria@exemplo.com' }], { encoding: 'utf-8' }));
+        assert.equal(csv, "Nome;Email\r\n'=1+1;maria@exemplo.com\r\n");
+    });
+});
@@ -0,0 +1,61 @@
+// test/fallback.test.js
+// Regression corpus for the rule-based extractor (lib/fallback.js): every
+// test/fixtures/resumes/<name>.txt is extracted and compared with the fields
+// in <name>.json. Add a pair for each resume the extractor got wrong.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { fallbackExtraction, detectAge, detectName } from '../lib/fallback.js';
+import { DEFAULT_FIELDS } from '../shared/fields.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/resumes/', import.meta.url));
+// Ages in the fixtures are computed on this date
+const NOW = new Date(2026, 5, 15);
+
+const FIELDS = [
+    ...DEFAULT_FIELDS,
+    { key: 'linkedin', label: 'LinkedIn', type: 'string' },
+    { key: 'cep', label: 'CEP', type: 'string' },
+    { key: 'cidade_uf', label: 'Cidade/UF', type: 'string' }
+];
+
+describe('fallbackExtraction fixtures', () => {
+    const names = readdirSync(FIXTURES).filter(file => file.endsWith('.txt')).map(file => file.slice(0, -4));
+
+    for (const name of names) {
+        it(name, () => {
+            const text = readFileSync(`${FIXTURES}${name}.txt`, 'utf8');
+            const expected = JSON.parse(readFileSync(`${FIXTURES}${name}.json`, 'utf8'));
+
+            const { success, data } = fallbackExtraction(text, FIELDS, { now: NOW });
+
+            assert.equal(success, true);
+            assert.deepEqual(Object.fromEntries(Object.keys(expected).map(key => [key, data[key]])), expected);
+        });
+    }
+});
+
+describe('detectAge', () => {
+    it('counts the birthday only once it has passed this year', () => {
+        assert.equal(detectAge('Data de nascimento: 14/06/2000', NOW).value, 26);
+        assert.equal(detectAge('Data de nascimento: 16/06/2000', NOW).value, 25);
+    });
+
+    it('reads two-digit years relative to the current year', () => {
+        assert.equal(detectAge('Nascida em 01/01/99', NOW).value, 27);
+        assert.equal(detectAge('Dt. nasc.: 01/01/05', NOW).value, 21);
+    });
+
+    it('ignores impossible ages and years of experience', () => {
+        assert.equal(detectAge('Data de nascimento: 01/01/2020', NOW), null);
+        assert.equal(detectAge('Mais de 10 anos de experiência', NOW), null);
+    });
+});
+
+describe('detectName', () => {
+    it('skips resume headers and section headings', () => {
+        assert.equal(detectName('Curriculum Vitae\nObjetivo\nPaula Regina Costa\n').value, 'Paula Regina Costa');
+        assert.equal(detectName('Currículo - Marcos Vinícius Rocha\n').value, 'Marcos Vinícius Rocha');
+    });
+});
@@ -0,0 +1,28 @@
+// test/log.test.js
+// Log redaction (lib/log.js): contact data is masked, while the IDs, key
+// prefixes and timestamps that log lines carry are kept readable.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact } from '../lib/log.js';
+
+describe('redact', () => {
+    it('masks phone numbers, formatted or bare', () => {
+        ['+55 (11) 98765-4321', '(19) 99876-5432', '11 3456.7890', '3456-7890', '+5511987654321', '987654321']
+            .forEach(phone => assert.equal(redact(`Celular: ${phone}.`), 'Celular: [telefone].', phone));
+    });
+
+    it('masks emails and CPFs', () => {
+        assert.equal(redact('joana.pereira@exemplo.com, 123.456.789-09'), '[email], [cpf]');
+    });
+
+    it('keeps IDs and numbers that only look like phones', () => {
+        [
+            'Job queued with key 73618203 in rh',
+            'Job queued with key 9f3a0c12 in rh',
+            'Batch 9283745610 created',
+            'Job 3f2b1c4d-1234-5678-9abc-def012345678 claimed',
+            'Retry at 1700000000000',
+            'Run 20261019174508 finished'
+        ].forEach(line => assert.equal(redact(line), line));
+    });
+});
@@ -0,0 +1,123 @@
+// test/process-batch.test.js
+// The whole process-batch flow offline: handler -> quota claim -> worker ->
+// extraction, with the mock LLM provider (lib/llm/mock.js) on the memory
+// storage backend and a LOCAL_USERS token instead of Firebase Auth.
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { Timestamp } from 'firebase-admin/firestore';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LLM_PROVIDER = 'mock';
+process.env.LOCAL_USERS = JSON.stringify({
+    'token-ana': { uid: 'ana', email: 'ana@empresa.com', workspaces: { rh: 'recruiter' } },
+    'token-bia': { uid: 'bia', email: 'bia@empresa.com', workspaces: { rh: 'viewer' } }
+});
+
+const { getStorage } = await import('../lib/storage/index.js');
+const { DEFAULT_FIELDS } = await import('../shared/fields.js');
+const { default: processBatch } = await import('../api/process-batch.js');
+
+const RESUME = `Currículo
+Mariana Alves de Souza
+São Paulo/SP
+Celular: (11) 98765-4321
+mariana.souza@exemplo.com.br
+Data de nascimento: 12/03/1995
+`;
+
+function createResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+async function post(token, body) {
+    const response = createResponse();
+    await processBatch({ method: 'POST', headers: { authorization: `Bearer ${token}` }, body }, response);
+    return response;
+}
+
+describe('process-batch with the mock provider', () => {
+    let storage;
+    let batchId;
+
+    before(async () => {
+        storage = await getStorage();
+        batchId = await storage.createBatch({
+            workspaceId: 'rh',
+            name: 'Analista de RH',
+            expiresAt: Timestamp.fromMillis(Date.now() + 24 * 60 * 60 * 1000),
+            stats: { files: 1, queued: 0, unreadable: 0, completed: 0, failed: 0, cancelled: 0 }
+        });
+    });
+
+    async function queueResume(text) {
+        return storage.createJob({
+            userId: 'ana',
+            workspaceId: 'rh',
+            batchId,
+            fileName: 'mariana.pdf',
+            text,
+            fields: DEFAULT_FIELDS,
+            selectedFields: DEFAULT_FIELDS.map(field => field.key),
+            status: 'pending',
+            attempts: 0,
+            createdAt: Timestamp.now()
+        }, { queued: 1 });
+    }
+
+    it('extracts a queued resume and completes the job', async () => {
+        const jobId = await queueResume(RESUME);
+
+        const response = await post('token-ana', { jobIds: [jobId] });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.body, { success: true, processed: 1, failed: 0, throttled: 0, total: 1 });
+
+        const job = await storage.getJob(jobId);
+        assert.equal(job.status, 'completed');
+        assert.equal(job.result.nome, 'Mariana Alves de Souza');
+        assert.equal(job.result.email, 'mariana.souza@exemplo.com.br');
+        assert.deepEqual(job.result.contatos, ['(11) 98765-4321']);
+        assert.equal(job.leaseOwner, undefined);
+        assert.ok(job.usage);
+
+        const batch = await storage.getBatch(batchId);
+        assert.equal(batch.stats.completed, 1);
+    });
+
+    it('skips jobs that are no longer pending', async () => {
+        const jobId = await queueResume(RESUME);
+        await post('token-ana', { jobIds: [jobId] });
+
+        const response = await post('token-ana', { jobIds: [jobId] });
+
+        assert.equal(response.statusCode, 200);
+        const job = await storage.getJob(jobId);
+        assert.equal(job.status, 'completed');
+        assert.equal(job.attempts, 1);
+    });
+
+    it('refuses jobs of a workspace the caller cannot upload to', async () => {
+        const jobId = await queueResume(RESUME);
+
+        const response = await post('token-bia', { jobIds: [jobId] });
+
+        assert.equal(response.body.failed, 1);
+        assert.equal((await storage.getJob(jobId)).status, 'pending');
+    });
+
+    it('answers 401 without a known token', async () => {
+        const response = await post('token-desconhecido', { jobIds: [] });
+        assert.equal(response.statusCode, 401);
+    });
+});
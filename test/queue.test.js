@@ -0,0 +1,100 @@
+// test/queue.test.js
+// Lease recovery and fair claiming (lib/queue.js) on the memory storage backend.
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Timestamp } from 'firebase-admin/firestore';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.QUOTA_OVERRIDES = JSON.stringify({ 'user:duda': { jobsPerDay: 1 } });
+
+const { getStorage } = await import('../lib/storage/index.js');
+const { recoverExpiredLeases, claimNextJobs } = await import('../lib/queue.js');
+
+const MINUTE_MS = 60 * 1000;
+
+let storage;
+
+async function clearJobs() {
+    storage = await getStorage();
+    await storage.deleteJobs(await storage.listJobs());
+}
+
+function processingJob(data) {
+    return {
+        userId: 'ana',
+        status: 'processing',
+        attempts: 1,
+        leaseOwner: 'worker-morto',
+        leaseExpiresAt: Timestamp.fromMillis(Date.now() - MINUTE_MS),
+        createdAt: Timestamp.now(),
+        ...data
+    };
+}
+
+describe('recoverExpiredLeases', () => {
+    beforeEach(clearJobs);
+
+    it('returns expired leases to the queue and leaves live ones', async () => {
+        const expired = await storage.createJob(processingJob());
+        const live = await storage.createJob(processingJob({ leaseOwner: 'worker-vivo', leaseExpiresAt: Timestamp.fromMillis(Date.now() + MINUTE_MS) }));
+
+        assert.equal(await recoverExpiredLeases(), 1);
+
+        const recovered = await storage.getJob(expired);
+        assert.equal(recovered.status, 'pending');
+        assert.equal(recovered.leaseOwner, undefined);
+        assert.ok(recovered.resetAt);
+        assert.equal((await storage.getJob(live)).status, 'processing');
+    });
+
+    it('holds the job when its batch was paused', async () => {
+        const batchId = await storage.createBatch({ control: 'paused', stats: { queued: 1, completed: 0, failed: 0, cancelled: 0 } });
+        const jobId = await storage.createJob(processingJob({ batchId }));
+
+        assert.equal(await recoverExpiredLeases(), 1);
+
+        assert.equal((await storage.getJob(jobId)).status, 'paused');
+    });
+
+    it('dead-letters a job out of attempts', async () => {
+        const jobId = await storage.createJob(processingJob({ attempts: 99 }));
+
+        await recoverExpiredLeases();
+
+        assert.equal((await storage.getJob(jobId)).status, 'dead_letter');
+    });
+});
+
+describe('claimNextJobs', () => {
+    beforeEach(clearJobs);
+
+    function pendingJob(userId, createdAt) {
+        return { userId, status: 'pending', attempts: 0, createdAt: Timestamp.fromMillis(createdAt) };
+    }
+
+    it('takes every user with pending jobs into account, however many one user queued', async () => {
+        const start = Date.now() - 60 * MINUTE_MS;
+        for (let i = 0; i < 120; i++) await storage.createJob(pendingJob('ana', start + i));
+        await storage.createJob(pendingJob('bia', start + 500));
+        await storage.createJob(pendingJob('caio', start + 600));
+
+        const claimed = await claimNextJobs('worker', 3);
+
+        assert.deepEqual(claimed.map(({ jobData }) => jobData.userId).sort(), ['ana', 'bia', 'caio']);
+        for (const { jobId } of claimed) {
+            assert.equal((await storage.getJob(jobId)).leaseOwner, 'worker');
+        }
+    });
+
+    it('counts a job against the daily limit whatever attempts it was queued with', async () => {
+        const start = Date.now() - 60 * MINUTE_MS;
+        const first = await storage.createJob({ ...pendingJob('duda', start), attempts: 4 });
+        const second = await storage.createJob({ ...pendingJob('duda', start + 1), attempts: 4 });
+
+        const claimed = await claimNextJobs('worker', 5);
+
+        assert.deepEqual(claimed.map(({ jobId }) => jobId), [first]);
+        assert.ok((await storage.getJob(first)).quotaStartedAt);
+        assert.equal((await storage.getJob(second)).status, 'throttled');
+    });
+});
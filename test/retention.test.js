@@ -0,0 +1,159 @@
+// test/retention.test.js
+// Retention (lib/retention.js, shared/retention.js). applyRetention runs
+// against the Firestore emulator and is skipped without
+// FIRESTORE_EMULATOR_HOST. Run with npm run test:emulator.
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Timestamp } from 'firebase-admin/firestore';
+import { db } from '../lib/firebase.js';
+import { QUEUE_COLLECTION } from '../lib/queue.js';
+import { BATCHES_COLLECTION } from '../lib/batches.js';
+import { IDENTITIES_COLLECTION } from '../lib/anonymize.js';
+import { CORRECTIONS_COLLECTION, stripPairs } from '../lib/corrections.js';
+import { applyRetention, parseRetention, retentionFields } from '../lib/retention.js';
+import { initialTextExpiry, UNFINISHED_TEXT_DAYS } from '../shared/retention.js';
+
+const emulator = process.env.FIRESTORE_EMULATOR_HOST;
+const projectId = process.env.FIREBASE_PROJECT_ID || 'pdf-extrator';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+async function clearFirestore() {
+    const response = await fetch(`http://${emulator}/emulator/v1/projects/${projectId}/databases/(default)/documents`, { method: 'DELETE' });
+    assert.ok(response.ok, `emulator reset failed: HTTP ${response.status}`);
+}
+
+function ago(ms) {
+    return Timestamp.fromMillis(Date.now() - ms);
+}
+
+function fromNow(ms) {
+    return Timestamp.fromMillis(Date.now() + ms);
+}
+
+async function addJob(id, data) {
+    await db.collection(QUEUE_COLLECTION).doc(id).set({ workspaceId: 'rh', userId: 'ana', createdAt: ago(DAY_MS), ...data });
+}
+
+async function getJob(id) {
+    const doc = await db.collection(QUEUE_COLLECTION).doc(id).get();
+    return doc.exists ? doc.data() : null;
+}
+
+describe('retention limits', () => {
+    it('parses a policy within the limits only', () => {
+        assert.deepEqual(parseRetention({ textHours: '0', dataDays: 30 }), { textHours: 0, dataDays: 30 });
+        assert.equal(parseRetention({ textHours: 24, dataDays: 0 }), null);
+        assert.equal(parseRetention({ textHours: 1.5, dataDays: 30 }), null);
+    });
+
+    it('keeps the raw text of an unfinished job no longer than its data', () => {
+        const now = Date.UTC(2026, 0, 1);
+        assert.equal(initialTextExpiry(null, now), now + UNFINISHED_TEXT_DAYS * DAY_MS);
+        assert.equal(initialTextExpiry(now + DAY_MS, now), now + DAY_MS);
+        assert.equal(initialTextExpiry(now + 90 * DAY_MS, now), now + UNFINISHED_TEXT_DAYS * DAY_MS);
+    });
+
+    it('strips the identity from correction pairs kept after their job', () => {
+        const pairs = stripPairs([
+            { key: 'nome', original: 'Maria S.', corrected: 'Maria Souza', changed: true },
+            { key: 'email', original: 'maria@exemplo.com', corrected: 'maria@exemplo.com', changed: false },
+            { key: 'resumo', original: 'Maria Souza, analista. maria@exemplo.com', corrected: null, changed: true }
+        ]);
+        assert.deepEqual(pairs.map(pair => [pair.original, pair.corrected, pair.changed]), [
+            [null, null, true],
+            [null, null, false],
+            ['[nome] [nome], analista. [email]', null, true]
+        ]);
+    });
+});
+
+describe('applyRetention', { skip: !emulator && 'needs the Firestore emulator (npm run test:emulator)' }, () => {
+    beforeEach(clearFirestore);
+
+    it('stamps the workspace policy when a job finishes, capped by the batch', async () => {
+        const now = Date.now();
+        const fields = await retentionFields({ workspaceId: 'sem-politica', expiresAt: Timestamp.fromMillis(now + 2 * DAY_MS) }, now);
+        assert.equal(fields.textExpiresAt.toMillis(), now + 24 * HOUR_MS);
+        assert.equal(fields.expiresAt.toMillis(), now + 2 * DAY_MS);
+        assert.equal((await retentionFields({ workspaceId: 'sem-politica' }, now)).expiresAt, undefined);
+    });
+
+    it('purges expired raw text, from the identity too, and keeps the rest', async () => {
+        await addJob('expired', { status: 'completed', text: 'Maria Souza', textExpiresAt: ago(HOUR_MS) });
+        await addJob('paused', { status: 'paused', text: 'João Lima', textExpiresAt: ago(HOUR_MS) });
+        await addJob('fresh', { status: 'pending', text: 'Ana Costa', textExpiresAt: fromNow(DAY_MS) });
+        await addJob('blind', { status: 'pending', anonymized: true, textExpiresAt: ago(HOUR_MS) });
+        await db.collection(IDENTITIES_COLLECTION).doc('blind').set({ jobId: 'blind', text: 'Pedro Alves' });
+
+        const { purgedTexts, byWorkspace } = await applyRetention();
+
+        assert.equal(purgedTexts, 3);
+        assert.deepEqual(byWorkspace.get('rh'), { texts: 3, jobs: 0 });
+        for (const id of ['expired', 'paused', 'blind']) {
+            const job = await getJob(id);
+            assert.equal(job.text, undefined);
+            assert.equal(job.textExpiresAt, undefined);
+            assert.ok(job.textPurgedAt);
+        }
+        assert.equal((await getJob('fresh')).text, 'Ana Costa');
+        const identity = (await db.collection(IDENTITIES_COLLECTION).doc('blind').get()).data();
+        assert.equal(identity.text, undefined);
+        assert.ok(identity.textPurgedAt);
+    });
+
+    it('deletes every job past its expiry, whatever its status', async () => {
+        for (const status of ['completed', 'failed', 'pending', 'throttled', 'paused', 'processing']) {
+            await addJob(`expired-${status}`, { status, expiresAt: ago(HOUR_MS), leaseExpiresAt: fromNow(HOUR_MS) });
+        }
+        await addJob('expired-blind', { status: 'pending', anonymized: true, expiresAt: ago(HOUR_MS) });
+        await db.collection(IDENTITIES_COLLECTION).doc('expired-blind').set({ jobId: 'expired-blind', fileName: 'Maria Souza.pdf' });
+        await addJob('kept', { status: 'completed', expiresAt: fromNow(DAY_MS) });
+
+        const { cleaned } = await applyRetention();
+
+        assert.equal(cleaned, 7);
+        const remaining = await db.collection(QUEUE_COLLECTION).get();
+        assert.deepEqual(remaining.docs.map(doc => doc.id), ['kept']);
+        assert.equal((await db.collection(IDENTITIES_COLLECTION).doc('expired-blind').get()).exists, false);
+    });
+
+    it('keeps the corrections of deleted jobs without the identity', async () => {
+        await addJob('corrigido', { status: 'completed', expiresAt: ago(HOUR_MS), correctedAt: ago(DAY_MS) });
+        await db.collection(CORRECTIONS_COLLECTION).doc('corrigido').set({
+            workspaceId: 'rh',
+            fileName: 'Maria Souza.pdf',
+            pairs: [{ key: 'email', original: 'maria@exemplo.com', corrected: 'maria.souza@exemplo.com', changed: true }]
+        });
+
+        const { strippedCorrections } = await applyRetention();
+
+        assert.equal(strippedCorrections, 1);
+        const correction = (await db.collection(CORRECTIONS_COLLECTION).doc('corrigido').get()).data();
+        assert.equal(correction.fileName, undefined);
+        assert.deepEqual(correction.pairs, [{ key: 'email', original: null, corrected: null, changed: true }]);
+        assert.ok(correction.identityStrippedAt);
+    });
+
+    it('deletes finished jobs without a batch after the fixed window only', async () => {
+        await addJob('old', { status: 'completed', finishedAt: ago(2 * DAY_MS) });
+        await addJob('recent', { status: 'completed', finishedAt: ago(HOUR_MS) });
+
+        const { cleaned } = await applyRetention();
+
+        assert.equal(cleaned, 1);
+        assert.equal(await getJob('old'), null);
+        assert.ok(await getJob('recent'));
+    });
+
+    it('deletes expired batches', async () => {
+        await db.collection(BATCHES_COLLECTION).doc('velho').set({ workspaceId: 'rh', expiresAt: ago(HOUR_MS) });
+        await db.collection(BATCHES_COLLECTION).doc('novo').set({ workspaceId: 'rh', expiresAt: fromNow(DAY_MS) });
+
+        const { expiredBatches } = await applyRetention();
+
+        assert.equal(expiredBatches, 1);
+        assert.equal((await db.collection(BATCHES_COLLECTION).doc('novo').get()).exists, true);
+    });
+});